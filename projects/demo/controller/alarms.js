@@ -0,0 +1,33 @@
+// Alarm thresholds of telemetry channels. A channel of the telemetry schema may set any of
+//   critLow ≤ warnLow < warnHigh ≤ critHigh
+// (null when unused): a sample below a low threshold or above a high one is at that level, and
+// critical wins over warning.
+export const ALARM_THRESHOLDS = ['critLow', 'warnLow', 'warnHigh', 'critHigh'];
+
+export function alarmLevel(config, value) {
+    const beyond = (low, high) => (low !== null && value < low) || (high !== null && value > high);
+    if (beyond(config.critLow, config.critHigh)) return 'critical';
+    if (beyond(config.warnLow, config.warnHigh)) return 'warning';
+    return 'normal';
+}
+
+// Samples outside min/max are drawn clamped to the end of the dial; these are the ones counted
+export function outOfRange(config, value) {
+    return value < config.min || value > config.max;
+}
+
+// The stretches of the channel's range that are at warning or critical level, as
+// `{ from, to, level }` clipped to min/max and in increasing order
+export function alarmZones(config) {
+    const { min, max, critLow, warnLow, warnHigh, critHigh } = config;
+    const zones = [
+        { from: min, to: critLow, level: 'critical' },
+        { from: critLow ?? min, to: warnLow, level: 'warning' },
+        { from: warnHigh, to: critHigh ?? max, level: 'warning' },
+        { from: critHigh, to: max, level: 'critical' }
+    ];
+    return zones
+        .filter(zone => zone.from !== null && zone.to !== null)
+        .map(zone => ({ from: Math.max(min, zone.from), to: Math.min(max, zone.to), level: zone.level }))
+        .filter(zone => zone.to > zone.from);
+}
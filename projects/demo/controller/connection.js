@@ -0,0 +1,142 @@
+// One open serial link: the streams on top of the port, the reader loop, and cutting what arrives
+// into lines (text protocol) or delimited packets (binary protocol). Every device, the page's own
+// and each extra board in the Devices panel, is driven through one openDeviceConnection(); what
+// the lines and packets mean is left to the controller and the Devices panel.
+import { MAX_PACKET_SIZE, takeLines } from './protocol.js';
+import { createSendQueue } from './sendqueue.js';
+
+const encoder = new TextEncoder();
+
+// Opens the port and sets up the streams; nothing is read until listen() is called.
+//   onLine(line)              a trimmed, non-empty line of the text protocol
+//   onPacket(encoded)         a binary packet, still COBS encoded, without its delimiter
+//   onDrop(data)              bytes thrown away unread: a run too long to be a binary packet, or
+//                             the unterminated end of the text when the link closes
+//   onTraffic(direction, data) everything that crosses the port, 'rx' or 'tx', as it was sent
+//   onLost(reason)            the reader failed, e.g. because the device was unplugged
+export async function openSerialConnection(port, { baudRate, protocol, onLine, onPacket, onDrop, onTraffic, onLost }) {
+    await port.open({ baudRate });
+    let reader;
+    let writer;
+    let closed = false;
+    let pipes = [];
+    if (protocol === 'binary') {
+        // Binary packets go straight to and from the port, without text streams in between
+        writer = port.writable.getWriter();
+        reader = port.readable.getReader();
+    } else {
+        const textEncoder = new TextEncoderStream();
+        writer = textEncoder.writable.getWriter();
+        const textDecoder = new TextDecoderStream();
+        reader = textDecoder.readable.getReader();
+        // Read errors surface through the reader instead; close() waits for both pipes to let go of the port
+        pipes = [
+            textEncoder.readable.pipeTo(port.writable).catch(() => {}),
+            port.readable.pipeTo(textDecoder.writable).catch(() => {}),
+        ];
+    }
+
+    async function listen() {
+        let partialData = '';
+        let packetBytes = [];
+        let lostReason = null;
+        try {
+            while (!closed && port.readable) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                if (protocol === 'binary') {
+                    for (const byte of value) {
+                        if (byte === 0) {
+                            onTraffic('rx', [...packetBytes, 0]);
+                            if (packetBytes.length > 0) {
+                                onPacket(Uint8Array.from(packetBytes));
+                            }
+                            packetBytes = [];
+                        } else if (packetBytes.length >= MAX_PACKET_SIZE) {
+                            // No delimiter in sight, so drop what we have and resynchronise on the next zero
+                            onDrop(packetBytes);
+                            onTraffic('rx', packetBytes);
+                            packetBytes = [];
+                        } else {
+                            packetBytes.push(byte);
+                        }
+                    }
+                    continue;
+                }
+                const { lines, rest } = takeLines(partialData + value);
+                partialData = rest;
+                lines.forEach(rawLine => {
+                    onTraffic('rx', rawLine); // Shown even if nothing understands it
+                    const line = rawLine.trim();
+                    if (line) {
+                        onLine(line);
+                    }
+                });
+            }
+        } catch (error) {
+            lostReason = `read error: ${error.message}`;
+        }
+        if (partialData) {
+            onDrop(partialData);
+        }
+        if (lostReason && !closed) {
+            await onLost(lostReason);
+        }
+    }
+
+    return {
+        port,
+        protocol,
+        listen,
+        // Strings are sent as text in either protocol; the binary protocol takes them as bytes
+        async write(data) {
+            const chunk = typeof data === 'string' && protocol === 'binary' ? encoder.encode(data) : data;
+            await writer.write(chunk);
+            onTraffic('tx', chunk);
+        },
+        // The port only closes once nothing holds a lock on its streams, so both are let go first;
+        // a lost link has already errored them, which is why those steps may fail
+        async close() {
+            closed = true;
+            await reader.cancel().catch(() => {});
+            reader.releaseLock();
+            await writer.close().catch(() => {});
+            writer.releaseLock();
+            await Promise.all(pipes);
+            await port.close();
+        },
+    };
+}
+
+// The connection a device is driven through: the link above with its own send queue in front, so
+// every write to the device waits its turn there (see sendqueue.js).
+//   maxRate, maxDepth, onCoalesce, onRefuse   passed to the send queue
+//   onWrite(ms)                               how long each write took at the port, without the
+//                                             wait in the queue
+// The rest of the options are openSerialConnection()'s. send(data, options) resolves as the send
+// queue's push() does; close() drops whatever is still waiting before closing the port.
+export async function openDeviceConnection(port, { maxRate, maxDepth, onCoalesce, onRefuse, onWrite = () => {}, ...options }) {
+    const connection = await openSerialConnection(port, options);
+    const queue = createSendQueue({
+        async write(data) {
+            const startedAt = performance.now();
+            await connection.write(data);
+            onWrite(performance.now() - startedAt);
+        },
+        maxRate,
+        maxDepth,
+        onCoalesce,
+        onRefuse
+    });
+    return {
+        port,
+        protocol: connection.protocol,
+        listen: connection.listen,
+        send: queue.push,
+        setMaxRate: queue.setMaxRate,
+        async close() {
+            queue.clear();
+            await connection.close();
+        },
+    };
+}
@@ -0,0 +1,1717 @@
+// The controller core shared by every page. A page imports it as an ES module and starts it with
+// the device profile of its robot (see ../profiles/), which supplies everything that differs
+// between robots:
+//   id, name        identify the profile
+//   storagePrefix   namespaces the page's localStorage keys (presets, schemas, last port...)
+//   telemetry       default telemetry schema: the `key: value` channels the firmware prints, with
+//                   their ranges and optional alarm thresholds (see alarms.js)
+//   commands        default command schema: the controls and how they become a frame
+//   baudRate        the rate the firmware talks at, preselected before connecting
+//   detect          how a connected device is recognised: `usb` VID/PID pairs and the `identity`
+//                   its firmware answers the identification request with (see detection.js)
+//   debounceMs      how long typing has to pause before a frame is sent
+//   maxFrameRate    default limit on writes per second the firmware is sent (0 for none)
+//   safety          default heartbeat/watchdog settings, or null for robots without motor safety
+//   tuning          which channel, setpoint and gain controls the PID tuning tests use, and their
+//                   default settings; null hides the PID Tuning panel
+// A page starts with one profile and may offer others to switch to, by hand or by detection.
+// All the page's HTML needs is an empty #controller element, which gets the markup from markup.js.
+// Each panel's behaviour lives in panels/; this module keeps the connection, the schemas and the
+// command controls they share, and wires the panels to each other.
+import {
+    CHANNEL_COLORS, FRAME_TERMINATORS, COMMAND_FIELD_SIZES, REMOTE_QUERIES, PACKET_ACK, PACKET_NAK, PACKET_GET_PARAMS, PACKET_PARAMS,
+    PACKET_IDENTIFY, PACKET_IDENTITY, IDENTIFY_REQUEST, parseIdentityLine, PACKET_PONG,
+    normalizeTelemetrySchema, exportableSchema, normalizeCommandSchema, exportableCommandSchema,
+    isPartialNumber, parseNumberInput, parseTelemetryLine, formatWireValue,
+    buildCommandFrame, describeControlValues, parseFrameFields, valuesFromFrameFields, unframePacket,
+    decodeTelemetryPayload, framePacket, encodeCommandPacket, decodeCommandFields
+} from './protocol.js';
+import { openDeviceConnection } from './connection.js';
+import { controllerMarkup } from './markup.js';
+import { downloadFile } from './files.js';
+import { createDeviceManager, MAIN_DEVICE } from './panels/devices.js';
+import { createGauge, updateGauge } from './gauges.js';
+import { applyTheme, watchThemeToggle } from './theme.js';
+import { findProfileByUsb, findProfileByIdentity } from './detection.js';
+import { createPresetsPanel } from './panels/presets.js';
+import { createRemoteControl } from './panels/remote.js';
+import { createLiveChart } from './panels/chart.js';
+import { createAlarmPanel } from './panels/alarms.js';
+import { createTerminal } from './panels/terminal.js';
+import { createLinkHealth } from './panels/linkhealth.js';
+import { createSessionPanel } from './panels/session.js';
+import { createSafetyMonitor } from './panels/safety.js';
+import { createTuningPanel } from './panels/tuning.js';
+import { createSequencePanel } from './panels/sequence.js';
+import { createTeleopPanel } from './panels/teleop.js';
+
+// Wires the page up for a device profile and returns the handles the tests drive it through.
+// `profiles` are the ones the page can switch to; the starting profile should be one of them.
+export function startController(initialProfile, { profiles = [initialProfile] } = {}) {
+    let profile = initialProfile;
+    // A broken profile should fail on load, not when someone switches to it
+    profiles.forEach(candidate => {
+        normalizeTelemetrySchema(candidate.telemetry);
+        normalizeCommandSchema(candidate.commands);
+    });
+    // Schemas, presets and safety settings follow the current profile; the remote settings and
+    // the last port belong to the page, so they keep the prefix of the profile it started with
+    const storageKey = name => `${profile.storagePrefix}${name}`;
+
+    // --- DOM Elements ---
+    document.getElementById('controller').innerHTML = controllerMarkup(initialProfile);
+    const elementsById = ids => Object.fromEntries(ids.map(id => [id, document.getElementById(id)]));
+    const refreshPortsButton = document.getElementById('refreshPortsButton');
+    const connectButton = document.getElementById('connectButton');
+    const portSelector = document.getElementById('portSelector');
+    const baudRateSelector = document.getElementById('baudRate');
+    const protocolSelector = document.getElementById('protocolMode');
+    const profileSelector = document.getElementById('profileSelector');
+    const autoDetectProfileToggle = document.getElementById('autoDetectProfile');
+    const statusIndicator = document.getElementById('status-indicator');
+    const statusText = document.getElementById('status-text');
+    const linkCountersText = document.getElementById('linkCounters');
+    const ackModeToggle = document.getElementById('ackMode');
+    const autoReconnectToggle = document.getElementById('autoReconnect');
+    const ackStatus = document.getElementById('ackStatus');
+    const ackConfirmed = document.getElementById('ackConfirmed');
+    const ackPending = document.getElementById('ackPending');
+    const gaugesContainer = document.getElementById('gauges-container');
+    const mainControls = document.getElementById('main-controls');
+    const numberControls = document.getElementById('numberControls');
+    const commandControls = document.getElementById('commandControls');
+    const remoteModeSwitch = document.getElementById('remoteModeSwitch');
+    const readParamsButton = document.getElementById('readParamsButton');
+    const paramsDiff = document.getElementById('paramsDiff');
+    const paramsDiffList = document.getElementById('paramsDiffList');
+    const keepPageValuesButton = document.getElementById('keepPageValuesButton');
+    const dismissParamsDiffButton = document.getElementById('dismissParamsDiffButton');
+    const darkModeToggle = document.getElementById('darkModeToggle');
+    const controlModeToggle = document.getElementById('controlModeToggle');
+    const schemaTableBody = document.getElementById('schemaTableBody');
+    const addChannelButton = document.getElementById('addChannelButton');
+    const applySchemaButton = document.getElementById('applySchemaButton');
+    const resetSchemaButton = document.getElementById('resetSchemaButton');
+    const importSchemaButton = document.getElementById('importSchemaButton');
+    const exportSchemaButton = document.getElementById('exportSchemaButton');
+    const schemaFileInput = document.getElementById('schemaFileInput');
+    const commandTableBody = document.getElementById('commandTableBody');
+    const frameSeparatorSelector = document.getElementById('frameSeparator');
+    const frameTerminatorSelector = document.getElementById('frameTerminator');
+    const framePreview = document.getElementById('framePreview');
+    const addControlButton = document.getElementById('addControlButton');
+    const applyCommandSchemaButton = document.getElementById('applyCommandSchemaButton');
+    const resetCommandSchemaButton = document.getElementById('resetCommandSchemaButton');
+    const importCommandSchemaButton = document.getElementById('importCommandSchemaButton');
+    const exportCommandSchemaButton = document.getElementById('exportCommandSchemaButton');
+    const commandSchemaFileInput = document.getElementById('commandSchemaFileInput');
+
+    // --- State Variables ---
+    let port; // Set as soon as connecting starts
+    let connection = null; // The page's own device, driven like the extra ones (see connection.js)
+    let availablePorts = [];
+    let protocolMode = 'text';
+    let useRemoteSetpoint = false;
+    let sendDataTimeout;
+
+    // --- Telemetry Schema ---
+    // Describes the `key: value` pairs the firmware prints. Gauges, chart and recordings are built from it.
+    function loadTelemetrySchema() {
+        try {
+            const saved = localStorage.getItem(storageKey('TelemetrySchema'));
+            if (saved) {
+                return normalizeTelemetrySchema(JSON.parse(saved));
+            }
+        } catch (error) {
+            console.warn('Ignoring saved telemetry schema:', error.message);
+        }
+        return normalizeTelemetrySchema(profile.telemetry);
+    }
+
+    let telemetrySchema = loadTelemetrySchema();
+
+    // --- Command Schema ---
+    // Describes the controls in #main-controls and how sendData() turns them into a frame
+    function loadCommandSchema() {
+        try {
+            const saved = localStorage.getItem(storageKey('CommandSchema'));
+            if (saved) {
+                return normalizeCommandSchema(JSON.parse(saved));
+            }
+        } catch (error) {
+            console.warn('Ignoring saved command schema:', error.message);
+        }
+        return normalizeCommandSchema(profile.commands);
+    }
+
+    let commandSchema = loadCommandSchema();
+
+    // --- Shared Page State ---
+    // What the feature modules in panels/ get to see of the page: the profile, the schemas and the
+    // link as they are at the moment, and the controls and status line they all work through
+    const page = {
+        get profile() {
+            return profile;
+        },
+        get telemetrySchema() {
+            return telemetrySchema;
+        },
+        get commandSchema() {
+            return commandSchema;
+        },
+        get connected() {
+            return Boolean(port && connection);
+        },
+        get protocol() {
+            return protocolMode;
+        },
+        get useRemoteSetpoint() {
+            return useRemoteSetpoint;
+        },
+        get controlState() {
+            return controlState;
+        },
+        storageKey,
+        updateStatus,
+        writeToPort,
+        sendData,
+        // Drops a frame the typing debounce still holds back
+        cancelPendingSend: () => clearTimeout(sendDataTimeout),
+        readControlValues,
+        applyControlValues,
+        setControlValue,
+        setpointControl,
+        remoteControlInput
+    };
+
+    // --- UI Update Functions ---
+    function updateStatus(text, connected = false) {
+        statusText.textContent = text;
+        if (connected) {
+            statusIndicator.classList.remove('disconnected');
+            statusIndicator.classList.add('connected');
+        } else {
+            statusIndicator.classList.remove('connected');
+            statusIndicator.classList.add('disconnected');
+        }
+    }
+
+    function setControlsDisabled(disabled) {
+        mainControls.disabled = disabled;
+        terminal.setDisabled(disabled);
+    }
+
+    // --- Debounce function ---
+    // This prevents the sendData function from being called too frequently
+    function debounceSendData() {
+        clearTimeout(sendDataTimeout);
+        sendDataTimeout = setTimeout(sendData, profile.debounceMs); // Wait until the user stops typing
+    }
+
+    // --- Input Validation ---
+    function validateInput(event) {
+        const input = event.target;
+        const isValid = isPartialNumber(input.value);
+        if (isValid) {
+            input.classList.remove('invalid');
+        } else {
+            input.classList.add('invalid');
+        }
+    }
+
+    // --- Theme ---
+    watchThemeToggle(darkModeToggle, () => {
+        chart.redraw(); // Chart colours come from the theme variables
+    });
+
+    // --- Add Event Listener for the Toggle ---
+    controlModeToggle.addEventListener('change', () => {
+        useRemoteSetpoint = controlModeToggle.checked;
+        // The phone takes the setpoint over from anything the page was driving it with
+        if (useRemoteSetpoint) {
+            tuning.abort('phone setpoint switched on');
+            sequencer.abort('phone setpoint switched on');
+            teleop.abort('phone setpoint switched on');
+        }
+        const remoteInput = remoteControlInput();
+        if (remoteInput) {
+            remoteInput.disabled = useRemoteSetpoint;
+        }
+        sendData();
+    });
+
+    // --- Gauge Creation and Update Logic ---
+    function buildGauges() {
+        gaugesContainer.innerHTML = '';
+        telemetrySchema.forEach(config => {
+            createGauge(gaugesContainer, config);
+            updateGauge(config, 0);
+        });
+    }
+
+    buildGauges();
+
+    // --- Live Chart ---
+    const chart = createLiveChart({
+        elements: elementsById(['chartCanvas', 'chartWindow', 'chartPauseButton', 'chartAutoscale', 'chartChannels']),
+        page,
+        alarmEvents: () => alarms.events
+    });
+
+    // --- Alarms ---
+    const alarms = createAlarmPanel({
+        elements: elementsById(['alarmStatus', 'alarmTableBody', 'alarmSound', 'clearAlarmsButton', 'alarmLog']),
+        page,
+        soundStorageKey: `${initialProfile.storagePrefix}AlarmSound`,
+        onChange: () => chart.redraw()
+    });
+
+    // --- Session Recording & Replay ---
+    const sessionPanel = createSessionPanel({
+        elements: elementsById(['recordButton', 'exportCsvButton', 'exportJsonButton', 'sessionInfo', 'loadSessionButton',
+            'sessionFileInput', 'replayControls', 'replayPlayButton', 'replaySeek', 'replayPosition', 'replaySpeed',
+            'exitReplayButton']),
+        page,
+        baudRate: () => parseInt(baudRateSelector.value, 10),
+        replayTo: {
+            telemetry: handleTelemetry,
+            command: applyCommandFrame,
+            reset() {
+                chart.clear();
+                resetControls();
+                telemetrySchema.forEach(config => updateGauge(config, 0));
+            }
+        },
+        onReplay(active) {
+            refreshPortsButton.disabled = active || !('serial' in navigator);
+            connectButton.disabled = active || availablePorts.length === 0;
+        }
+    });
+
+    // --- Telemetry Schema Editor ---
+    function addSchemaRow(channel) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="text" data-field="key" class="schema-key"></td>
+            <td><input type="text" data-field="label"></td>
+            <td><input type="text" data-field="unit" class="schema-unit"></td>
+            <td><input type="text" data-field="min" class="schema-number"></td>
+            <td><input type="text" data-field="max" class="schema-number"></td>
+            <td><input type="text" data-field="critLow" class="schema-number"></td>
+            <td><input type="text" data-field="warnLow" class="schema-number"></td>
+            <td><input type="text" data-field="warnHigh" class="schema-number"></td>
+            <td><input type="text" data-field="critHigh" class="schema-number"></td>
+            <td>
+                <select data-field="widget">
+                    <option value="gauge">Gauge</option>
+                    <option value="value">Value</option>
+                </select>
+            </td>
+            <td><input type="color" data-field="color"></td>
+            <td><button class="schema-remove-button" title="Remove channel">✕</button></td>
+        `;
+        row.querySelectorAll('[data-field]').forEach(field => {
+            field.value = channel[field.dataset.field];
+        });
+        row.querySelector('.schema-remove-button').addEventListener('click', () => row.remove());
+        schemaTableBody.appendChild(row);
+    }
+
+    function renderSchemaEditor(schema) {
+        schemaTableBody.innerHTML = '';
+        schema.forEach(addSchemaRow);
+    }
+
+    function readSchemaEditor() {
+        return Array.from(schemaTableBody.rows).map(row => {
+            const channel = {};
+            row.querySelectorAll('[data-field]').forEach(field => {
+                channel[field.dataset.field] = field.value;
+            });
+            return channel;
+        });
+    }
+
+    // Switching profiles shows the new profile's schema without saving it, so its defaults stay live
+    function applyTelemetrySchema(schema, { save = true } = {}) {
+        telemetrySchema = normalizeTelemetrySchema(schema);
+        if (save) {
+            localStorage.setItem(storageKey('TelemetrySchema'), JSON.stringify(exportableSchema(telemetrySchema)));
+        }
+        // A recording can't change channels half way through
+        sessionPanel.stopRecording();
+        tuning.abort('telemetry schema changed'); // Its channel may be gone
+        buildGauges();
+        chart.rebuild();
+        alarms.reset();
+        if (safety.active) {
+            safety.renderSettings();
+        }
+        if (profile.tuning) {
+            tuning.renderSettings();
+        }
+        renderSchemaEditor(telemetrySchema);
+        devices.renderRoutes();
+    }
+
+    addChannelButton.addEventListener('click', () => {
+        const index = schemaTableBody.rows.length;
+        addSchemaRow({ key: '', label: '', unit: '', min: 0, max: 100, critLow: null, warnLow: null, warnHigh: null, critHigh: null, widget: 'gauge', color: CHANNEL_COLORS[index % CHANNEL_COLORS.length] });
+    });
+
+    applySchemaButton.addEventListener('click', () => {
+        try {
+            applyTelemetrySchema(readSchemaEditor());
+            updateStatus('Telemetry schema applied.', Boolean(port));
+        } catch (error) {
+            updateStatus(`Schema error: ${error.message}`, Boolean(port));
+        }
+    });
+
+    resetSchemaButton.addEventListener('click', () => {
+        applyTelemetrySchema(profile.telemetry);
+        updateStatus('Telemetry schema reset to default.', Boolean(port));
+    });
+
+    exportSchemaButton.addEventListener('click', () => {
+        const exported = { format: 'seesaw-telemetry-schema', version: 1, channels: exportableSchema(telemetrySchema) };
+        downloadFile('telemetry-schema.json', JSON.stringify(exported, null, 2), 'application/json');
+    });
+
+    importSchemaButton.addEventListener('click', () => schemaFileInput.click());
+
+    schemaFileInput.addEventListener('change', async () => {
+        const file = schemaFileInput.files[0];
+        schemaFileInput.value = '';
+        if (!file) return;
+        try {
+            const data = JSON.parse(await file.text());
+            applyTelemetrySchema(Array.isArray(data) ? data : data.channels);
+            updateStatus(`Telemetry schema imported from ${file.name}.`, Boolean(port));
+        } catch (error) {
+            updateStatus(`Error importing schema: ${error.message}`, Boolean(port));
+        }
+    });
+
+    renderSchemaEditor(telemetrySchema);
+
+    // --- Command Schema Editor ---
+    function updateCommandRowFields(row) {
+        const type = row.querySelector('[data-field="type"]').value;
+        row.querySelector('[data-field="precision"]').disabled = type !== 'number';
+        row.querySelector('[data-field="remote"]').disabled = type !== 'number';
+        row.querySelector('[data-field="bits"]').disabled = type !== 'bitmask';
+    }
+
+    function addCommandRow(control) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="text" data-field="key" class="schema-key"></td>
+            <td><input type="text" data-field="label"></td>
+            <td>
+                <select data-field="type">
+                    <option value="number">Number</option>
+                    <option value="toggle">Toggle</option>
+                    <option value="color">Colour</option>
+                    <option value="bitmask">LED Bitmask</option>
+                </select>
+            </td>
+            <td><input type="text" data-field="value" class="schema-number"></td>
+            <td><input type="text" data-field="precision" class="schema-key" placeholder="raw"></td>
+            <td><input type="text" data-field="bits" placeholder="red,green"></td>
+            <td><input type="checkbox" data-field="remote"></td>
+            <td><button class="schema-remove-button" title="Remove control">✕</button></td>
+        `;
+        row.querySelector('[data-field="key"]').value = control.key;
+        row.querySelector('[data-field="label"]').value = control.label;
+        row.querySelector('[data-field="type"]').value = control.type;
+        row.querySelector('[data-field="value"]').value = control.type === 'toggle' ? (control.value ? '1' : '0') : control.value;
+        row.querySelector('[data-field="precision"]').value = control.precision ?? '';
+        row.querySelector('[data-field="bits"]').value = (control.bits || []).join(',');
+        row.querySelector('[data-field="remote"]').checked = Boolean(control.remote);
+        row.querySelector('[data-field="type"]').addEventListener('change', () => updateCommandRowFields(row));
+        row.querySelector('.schema-remove-button').addEventListener('click', () => row.remove());
+        updateCommandRowFields(row);
+        commandTableBody.appendChild(row);
+    }
+
+    function renderCommandEditor(schema) {
+        frameSeparatorSelector.value = schema.separator;
+        frameTerminatorSelector.value = schema.terminator;
+        commandTableBody.innerHTML = '';
+        schema.controls.forEach(addCommandRow);
+        const defaults = {};
+        schema.controls.forEach(control => {
+            defaults[control.key] = control.value;
+        });
+        framePreview.textContent = JSON.stringify(buildCommandFrame(defaults, undefined, schema));
+    }
+
+    function readCommandEditor() {
+        const controls = Array.from(commandTableBody.rows).map(row => {
+            const field = name => row.querySelector(`[data-field="${name}"]`);
+            return {
+                key: field('key').value,
+                label: field('label').value,
+                type: field('type').value,
+                value: field('value').value,
+                precision: field('precision').value,
+                bits: field('bits').value,
+                remote: field('remote').checked
+            };
+        });
+        return { separator: frameSeparatorSelector.value, terminator: frameTerminatorSelector.value, controls };
+    }
+
+    function applyCommandSchema(schema, { save = true } = {}) {
+        commandSchema = normalizeCommandSchema(schema);
+        if (save) {
+            localStorage.setItem(storageKey('CommandSchema'), JSON.stringify(exportableCommandSchema(commandSchema)));
+        }
+        clearTimeout(sendDataTimeout);
+        resetAckState();
+        buildCommandControls();
+        renderCommandEditor(commandSchema);
+        presets.renderComparison();
+        devices.renderRoutes();
+        teleop.abort('command schema changed');
+        teleop.reload();
+    }
+
+    addControlButton.addEventListener('click', () => {
+        addCommandRow({ key: '', label: '', type: 'number', value: 0, precision: null });
+    });
+
+    applyCommandSchemaButton.addEventListener('click', () => {
+        try {
+            applyCommandSchema(readCommandEditor());
+            updateStatus('Command schema applied.', Boolean(port));
+        } catch (error) {
+            updateStatus(`Command schema error: ${error.message}`, Boolean(port));
+        }
+    });
+
+    resetCommandSchemaButton.addEventListener('click', () => {
+        applyCommandSchema(profile.commands);
+        updateStatus('Command schema reset to default.', Boolean(port));
+    });
+
+    exportCommandSchemaButton.addEventListener('click', () => {
+        const exported = { format: 'seesaw-command-schema', version: 1, ...exportableCommandSchema(commandSchema) };
+        downloadFile('command-schema.json', JSON.stringify(exported, null, 2), 'application/json');
+    });
+
+    importCommandSchemaButton.addEventListener('click', () => commandSchemaFileInput.click());
+
+    commandSchemaFileInput.addEventListener('change', async () => {
+        const file = commandSchemaFileInput.files[0];
+        commandSchemaFileInput.value = '';
+        if (!file) return;
+        try {
+            applyCommandSchema(JSON.parse(await file.text()));
+            updateStatus(`Command schema imported from ${file.name}.`, Boolean(port));
+        } catch (error) {
+            updateStatus(`Error importing command schema: ${error.message}`, Boolean(port));
+        }
+    });
+
+    renderCommandEditor(commandSchema);
+
+    // --- Command Controls ---
+    // #main-controls is generated from the command schema; toggles and bitmasks keep their state here
+    const controlState = {};
+
+    function controlElementId(control) {
+        return `control-${control.key}`;
+    }
+
+    // The control the phone, the sequence runner and teleoperation drive (the one marked Remote)
+    function setpointControl() {
+        return commandSchema.controls.find(control => control.remote);
+    }
+
+    function remoteControlInput() {
+        const control = setpointControl();
+        return control ? document.getElementById(controlElementId(control)) : null;
+    }
+
+    function createNumberControl(control) {
+        const group = document.createElement('div');
+        group.className = 'input-group';
+        const label = document.createElement('label');
+        label.htmlFor = controlElementId(control);
+        label.textContent = `${control.label}:`;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'pid-input';
+        input.id = controlElementId(control);
+        input.addEventListener('input', () => {
+            validateInput({ target: input }); // Validate on every input
+            debounceSendData(); // Send data after a short delay
+        });
+        group.append(label, input);
+        return group;
+    }
+
+    function createToggleControl(control) {
+        const button = document.createElement('button');
+        button.className = 'motor-button';
+        button.id = controlElementId(control);
+        button.addEventListener('click', () => {
+            setControlValue(control, !controlState[control.key]);
+            sendData(); // Send immediately on click
+        });
+        return button;
+    }
+
+    function createColorControl(control) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        const label = document.createElement('label');
+        label.htmlFor = controlElementId(control);
+        label.textContent = `${control.label}:`;
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.id = controlElementId(control);
+        input.addEventListener('input', debounceSendData); // Debounce color changes
+        group.append(label, input);
+        return group;
+    }
+
+    function createBitmaskControl(control) {
+        const group = document.createElement('div');
+        group.className = 'led-group';
+        group.id = controlElementId(control);
+        group.title = control.label;
+        control.bits.forEach((color, index) => {
+            const led = document.createElement('span');
+            led.className = `led-indicator ${color}`;
+            led.dataset.ledIndex = index;
+            led.addEventListener('click', () => {
+                setControlValue(control, controlState[control.key] ^ (1 << index));
+                sendData(); // Send immediately on click
+            });
+            group.appendChild(led);
+        });
+        return group;
+    }
+
+    function buildCommandControls() {
+        numberControls.innerHTML = '';
+        commandControls.innerHTML = '';
+        const controlsOfType = type => commandSchema.controls.filter(control => control.type === type);
+
+        // Number fields are laid out in columns of three, like the original PID block
+        const numbers = controlsOfType('number');
+        for (let i = 0; i < numbers.length; i += 3) {
+            const column = document.createElement('div');
+            numbers.slice(i, i + 3).forEach(control => column.appendChild(createNumberControl(control)));
+            numberControls.appendChild(column);
+        }
+        const toggles = controlsOfType('toggle');
+        if (toggles.length > 0) {
+            const group = document.createElement('div');
+            group.className = 'control-group';
+            toggles.forEach(control => group.appendChild(createToggleControl(control)));
+            commandControls.appendChild(group);
+        }
+        controlsOfType('color').forEach(control => commandControls.appendChild(createColorControl(control)));
+        controlsOfType('bitmask').forEach(control => commandControls.appendChild(createBitmaskControl(control)));
+
+        commandSchema.controls.forEach(control => setControlValue(control, control.value));
+
+        const remoteInput = remoteControlInput();
+        remoteModeSwitch.hidden = !remoteInput;
+        if (remoteInput) {
+            remoteInput.disabled = useRemoteSetpoint;
+        } else {
+            controlModeToggle.checked = false;
+            useRemoteSetpoint = false;
+        }
+    }
+
+    function setControlValue(control, value) {
+        const element = document.getElementById(controlElementId(control));
+        if (control.type === 'number' || control.type === 'color') {
+            element.value = value;
+        } else if (control.type === 'toggle') {
+            controlState[control.key] = value;
+            element.textContent = value ? `Stop ${control.label}` : `Start ${control.label}`;
+            element.classList.toggle('on', value);
+        } else {
+            controlState[control.key] = value;
+            element.querySelectorAll('.led-indicator').forEach(led => {
+                led.classList.toggle('on', (value & (1 << parseInt(led.dataset.ledIndex, 10))) !== 0);
+            });
+        }
+    }
+
+    // Collects the current value of every control, flagging number fields that don't parse
+    function readControlValues() {
+        let allValid = true;
+        const values = {};
+        commandSchema.controls.forEach(control => {
+            const element = document.getElementById(controlElementId(control));
+            if (control.type === 'number') {
+                const parsedValue = parseNumberInput(element.value);
+                if (isNaN(parsedValue)) {
+                    element.classList.add('invalid');
+                    allValid = false;
+                }
+                values[control.key] = parsedValue;
+            } else if (control.type === 'color') {
+                values[control.key] = element.value;
+            } else {
+                values[control.key] = controlState[control.key];
+            }
+        });
+        return { values, allValid };
+    }
+
+    function resetControls() {
+        commandSchema.controls.forEach(control => {
+            if (control.type === 'toggle') {
+                setControlValue(control, false);
+            } else if (control.type === 'bitmask') {
+                setControlValue(control, 0);
+            }
+        });
+    }
+
+    function applyControlValues(values) {
+        commandSchema.controls.forEach(control => {
+            if (control.key in values) {
+                setControlValue(control, values[control.key]);
+            }
+        });
+    }
+
+    // Applies a command frame (as built by sendData) back onto the controls, e.g. during replay
+    function applyCommandFrame(frame) {
+        applyControlValues(valuesFromFrameFields(parseFrameFields(frame), commandSchema));
+    }
+
+    buildCommandControls();
+
+    // --- Parameter Presets ---
+    const presets = createPresetsPanel({
+        elements: elementsById(['presetName', 'savePresetButton', 'presetSelector', 'loadPresetButton', 'deletePresetButton',
+            'importPresetsButton', 'exportPresetsButton', 'presetsFileInput', 'compareA', 'compareB', 'presetComparisonBody',
+            'main-controls']),
+        page
+    });
+
+    // --- Remote Control ---
+    const remote = createRemoteControl({
+        elements: elementsById(['remote-status-indicator', 'remote-status-text', 'remoteUrl', 'remoteToken', 'remoteEnabled',
+            'applyRemoteButton']),
+        page,
+        settingsKey: storageKey('Remote'),
+        presets,
+        describeState: remoteState
+    });
+
+    function remoteState() {
+        return {
+            connected: Boolean(port && connection),
+            protocol: protocolMode,
+            ack: ackEnabled,
+            profile: profile.id,
+            status: statusText.textContent,
+        };
+    }
+
+    // --- Simulator Port ---
+    // Stands in for a SerialPort by carrying the same bytes over the /device WebSocket of the reference
+    // server in seesaw_sim/, so the whole page can be exercised without a board. It sits next to the
+    // remote-control server, so its address follows the Remote Control settings.
+    function simulatorUrl() {
+        const url = new URL('/device', remote.settings.url);
+        if (remote.settings.token) {
+            url.searchParams.set('token', remote.settings.token);
+        }
+        return url.href;
+    }
+
+    function createSimulatorPort() {
+        let socket = null;
+        const simulator = {
+            readable: null,
+            writable: null,
+            getInfo() {
+                return {};
+            },
+            async open() {
+                const ws = new WebSocket(simulatorUrl());
+                ws.binaryType = 'arraybuffer';
+                await new Promise((resolve, reject) => {
+                    ws.onopen = resolve;
+                    ws.onerror = () => reject(new Error('Simulator not reachable. Is the seesaw_sim server running?'));
+                });
+                socket = ws;
+                const encoder = new TextEncoder();
+                simulator.readable = new ReadableStream({
+                    start(controller) {
+                        ws.onmessage = (event) => {
+                            controller.enqueue(typeof event.data === 'string' ? encoder.encode(event.data) : new Uint8Array(event.data));
+                        };
+                        // Surfaces as a read error, just like a real device being unplugged
+                        ws.onclose = () => controller.error(new Error('simulator connection closed'));
+                    },
+                    cancel() {
+                        ws.onmessage = null;
+                        ws.onclose = null;
+                    },
+                });
+                simulator.writable = new WritableStream({
+                    write(chunk) {
+                        ws.send(chunk);
+                    },
+                });
+            },
+            async close() {
+                if (socket) {
+                    socket.onmessage = null;
+                    socket.onclose = null;
+                    socket.close();
+                    socket = null;
+                }
+                simulator.readable = null;
+                simulator.writable = null;
+            },
+        };
+        return simulator;
+    }
+
+    const simulatorPort = createSimulatorPort();
+
+    // --- Port Selection Logic ---
+    function portLabel(serialPort, index) {
+        const portInfo = serialPort.getInfo();
+        return `Port ${index + 1} (VID: ${portInfo.usbVendorId || 'N/A'}, PID: ${portInfo.usbProductId || 'N/A'})`;
+    }
+
+    function simulatorLabel() {
+        return `Simulator (${new URL(simulatorUrl()).host})`;
+    }
+
+    async function populatePortSelector() {
+        try {
+            const serialPorts = 'serial' in navigator ? await navigator.serial.getPorts() : [];
+            availablePorts = [...serialPorts, simulatorPort];
+        } catch (error) {
+            updateStatus(`Error getting ports: ${error.message}`);
+            return;
+        }
+        portSelector.innerHTML = '';
+        if (availablePorts.length === 0) {
+            portSelector.innerHTML = '<option value="">No ports found</option>';
+            portSelector.disabled = true;
+            connectButton.disabled = true;
+        } else {
+            availablePorts.forEach((port, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = port === simulatorPort ? simulatorLabel() : portLabel(port, index);
+                portSelector.appendChild(option);
+            });
+            const lastPortInfo = loadLastPortInfo();
+            const lastPortIndex = lastPortInfo ? availablePorts.findIndex(candidate => portMatches(candidate, lastPortInfo)) : -1;
+            if (lastPortIndex !== -1) {
+                portSelector.value = lastPortIndex;
+            }
+            portSelector.disabled = false;
+            connectButton.disabled = false;
+            updateStatus('Status: Ports loaded. Select a port and connect.');
+        }
+    }
+
+    refreshPortsButton.addEventListener('click', async () => {
+        if (!('serial' in navigator)) {
+            updateStatus('Error: Web Serial API not supported.');
+            return;
+        }
+        updateStatus('Requesting port access...');
+        try {
+            await navigator.serial.requestPort();
+            await populatePortSelector();
+        } catch (error) {
+            updateStatus(`User cancelled or error: ${error.message}`);
+        }
+    });
+
+    // --- Connection Logic ---
+    connectButton.addEventListener('click', async () => {
+        if (port && port.readable) {
+            await disconnect();
+        } else if (reconnectTarget) {
+            cancelReconnect();
+        } else {
+            await connect();
+        }
+    });
+
+    async function connect({ readBack = true } = {}) {
+        const selectedPortIndex = portSelector.value;
+        if (selectedPortIndex === "" || availablePorts.length === 0) {
+            updateStatus("Error: No port selected.");
+            return false;
+        }
+
+        if (autoDetectProfileToggle.checked) {
+            detectProfileFromUsb(availablePorts[selectedPortIndex]);
+        }
+        port = availablePorts[selectedPortIndex];
+        try {
+            const baudRate = parseInt(baudRateSelector.value, 10);
+            connection = await openDeviceConnection(port, {
+                baudRate,
+                protocol: protocolSelector.value,
+                onLine: handleLine,
+                onPacket: handlePacket,
+                onDrop: () => {
+                    linkHealth.stats.dropped++;
+                    if (protocolMode === 'binary') {
+                        linkCounters.malformed++;
+                        updateLinkCounters();
+                    }
+                },
+                onTraffic: (direction, data) => {
+                    linkHealth.countTraffic(direction, data);
+                    terminal.log(direction, data);
+                },
+                onLost: handleConnectionLost,
+                maxRate: linkHealth.maxFrameRate,
+                maxDepth: SEND_QUEUE_DEPTH,
+                onCoalesce: () => linkHealth.stats.writesCoalesced++,
+                onRefuse: () => linkHealth.stats.writesRefused++,
+                onWrite: ms => {
+                    linkHealth.stats.lastWriteMs = ms;
+                    linkHealth.stats.maxWriteMs = Math.max(linkHealth.stats.maxWriteMs, ms);
+                }
+            });
+
+            protocolMode = connection.protocol;
+            ackEnabled = ackModeToggle.checked;
+            resetAckState();
+            if (protocolMode === 'binary') {
+                resetLinkCounters();
+            }
+            linkHealth.start();
+            linkCountersText.hidden = protocolMode !== 'binary';
+
+            updateStatus(`Status: Connected (Baud: ${baudRate}, ${protocolMode} protocol)`, true);
+            connectButton.textContent = 'Disconnect';
+            connectButton.classList.add('disconnect');
+            portSelector.disabled = true;
+            baudRateSelector.disabled = true;
+            protocolSelector.disabled = true;
+            ackModeToggle.disabled = true;
+            refreshPortsButton.disabled = true;
+            sessionPanel.setConnected(true);
+
+            rememberPort(port);
+
+            connection.listen();
+            if (safety.active) {
+                safety.start();
+            }
+
+            setControlsDisabled(false);
+            // A reconnect restores the page's own state instead, so it neither re-identifies nor reads back
+            if (readBack) {
+                if (autoDetectProfileToggle.checked) {
+                    requestIdentity(); // Answered before the parameters, so they land in the right profile
+                }
+                requestDeviceParams(); // Show what the firmware is actually running before anything is edited
+            }
+            remote.sendState();
+            return true;
+        } catch (error) {
+            updateStatus(`Error: ${error.message}`);
+            port = null;
+            return false;
+        }
+    }
+
+    async function disconnect({ keepControls = false } = {}) {
+        let closeError = null;
+        if (connection) {
+            try {
+                await connection.close();
+            } catch (error) {
+                closeError = error;
+            }
+            connection = null;
+        }
+        port = null;
+        ackEnabled = false;
+        resetAckState();
+        cancelParamsRequest();
+        safety.stop();
+        linkHealth.stop();
+        tuning.abort('disconnected');
+        sequencer.abort('disconnected');
+        teleop.abort('disconnected');
+
+        updateStatus(closeError ? `Status: Disconnected, but the port didn't close (${closeError.message})` : 'Status: Disconnected');
+        connectButton.textContent = 'Connect';
+        connectButton.classList.remove('disconnect');
+        portSelector.disabled = false;
+        baudRateSelector.disabled = false;
+        protocolSelector.disabled = false;
+        ackModeToggle.disabled = false;
+        refreshPortsButton.disabled = false;
+        sessionPanel.setConnected(false);
+
+        telemetrySchema.forEach(config => updateGauge(config, 0));
+        if (!keepControls) {
+            resetControls();
+        }
+        setControlsDisabled(true);
+        remote.sendState();
+    }
+
+    // --- Automatic Reconnect ---
+    // A re-plugged device shows up as a new port object, so the last port is remembered by its USB VID/PID
+    const LAST_PORT_STORAGE_KEY = storageKey('LastPort');
+    const RECONNECT_BASE_DELAY_MS = 500;
+    const RECONNECT_MAX_DELAY_MS = 8000;
+    let reconnectTarget = null; // { info, port, values } while a lost link is being re-established
+    let reconnectTimer = null;
+    let reconnectAttempt = 0;
+
+    function loadLastPortInfo() {
+        try {
+            return JSON.parse(localStorage.getItem(LAST_PORT_STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function rememberPort(serialPort) {
+        const { usbVendorId, usbProductId } = serialPort.getInfo();
+        localStorage.setItem(LAST_PORT_STORAGE_KEY, JSON.stringify({ usbVendorId, usbProductId }));
+    }
+
+    function portMatches(candidate, info) {
+        const candidateInfo = candidate.getInfo();
+        return info.usbVendorId !== undefined &&
+            candidateInfo.usbVendorId === info.usbVendorId &&
+            candidateInfo.usbProductId === info.usbProductId;
+    }
+
+    // Called for read errors and unplug events alike; whichever comes first handles the loss
+    async function handleConnectionLost(reason) {
+        if (!port || reconnectTarget) return;
+        const reconnect = autoReconnectToggle.checked;
+        reconnectTarget = { info: port.getInfo(), port, values: readControlValues().values };
+        await disconnect({ keepControls: reconnect });
+        if (!reconnect) {
+            reconnectTarget = null;
+            updateStatus(`Connection lost: ${reason}`);
+            return;
+        }
+        reconnectAttempt = 0;
+        connectButton.textContent = 'Cancel Reconnect';
+        scheduleReconnect(reason);
+    }
+
+    function scheduleReconnect(reason) {
+        const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempt, RECONNECT_MAX_DELAY_MS);
+        reconnectAttempt++;
+        updateStatus(`Connection lost (${reason}). Reconnecting in ${(delay / 1000).toFixed(1)} s (attempt ${reconnectAttempt})...`);
+        clearTimeout(reconnectTimer);
+        reconnectTimer = setTimeout(attemptReconnect, delay);
+    }
+
+    async function attemptReconnect() {
+        reconnectTimer = null;
+        const target = reconnectTarget;
+        if (!target) return;
+        await populatePortSelector();
+        if (reconnectTarget !== target) return; // Cancelled while the ports were listed
+        const index = availablePorts.findIndex(candidate => candidate === target.port || portMatches(candidate, target.info));
+        if (index === -1) {
+            scheduleReconnect('device not present');
+            return;
+        }
+        portSelector.value = index;
+        // No read-back here: the page's values are the ones to restore
+        if (!(await connect({ readBack: false }))) {
+            if (reconnectTarget === target) {
+                connectButton.textContent = 'Cancel Reconnect';
+                scheduleReconnect('port would not open');
+            }
+            return;
+        }
+        reconnectTarget = null;
+        applyControlValues(target.values);
+        await sendData();
+        updateStatus('Status: Reconnected, last control state resent.', true);
+    }
+
+    function cancelReconnect() {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        reconnectTarget = null;
+        connectButton.textContent = 'Connect';
+        resetControls();
+        updateStatus('Status: Reconnect cancelled.');
+    }
+
+    if ('serial' in navigator) {
+        navigator.serial.addEventListener('disconnect', (event) => {
+            if (event.target === port) {
+                handleConnectionLost('device unplugged');
+            }
+        });
+        // Don't wait out the backoff when the device comes back
+        navigator.serial.addEventListener('connect', (event) => {
+            if (reconnectTarget && portMatches(event.target, reconnectTarget.info)) {
+                clearTimeout(reconnectTimer);
+                reconnectAttempt = 0;
+                attemptReconnect();
+            }
+        });
+    }
+
+    // --- Data Handling Logic ---
+    // Readable values for some channels but not all of them, e.g. a line cut short
+    // by a reset or an overrun; anything else that isn't telemetry counts as a parse failure
+    function isPartialTelemetryLine(line) {
+        const fields = parseFrameFields(line);
+        const present = telemetrySchema.filter(config => config.key in fields);
+        return present.length > 0 && present.every(config => Number.isFinite(Number(fields[config.key])));
+    }
+
+    function handleLine(line) {
+        if (handleIdentityLine(line) || handleAckLine(line) || handleParamsLine(line) || linkHealth.handlePongLine(line)) return;
+        const values = parseTelemetryLine(line, telemetrySchema);
+        if (values) {
+            handleTelemetry(values);
+        } else if (isPartialTelemetryLine(line)) {
+            linkHealth.stats.partialLines++;
+        } else {
+            linkHealth.stats.parseFailures++;
+        }
+    }
+
+    // Every telemetry sample ends up here, whether it came from the serial port or a replayed session
+    function handleTelemetry(values, timestamp) {
+        telemetrySchema.forEach((config, index) => updateGauge(config, values[index]));
+        chart.push(values, timestamp);
+        alarms.check(values, timestamp ?? Date.now());
+        sessionPanel.recordTelemetry(values);
+        if (port) {
+            if (safety.active) {
+                safety.checkTelemetry(values);
+            }
+            if (tuning.running) {
+                tuning.collectSample(values);
+            }
+            linkHealth.stats.samples.add(1);
+            linkHealth.stats.lastSampleAt = Date.now();
+            devices.handleTelemetry(MAIN_DEVICE, values);
+            remote.sendTelemetry(values, timestamp ?? Date.now());
+        }
+    }
+
+    // --- Serial Terminal ---
+    const terminal = createTerminal({
+        elements: elementsById(['terminalOutput', 'terminalView', 'terminalDirection', 'terminalFilter',
+            'terminalAutoScroll', 'clearTerminalButton', 'terminalInput', 'terminalLineEnding', 'terminalSendButton']),
+        page
+    });
+
+    // All writes go through here so the terminal shows exactly what left the page. They wait their
+    // turn in the connection's send queue; the result is false when a newer entry with the same key
+    // took the place of this one, or the link closed, before it was written.
+    async function writeToPort(data, options) {
+        if (!connection) return false;
+        const stats = linkHealth.stats;
+        stats.writesPending++;
+        try {
+            return await connection.send(data, options);
+        } finally {
+            stats.writesPending--;
+        }
+    }
+
+    // --- Binary Protocol ---
+    // Packet layout and codec live in protocol.js; this is the receiving end
+    let linkCounters = { packets: 0, crcErrors: 0, malformed: 0 };
+
+    // Checks and dispatches one delimited packet (still COBS encoded, without the zero)
+    function handlePacket(encoded) {
+        const { payload, error } = unframePacket(encoded);
+        if (error) {
+            countBadPacket(error === 'crc' ? 'crcErrors' : 'malformed');
+            return;
+        }
+        if ((payload[0] === PACKET_ACK || payload[0] === PACKET_NAK) && payload.length === 3) {
+            linkCounters.packets++;
+            updateLinkCounters();
+            if (ackEnabled) {
+                handleAck(payload[0] === PACKET_ACK, payload[1] | (payload[2] << 8));
+            }
+            return;
+        }
+        if (payload[0] === PACKET_IDENTITY) {
+            linkCounters.packets++;
+            updateLinkCounters();
+            handleIdentity(String.fromCharCode(...payload.subarray(1)));
+            return;
+        }
+        if (payload[0] === PACKET_PONG && payload.length === 3) {
+            linkCounters.packets++;
+            updateLinkCounters();
+            linkHealth.handlePong(payload[1] | (payload[2] << 8));
+            return;
+        }
+        if (payload[0] === PACKET_PARAMS) {
+            const size = commandSchema.controls.reduce((total, control) => total + COMMAND_FIELD_SIZES[control.type], 1);
+            if (payload.length !== size) {
+                countBadPacket('malformed');
+                return;
+            }
+            linkCounters.packets++;
+            updateLinkCounters();
+            handleDeviceParams(decodeCommandFields(new DataView(payload.buffer, payload.byteOffset, payload.byteLength), 1, commandSchema));
+            return;
+        }
+        const values = decodeTelemetryPayload(payload, telemetrySchema);
+        if (!values) {
+            countBadPacket('malformed');
+            return;
+        }
+        linkCounters.packets++;
+        updateLinkCounters();
+        if (!values.some(isNaN)) {
+            handleTelemetry(values);
+        }
+    }
+
+    // A packet that arrived whole but couldn't be used also counts as a parse failure of the link
+    function countBadPacket(kind) {
+        linkCounters[kind]++;
+        updateLinkCounters();
+        linkHealth.stats.parseFailures++;
+    }
+
+    function resetLinkCounters() {
+        linkCounters = { packets: 0, crcErrors: 0, malformed: 0 };
+        updateLinkCounters();
+    }
+
+    function updateLinkCounters() {
+        linkCountersText.textContent = `Binary link: ${linkCounters.packets} packets, ${linkCounters.crcErrors} CRC errors, ${linkCounters.malformed} malformed`;
+        linkCountersText.classList.toggle('has-errors', linkCounters.crcErrors + linkCounters.malformed > 0);
+    }
+
+    // --- Link Health ---
+    const linkHealth = createLinkHealth({
+        elements: elementsById(['healthRx', 'healthTx', 'healthSamples', 'healthLastSample', 'healthParseFailures',
+            'healthPartialLines', 'healthDropped', 'healthWrites', 'healthQueue', 'healthPing', 'pingButton', 'autoPing',
+            'resetHealthButton', 'maxFrameRate']),
+        page,
+        onMaxFrameRate: rate => connection?.setMaxRate(rate)
+    });
+
+    // --- Send Queue ---
+    // The connection's queue carries every write (see sendqueue.js). Command frames share the
+    // key 'command' and heartbeats 'heartbeat', so a backlog of either shrinks to the newest one;
+    // the E-stop and frames that switch a motor off jump the queue. The rate limit starts at the
+    // profile's maxFrameRate and can be changed in the Link Health panel, also while connected.
+    const SEND_QUEUE_DEPTH = 32;
+
+    // Toggle controls are the motor outputs (see panels/safety.js), so this is any of them going off
+    function switchesMotorOff(values) {
+        return Boolean(lastSentValues) && commandSchema.controls.some(control =>
+            control.type === 'toggle' && lastSentValues[control.key] && !values[control.key]);
+    }
+
+    // --- Command Acknowledgement ---
+    // With "Require ACK" on, every frame carries a sequence number (a `seq: N` field in text mode,
+    // a uint16 after the packet type in binary mode). The device answers `ACK N` or `NAK N`
+    // (binary packet types 0x03 / 0x04 with the same uint16). Frames that aren't acknowledged in
+    // time, or are refused, are sent again. Each frame holds the full control state, so a newer
+    // edit simply replaces whatever is still waiting for an answer.
+    const ACK_TIMEOUT_MS = 500;
+    const ACK_MAX_ATTEMPTS = 4;
+    let ackEnabled = false;
+    let nextSequence = 0;
+    let pendingCommand = null;
+    let unconfirmedCommand = null;
+    let confirmedValues = null;
+
+    async function sendWithAck(values, urgent = false) {
+        if (pendingCommand) {
+            clearTimeout(pendingCommand.timer);
+        }
+        nextSequence = (nextSequence + 1) & 0xffff;
+        pendingCommand = { sequence: nextSequence, values, urgent, attempts: 0, timer: null };
+        unconfirmedCommand = null;
+        await transmitPendingCommand(pendingCommand);
+    }
+
+    async function transmitPendingCommand(command) {
+        command.attempts++;
+        updateAckStatus();
+        await writeCommand(command.values, command.sequence, command.urgent);
+        // The reply may already have arrived, or a newer edit may have taken over
+        if (pendingCommand === command) {
+            command.timer = setTimeout(() => retryPendingCommand(command, 'no reply'), ACK_TIMEOUT_MS);
+        }
+    }
+
+    function retryPendingCommand(command, reason) {
+        if (pendingCommand !== command) return;
+        clearTimeout(command.timer);
+        if (command.attempts >= ACK_MAX_ATTEMPTS) {
+            pendingCommand = null;
+            unconfirmedCommand = command;
+            updateStatus(`Error: Device did not confirm parameters (${reason} after ${command.attempts} attempts).`, true);
+            updateAckStatus();
+            return;
+        }
+        transmitPendingCommand(command).catch(error => {
+            updateStatus(`Send error: ${error.message}`, true);
+        });
+    }
+
+    function handleAck(accepted, sequence) {
+        if (!pendingCommand || sequence !== pendingCommand.sequence) return; // Stale or unexpected reply
+        if (accepted) {
+            clearTimeout(pendingCommand.timer);
+            confirmedValues = pendingCommand.values;
+            pendingCommand = null;
+            updateStatus('Parameters confirmed by device.', true);
+            updateAckStatus();
+        } else {
+            retryPendingCommand(pendingCommand, 'refused');
+        }
+    }
+
+    // Returns true when the line was an ACK/NAK reply rather than telemetry
+    function handleAckLine(line) {
+        const match = line.match(/^(ACK|NAK)\s*:?\s*(\d+)$/);
+        if (!match) return false;
+        if (ackEnabled) {
+            handleAck(match[1] === 'ACK', parseInt(match[2], 10));
+        }
+        return true;
+    }
+
+    function resetAckState() {
+        if (pendingCommand) {
+            clearTimeout(pendingCommand.timer);
+        }
+        pendingCommand = null;
+        unconfirmedCommand = null;
+        confirmedValues = null;
+        updateAckStatus();
+    }
+
+    // Lists the confirmed parameter set and, separately, only the edits the device hasn't confirmed
+    function updateAckStatus() {
+        ackStatus.hidden = !ackEnabled;
+        if (!ackEnabled) return;
+        const confirmedText = confirmedValues ? describeControlValues(confirmedValues, commandSchema.controls) : 'nothing yet';
+        ackConfirmed.textContent = `Confirmed: ${confirmedText}`;
+
+        const waiting = pendingCommand || unconfirmedCommand;
+        if (!waiting) {
+            ackPending.textContent = '';
+            ackPending.classList.remove('failed');
+            return;
+        }
+        const changed = commandSchema.controls.filter(control => !confirmedValues ||
+            formatWireValue(control, confirmedValues[control.key]) !== formatWireValue(control, waiting.values[control.key]));
+        const changedText = changed.length > 0 ? describeControlValues(waiting.values, changed) : 'no changes';
+        ackPending.textContent = pendingCommand
+            ? `Pending (attempt ${pendingCommand.attempts}/${ACK_MAX_ATTEMPTS}): ${changedText}`
+            : `Unconfirmed: ${changedText}`;
+        ackPending.classList.toggle('failed', !pendingCommand);
+    }
+
+    // --- Device Parameter Read-Back ---
+    // The page asks for the running parameters with a `GET PARAMS` line (binary: an empty 0x05
+    // packet). The device answers with a line starting `PARAMS` followed by the same fields as a
+    // command frame (binary: a 0x06 packet laid out like a command packet, without sequence number).
+    const PARAMS_TIMEOUT_MS = 1000;
+    let paramsRequestTimer = null;
+    let pageValuesBeforeRead = null;
+
+    async function requestDeviceParams() {
+        if (!port || !connection) {
+            updateStatus('Error: Not connected.');
+            return;
+        }
+        // Shown while the request waits in the send queue, so it can't hide a reply that comes first
+        updateStatus('Reading parameters from device...', true);
+        try {
+            if (protocolMode === 'binary') {
+                await writeToPort(framePacket(Uint8Array.of(PACKET_GET_PARAMS)));
+            } else {
+                await writeToPort(`GET PARAMS${FRAME_TERMINATORS[commandSchema.terminator] || '\n'}`);
+            }
+            clearTimeout(paramsRequestTimer);
+            paramsRequestTimer = setTimeout(() => {
+                paramsRequestTimer = null;
+                updateStatus('Device did not report its parameters.', true);
+            }, PARAMS_TIMEOUT_MS);
+        } catch (error) {
+            updateStatus(`Send error: ${error.message}`, true);
+        }
+    }
+
+    // Returns true when the line was a parameter report rather than telemetry
+    function handleParamsLine(line) {
+        if (!/^PARAMS\b/.test(line)) return false;
+        handleDeviceParams(valuesFromFrameFields(parseFrameFields(line.slice('PARAMS'.length)), commandSchema));
+        return true;
+    }
+
+    // The device is the source of truth: its values go into the controls, and whatever the page
+    // had that differed is listed so it can be restored
+    function handleDeviceParams(deviceValues) {
+        clearTimeout(paramsRequestTimer);
+        paramsRequestTimer = null;
+
+        const { values: pageValues } = readControlValues();
+        const differences = commandSchema.controls.filter(control => control.key in deviceValues &&
+            formatWireValue(control, pageValues[control.key]) !== formatWireValue(control, deviceValues[control.key]));
+        applyControlValues(deviceValues);
+
+        if (ackEnabled && commandSchema.controls.every(control => control.key in deviceValues)) {
+            confirmedValues = deviceValues;
+            updateAckStatus();
+        }
+
+        paramsDiffList.innerHTML = '';
+        differences.forEach(control => {
+            const item = document.createElement('li');
+            item.textContent = `${control.label} (${control.key}): page ${formatWireValue(control, pageValues[control.key])}, device ${formatWireValue(control, deviceValues[control.key])}`;
+            paramsDiffList.appendChild(item);
+        });
+        paramsDiff.hidden = differences.length === 0;
+        pageValuesBeforeRead = differences.length > 0 ? pageValues : null;
+
+        if (differences.length > 0) {
+            updateStatus(`Device parameters loaded; ${differences.length} differed from the page.`, true);
+        } else {
+            updateStatus('Device parameters loaded; the page already matched.', true);
+        }
+    }
+
+    function hideParamsDiff() {
+        paramsDiff.hidden = true;
+        pageValuesBeforeRead = null;
+    }
+
+    function cancelParamsRequest() {
+        clearTimeout(paramsRequestTimer);
+        paramsRequestTimer = null;
+        hideParamsDiff();
+    }
+
+    readParamsButton.addEventListener('click', requestDeviceParams);
+
+    keepPageValuesButton.addEventListener('click', () => {
+        const restored = {};
+        commandSchema.controls.forEach(control => {
+            const value = pageValuesBeforeRead[control.key];
+            if (value !== undefined && !(control.type === 'number' && isNaN(value))) {
+                restored[control.key] = value;
+            }
+        });
+        applyControlValues(restored);
+        hideParamsDiff();
+        sendData();
+    });
+
+    dismissParamsDiffButton.addEventListener('click', hideParamsDiff);
+
+    // --- Safety Watchdog ---
+    const safety = createSafetyMonitor({
+        elements: elementsById(['estopButton', 'safetyPanel', 'heartbeatInterval', 'silenceTimeout', 'tiltChannel',
+            'tiltLimit', 'safetyStatus']),
+        page,
+        onStop(reason) {
+            clearTimeout(sendDataTimeout);
+            tuning.abort('motors stopped', { send: false });
+            sequencer.abort('motors stopped');
+            teleop.abort('motors stopped');
+            devices.stopMotors(reason);
+        },
+        sendStop: sendStopFrame
+    });
+
+    // --- Setpoint Drivers ---
+    // The tuning tests, the sequence runner and teleoperation all move the setpoint control, so
+    // none of them starts while another one runs
+    const drivers = {
+        get tuning() {
+            return tuning.running;
+        },
+        get sequence() {
+            return sequencer.running;
+        },
+        get teleop() {
+            return teleop.running;
+        }
+    };
+
+    // --- PID Tuning ---
+    const tuning = createTuningPanel({
+        elements: elementsById(['tuningPanel', 'tuningChannel', 'stepSize', 'stepDuration', 'settleBand', 'relayGain',
+            'relayOutput', 'relayDuration', 'stepTestButton', 'relayTestButton', 'clearTuningButton', 'tuningStatus',
+            'tuningResultsBody', 'tuningSuggestion', 'tuningSuggestionText', 'applySuggestionButton']),
+        page,
+        presets,
+        drivers
+    });
+
+    // --- Setpoint Sequences ---
+    const sequencer = createSequencePanel({
+        elements: elementsById(['sequenceRate', 'sequenceLoops', 'sequenceTableBody', 'addSegmentButton',
+            'sequenceStartButton', 'sequencePauseButton', 'sequenceAbortButton', 'importSequenceButton',
+            'exportSequenceButton', 'sequenceFileInput', 'sequenceProgress']),
+        page,
+        drivers
+    });
+
+    // --- Teleoperation ---
+    const teleop = createTeleopPanel({
+        elements: elementsById(['teleopEnabled', 'teleopRate', 'teleopAxis-index', 'teleopAxis-min', 'teleopAxis-max',
+            'teleopAxis-deadzone', 'teleopInvert', 'teleopKeyDown', 'teleopKeyUp', 'teleopBindingsBody',
+            'resetTeleopButton', 'teleopGamepad', 'teleopStatus']),
+        page,
+        safety,
+        drivers
+    });
+
+    // --- Devices ---
+    // Extra boards live in panels/devices.js; this side lists the ports they can open and lets routes
+    // drive the page's own controls. A simulator entry opens a fresh simulated board per device.
+    async function listDevicePorts() {
+        const serialPorts = 'serial' in navigator ? await navigator.serial.getPorts() : [];
+        return [
+            ...serialPorts.map((serialPort, index) => ({ port: serialPort, label: portLabel(serialPort, index) })),
+            { port: createSimulatorPort(), label: simulatorLabel() }
+        ];
+    }
+
+    // Routed values go out through sendData like typed ones; a burst of samples coalesces in the
+    // send queue instead of queueing a frame per sample
+    async function applyRoutedValues(values) {
+        if (!port || !connection) return;
+        applyControlValues(values);
+        await sendData();
+    }
+
+    const devices = createDeviceManager({
+        profiles,
+        elements: elementsById(['addDeviceButton', 'deviceTabs', 'devicePanels', 'routeTableBody', 'addRouteButton',
+            'routingEnabled', 'routeStatus']),
+        main: {
+            name: () => profile.name,
+            telemetrySchema: () => telemetrySchema,
+            commandSchema: () => commandSchema,
+            setControlValues: applyRoutedValues
+        },
+        listPorts: listDevicePorts,
+        baudRates: [...baudRateSelector.options].map(option => option.value)
+    });
+
+    // --- Data Sending Logic ---
+    let lastSentValues = null;
+
+    // In remote mode the setpoint from the WebSocket replaces whatever is in its field
+    function applyRemoteSetpoint(values) {
+        const remoteControl = setpointControl();
+        if (useRemoteSetpoint && remoteControl) {
+            values[remoteControl.key] = remote.setpoint;
+        }
+        return values;
+    }
+
+    async function sendData() {
+        if (!port || !connection) {
+            updateStatus('Error: Not connected.');
+            return;
+        }
+
+        try {
+            // Validate all number inputs before sending
+            const { values, allValid } = readControlValues();
+            if (!allValid) {
+                updateStatus('Error: Invalid number in one of the fields.');
+                return;
+            }
+
+            applyRemoteSetpoint(values);
+            const urgent = switchesMotorOff(values);
+
+            if (ackEnabled) {
+                await sendWithAck(values, urgent);
+                updateStatus('Data sent, waiting for acknowledgement...', true);
+            } else if (await writeCommand(values, undefined, urgent)) {
+                updateStatus('Data sent successfully.', true);
+            }
+
+        } catch (error) {
+            updateStatus(`Send error: ${error.message}`, true);
+        }
+    }
+
+    // The E-stop's frame, which goes ahead of anything queued
+    async function sendStopFrame(reason) {
+        // A half-typed field must not hold up the stop, so it falls back to what the device already has
+        const { values } = readControlValues();
+        commandSchema.controls.forEach(control => {
+            if (control.type === 'number' && !Number.isFinite(values[control.key])) {
+                values[control.key] = lastSentValues ? lastSentValues[control.key] : control.value;
+            }
+        });
+        applyRemoteSetpoint(values);
+        try {
+            if (ackEnabled) {
+                await sendWithAck(values, true);
+            } else {
+                await writeCommand(values, undefined, true);
+            }
+            updateStatus(`EMERGENCY STOP: ${reason}`, true);
+        } catch (error) {
+            updateStatus(`EMERGENCY STOP could not be sent: ${error.message}`, true);
+        }
+    }
+
+    // Writes one frame in the connection's protocol; the text form is what gets recorded and logged.
+    // Returns false when a newer frame replaced it in the send queue, so it was never sent.
+    async function writeCommand(values, sequence, urgent = false) {
+        const dataString = buildCommandFrame(values, sequence, commandSchema);
+        lastSentValues = values;
+        const data = protocolMode === 'binary' ? encodeCommandPacket(values, sequence, commandSchema) : dataString;
+        if (!await writeToPort(data, { key: 'command', urgent })) return false;
+        sessionPanel.recordCommand(dataString);
+        console.log('Sent:', dataString);
+        return true;
+    }
+
+    // --- Device Profiles ---
+    // The dropdown switches the whole page over: gauges, controls, frame format, presets and safety.
+    // With auto-detect on, connecting picks the profile from the port's USB IDs and then from the
+    // device's reply to the identification request.
+    function applyProfile(next) {
+        profile = next;
+        profileSelector.value = profile.id;
+        selectBaudRate(profile.baudRate);
+        safety.stop();
+        tuning.abort('profile changed'); // While the old controls are still there to put back
+        sequencer.abort('profile changed');
+        teleop.abort('profile changed');
+        // Both settings before the schemas, which render them
+        safety.reload();
+        tuning.reload();
+        applyTelemetrySchema(loadTelemetrySchema(), { save: false });
+        applyCommandSchema(loadCommandSchema(), { save: false });
+        presets.reload();
+        safety.renderPanel();
+        tuning.renderPanel();
+        sequencer.reload();
+        linkHealth.reloadMaxFrameRate();
+        if (port && connection) {
+            if (safety.active) {
+                safety.start();
+            }
+            // The old profile's read-back no longer applies; a request still on its way fills the new controls
+            hideParamsDiff();
+            if (!paramsRequestTimer) {
+                requestDeviceParams();
+            }
+        }
+        remote.sendState();
+    }
+
+    // Only before connecting: an open port keeps the rate it was opened with
+    function selectBaudRate(baudRate) {
+        if (!baudRate || port) return;
+        if (!Array.from(baudRateSelector.options).some(option => option.value === String(baudRate))) {
+            baudRateSelector.add(new Option(String(baudRate), String(baudRate)));
+        }
+        baudRateSelector.value = String(baudRate);
+    }
+
+    function detectProfileFromUsb(serialPort) {
+        const match = findProfileByUsb(profiles, serialPort.getInfo());
+        if (match && match !== profile) {
+            applyProfile(match);
+        }
+    }
+
+    async function requestIdentity() {
+        try {
+            if (protocolMode === 'binary') {
+                await writeToPort(framePacket(Uint8Array.of(PACKET_IDENTIFY)));
+            } else {
+                await writeToPort(`${IDENTIFY_REQUEST}${FRAME_TERMINATORS[commandSchema.terminator] || '\n'}`);
+            }
+        } catch (error) {
+            updateStatus(`Send error: ${error.message}`, true);
+        }
+    }
+
+    // Returns true when the line was an identification reply rather than telemetry
+    function handleIdentityLine(line) {
+        const identity = parseIdentityLine(line);
+        if (identity === null) return false;
+        handleIdentity(identity);
+        return true;
+    }
+
+    function handleIdentity(identity) {
+        if (!autoDetectProfileToggle.checked) return;
+        const match = findProfileByIdentity(profiles, identity);
+        if (!match) {
+            updateStatus(`Device identified as "${identity}", which matches no profile; staying with ${profile.name}.`, true);
+        } else if (match !== profile) {
+            applyProfile(match);
+            updateStatus(`Device identified as "${identity}"; switched to the ${profile.name} profile.`, true);
+        }
+    }
+
+    profiles.forEach(candidate => profileSelector.add(new Option(candidate.name, candidate.id)));
+    profileSelector.value = profile.id;
+    selectBaudRate(profile.baudRate);
+
+    profileSelector.addEventListener('change', () => {
+        const next = profiles.find(candidate => candidate.id === profileSelector.value);
+        if (next && next !== profile) {
+            applyProfile(next);
+            updateStatus(`Switched to the ${profile.name} profile.`, Boolean(port));
+        }
+    });
+
+    // --- Initial Page Load State ---
+    window.addEventListener('load', async () => {
+        applyTheme(darkModeToggle); // Apply saved theme on load
+        await populatePortSelector(); // Ports granted on an earlier visit, plus the simulator
+        if (!('serial' in navigator)) {
+            updateStatus('Error: Web Serial API is not supported by this browser. Only the simulator is available.');
+            refreshPortsButton.disabled = true;
+        } else {
+            updateStatus('Status: Disconnected. Request port access to begin.');
+        }
+    });
+
+    return {
+        get profile() {
+            return profile;
+        },
+        connect,
+        disconnect,
+        sendData
+    };
+}
@@ -0,0 +1,15 @@
+// Picks the device profile for a port, first from its USB IDs (known before the port is even
+// opened) and then from the device's reply to the identification request (see protocol.js).
+
+// Returns the profile claiming this VID/PID pair, or null for ports without USB IDs or unknown ones
+export function findProfileByUsb(profiles, info) {
+    if (!info || info.usbVendorId === undefined) return null;
+    return profiles.find(profile => (profile.detect?.usb || []).some(ids =>
+        ids.usbVendorId === info.usbVendorId && ids.usbProductId === info.usbProductId)) || null;
+}
+
+// Only the first word of the identity counts, so `seesaw v1.2` still picks the seesaw profile
+export function findProfileByIdentity(profiles, identity) {
+    const name = String(identity).trim().split(/\s+/)[0].toLowerCase();
+    return profiles.find(profile => (profile.detect?.identity || '').toLowerCase() === name) || null;
+}
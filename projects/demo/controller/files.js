@@ -0,0 +1,14 @@
+// Saving what the page generates (sessions, schemas, presets, sequences) as files
+
+// Offers the content as a download through a temporary link
+export function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,69 @@
+// Dial and plain-value widgets for telemetry channels, built from the telemetry schema
+import { alarmLevel, alarmZones, outOfRange } from './alarms.js';
+
+export function channelTitle(config) {
+    return config.unit ? `${config.label} (${config.unit})` : config.label;
+}
+
+// A point on the dial for a fraction of the range: 0 is the left end, 1 the right end
+function dialPoint(fraction) {
+    const angle = Math.PI * (1 - fraction);
+    return `${(50 + 40 * Math.cos(angle)).toFixed(2)} ${(70 - 40 * Math.sin(angle)).toFixed(2)}`;
+}
+
+// Warning and critical stretches of the range, drawn over the dial
+function zonePaths(config) {
+    const fraction = value => (value - config.min) / (config.max - config.min);
+    return alarmZones(config).map(zone =>
+        `<path class="gauge-zone ${zone.level}" d="M ${dialPoint(fraction(zone.from))} A 40 40 0 0 1 ${dialPoint(fraction(zone.to))}" stroke-width="8" fill="none"></path>`
+    ).join('');
+}
+
+// Appends a widget for one channel; its needle and text are found again by the channel id
+export function createGauge(container, config) {
+    const gaugeDiv = document.createElement('div');
+    gaugeDiv.className = 'gauge';
+    gaugeDiv.id = config.id;
+    if (config.widget === 'value') {
+        gaugeDiv.innerHTML = `
+            <h3 class="gauge-title"></h3>
+            <div class="gauge-value-display gauge-value-only" id="${config.id}-text">0.0</div>
+        `;
+    } else {
+        gaugeDiv.innerHTML = `
+            <h3 class="gauge-title"></h3>
+            <svg viewBox="0 0 100 75" class="gauge-body">
+                <path class="gauge-dial" d="M 10 70 A 40 40 0 1 1 90 70" stroke-width="8" fill="none"></path>
+                ${zonePaths(config)}
+                <polygon class="gauge-needle" id="${config.id}-needle" points="50,15 48,70 52,70"></polygon>
+                <circle cx="50" cy="70" r="4" fill="#333"></circle>
+            </svg>
+            <div class="gauge-value-display" id="${config.id}-text">0.0</div>
+        `;
+    }
+    gaugeDiv.querySelector('.gauge-title').textContent = channelTitle(config);
+    container.appendChild(gaugeDiv);
+}
+
+// The widget takes the alarm level of the raw value, and flags values the dial had to clamp
+export function updateGauge(config, value) {
+    const needle = document.getElementById(`${config.id}-needle`);
+    const text = document.getElementById(`${config.id}-text`);
+    if (!text) return;
+    const level = alarmLevel(config, value);
+    const gaugeDiv = document.getElementById(config.id);
+    gaugeDiv.classList.toggle('warning', level === 'warning');
+    gaugeDiv.classList.toggle('critical', level === 'critical');
+    text.classList.toggle('out-of-range', outOfRange(config, value));
+    if (!needle) {
+        // Plain value widgets have no dial to clamp to
+        text.textContent = value.toFixed(1);
+        return;
+    }
+    const clampedValue = Math.max(config.min, Math.min(config.max, value));
+    const range = config.max - config.min;
+    const percentage = range === 0 ? 0 : (clampedValue - config.min) / range;
+    const angle = -90 + (percentage * 180);
+    needle.style.transform = `rotate(${angle}deg)`;
+    text.textContent = clampedValue.toFixed(1);
+}
@@ -0,0 +1,62 @@
+// Bookkeeping behind the Link Health panel; the controller feeds it from the connection's traffic
+// and its own parsing.
+
+// Events per second over a sliding window. Until the window has filled, the rate is taken over the
+// time since the meter started, so a fresh link doesn't read as slow.
+export function createRateMeter(windowMs = 2000, now = Date.now()) {
+    const events = [];
+    const startedAt = now;
+    const prune = time => {
+        while (events.length > 0 && events[0].time <= time - windowMs) {
+            events.shift();
+        }
+    };
+    return {
+        add(amount = 1, time = Date.now()) {
+            events.push({ time, amount });
+            prune(time);
+        },
+        rate(time = Date.now()) {
+            prune(time);
+            const span = Math.max(250, Math.min(windowMs, time - startedAt));
+            return events.reduce((total, event) => total + event.amount, 0) * 1000 / span;
+        }
+    };
+}
+
+// Everything the panel shows; a connection starts with a fresh one
+export function createLinkStats(now = Date.now()) {
+    return {
+        rxBytes: createRateMeter(undefined, now),
+        txBytes: createRateMeter(undefined, now),
+        rxLines: createRateMeter(undefined, now), // Lines in the text protocol, packets in the binary one
+        txLines: createRateMeter(undefined, now),
+        samples: createRateMeter(undefined, now),
+        lastSampleAt: null,
+        parseFailures: 0,
+        partialLines: 0,
+        dropped: 0,
+        writesPending: 0, // Waiting in the send queue or being written
+        writesCoalesced: 0,
+        writesRefused: 0,
+        lastWriteMs: null,
+        maxWriteMs: 0,
+        roundTrips: []
+    };
+}
+
+export function formatByteRate(bytesPerSecond) {
+    return bytesPerSecond >= 1000 ? `${(bytesPerSecond / 1000).toFixed(1)} kB/s` : `${Math.round(bytesPerSecond)} B/s`;
+}
+
+// Last, min, average and max of the measured round trips (ms), or null before the first one
+export function summarizeRoundTrips(roundTrips) {
+    if (roundTrips.length === 0) return null;
+    return {
+        last: roundTrips.at(-1),
+        min: Math.min(...roundTrips),
+        avg: roundTrips.reduce((total, time) => total + time, 0) / roundTrips.length,
+        max: Math.max(...roundTrips),
+        count: roundTrips.length
+    };
+}
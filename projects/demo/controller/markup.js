@@ -0,0 +1,475 @@
+// The markup of the controller, shared by every page. A page only provides an empty #controller
+// element; startController() fills it from here before it looks any element up. The Safety and
+// PID Tuning panels are always there, since any page can switch to a profile that uses them; the
+// profile decides whether they start out visible.
+
+// Offered on every page; a profile with another rate gets it added when it is selected
+const BAUD_RATES = [9600, 19200, 38400, 57600, 115200, 921600];
+
+export function controllerMarkup(profile) {
+    const hidden = used => (used ? '' : ' hidden');
+    return `
+        <div class="top-bar">
+            <button id="darkModeToggle">🌙</button>
+        </div>
+
+        <div class="container">
+            <h1>Seesaw Controller ⚙️</h1>
+            <div class="control-group">
+                <button id="refreshPortsButton">Request/Refresh Ports</button>
+                <select id="portSelector" disabled></select>
+                <select id="baudRate">
+                    ${BAUD_RATES.map(rate => `<option value="${rate}">${rate}</option>`).join('')}
+                </select>
+                <select id="profileSelector" title="Device profile"></select>
+                <label class="chart-channel" title="Pick the profile from the device's USB IDs or its reply to an ID? request">
+                    <input type="checkbox" id="autoDetectProfile" checked>Auto-detect
+                </label>
+                <select id="protocolMode" title="Protocol">
+                    <option value="text" selected>Text</option>
+                    <option value="binary">Binary (COBS + CRC16)</option>
+                </select>
+                <label class="chart-channel" title="Number every frame and resend it until the device acknowledges it">
+                    <input type="checkbox" id="ackMode">Require ACK
+                </label>
+                <label class="chart-channel" title="Reopen the same USB device and resend the controls if the link drops">
+                    <input type="checkbox" id="autoReconnect" checked>Auto-reconnect
+                </label>
+                <button id="connectButton" disabled>Connect</button>
+            </div>
+            <button id="estopButton"${hidden(profile.safety)} title="Switch every motor off and send it immediately (Esc)">EMERGENCY STOP (Esc)</button>
+
+            <hr>
+            <!-- All main controls are wrapped in a fieldset, disabled by default -->
+            <fieldset id="main-controls" disabled>
+                <div class="control-group">
+                    <div class="number-controls" id="numberControls"></div>
+                    <div class="mode-switch" id="remoteModeSwitch">
+                        <label for="controlModeToggle">Use Phone as Setpoint:</label>
+                        <label class="switch">
+                            <input type="checkbox" id="controlModeToggle">
+                            <span class="slider round"></span>
+                        </label>
+                    </div>
+                </div>
+                <hr>
+
+                <!-- Toggles, colour pickers and LED bitmasks are generated from the command schema -->
+                <div id="commandControls"></div>
+
+                <div class="control-group">
+                    <button id="readParamsButton">Read From Device</button>
+                </div>
+                <div id="paramsDiff" class="params-diff" hidden>
+                    <strong>The device was running different values:</strong>
+                    <ul id="paramsDiffList"></ul>
+                    <div class="control-group">
+                        <button id="keepPageValuesButton">Keep Page Values</button>
+                        <button id="dismissParamsDiffButton">Use Device Values</button>
+                    </div>
+                </div>
+            </fieldset>
+
+            <div id="log">
+                <span id="status-indicator" class="disconnected"></span>
+                <span id="status-text">Status: Disconnected. Request port access to begin.</span>
+            </div>
+            <div id="remoteLog" class="remote-log">
+                <span id="remote-status-indicator" class="disconnected"></span>
+                <span id="remote-status-text">Remote control: not connected.</span>
+            </div>
+            <div id="linkCounters" class="link-counters" hidden></div>
+            <div id="ackStatus" class="ack-status" hidden>
+                <div id="ackConfirmed"></div>
+                <div id="ackPending"></div>
+            </div>
+        </div>
+
+        <div class="container">
+            <h2>Remote Control</h2>
+            <div class="control-group">
+                <input type="text" id="remoteUrl" placeholder="ws://localhost:3000" spellcheck="false">
+                <input type="password" id="remoteToken" placeholder="Token (optional)" autocomplete="off">
+                <label class="chart-channel"><input type="checkbox" id="remoteEnabled">Enabled</label>
+                <button id="applyRemoteButton">Apply &amp; Reconnect</button>
+            </div>
+        </div>
+
+        <div class="container" id="safetyPanel"${hidden(profile.safety)}>
+            <h2>Safety</h2>
+            <div class="input-group">
+                <label for="heartbeatInterval">Heartbeat (ms):</label>
+                <input type="text" id="heartbeatInterval" class="pid-input" title="0 turns the heartbeat off">
+            </div>
+            <div class="input-group">
+                <label for="silenceTimeout">Telemetry timeout (ms):</label>
+                <input type="text" id="silenceTimeout" class="pid-input" title="Stop the motors when no telemetry arrives for this long (0 = off)">
+            </div>
+            <div class="input-group">
+                <label for="tiltLimit">Tilt limit:</label>
+                <select id="tiltChannel"></select>
+                <input type="text" id="tiltLimit" class="pid-input" title="Stop the motors when the channel goes beyond ± this value (0 = off)">
+            </div>
+            <div id="safetyStatus" class="session-info">Motors have not been stopped.</div>
+        </div>
+
+        <div class="container">
+            <h2>Presets</h2>
+            <div class="control-group">
+                <input type="text" id="presetName" placeholder="Preset name">
+                <button id="savePresetButton">Save Preset</button>
+            </div>
+            <div class="control-group">
+                <select id="presetSelector"></select>
+                <button id="loadPresetButton">Load &amp; Send</button>
+                <button id="deletePresetButton">Delete</button>
+                <button id="importPresetsButton" class="export-button">Import JSON</button>
+                <button id="exportPresetsButton" class="export-button">Export JSON</button>
+                <input type="file" id="presetsFileInput" accept=".json" hidden>
+            </div>
+            <div class="control-group">
+                <label for="compareA">Compare:</label>
+                <select id="compareA"></select>
+                <label for="compareB">with</label>
+                <select id="compareB"></select>
+            </div>
+            <div class="schema-table-wrapper">
+                <table class="schema-table preset-comparison">
+                    <thead>
+                        <tr><th>Control</th><th>Left</th><th>Right</th></tr>
+                    </thead>
+                    <tbody id="presetComparisonBody"></tbody>
+                </table>
+            </div>
+        </div>
+
+        <div class="container" id="tuningPanel"${hidden(profile.tuning)}>
+            <h2>PID Tuning</h2>
+            <div class="input-group">
+                <label for="tuningChannel">Measure:</label>
+                <select id="tuningChannel"></select>
+            </div>
+            <div class="input-group">
+                <label for="stepSize">Step size:</label>
+                <input type="text" id="stepSize" class="pid-input" title="How far the step test moves the setpoint (negative steps down)">
+            </div>
+            <div class="input-group">
+                <label for="stepDuration">Record (ms):</label>
+                <input type="text" id="stepDuration" class="pid-input" title="How long the response is recorded after the step">
+            </div>
+            <div class="input-group">
+                <label for="settleBand">Settling band (%):</label>
+                <input type="text" id="settleBand" class="pid-input" title="Settled once the response stays within this percentage of the step">
+            </div>
+            <div class="input-group">
+                <label for="relayGain">Relay Kp:</label>
+                <input type="text" id="relayGain" class="pid-input" title="P-only gain for the relay test, high enough for the output to saturate">
+            </div>
+            <div class="input-group">
+                <label for="relayOutput">Output limit:</label>
+                <input type="text" id="relayOutput" class="pid-input" title="Where the controller output saturates, i.e. the relay amplitude">
+            </div>
+            <div class="input-group">
+                <label for="relayDuration">Relay run (ms):</label>
+                <input type="text" id="relayDuration" class="pid-input" title="How long the relay oscillation is recorded">
+            </div>
+            <div class="control-group">
+                <button id="stepTestButton">Run Step Test</button>
+                <button id="relayTestButton">Run Relay Test</button>
+                <button id="clearTuningButton" disabled>Clear Results</button>
+            </div>
+            <div id="tuningStatus" class="session-info">Connect, then run a step test to measure the response.</div>
+            <div class="schema-table-wrapper">
+                <table class="schema-table preset-comparison">
+                    <thead>
+                        <tr><th>Time</th><th>Gains</th><th>Step</th><th>Rise</th><th>Overshoot</th><th>Settling</th><th>Error</th></tr>
+                    </thead>
+                    <tbody id="tuningResultsBody"></tbody>
+                </table>
+            </div>
+            <div class="control-group" id="tuningSuggestion" hidden>
+                <span id="tuningSuggestionText"></span>
+                <button id="applySuggestionButton">Apply Suggested Gains</button>
+            </div>
+        </div>
+
+        <div class="container">
+            <h2>Setpoint Sequence</h2>
+            <div class="control-group">
+                <label for="sequenceRate">Rate (Hz):</label>
+                <input type="text" id="sequenceRate" class="schema-number" title="How often a setpoint frame is sent while the sequence runs">
+                <label for="sequenceLoops">Loops:</label>
+                <input type="text" id="sequenceLoops" class="schema-number" title="How many times the sequence is played (0 = until aborted)">
+            </div>
+            <div class="schema-table-wrapper">
+                <table class="schema-table">
+                    <thead>
+                        <tr><th>Type</th><th>Value</th><th>Value 2</th><th>Period (ms)</th><th>Duration (ms)</th><th>Waypoints (ms:value)</th><th></th></tr>
+                    </thead>
+                    <tbody id="sequenceTableBody"></tbody>
+                </table>
+            </div>
+            <div class="control-group">
+                <button id="addSegmentButton">Add Segment</button>
+                <button id="importSequenceButton" class="export-button">Import JSON</button>
+                <button id="exportSequenceButton" class="export-button">Export JSON</button>
+                <input type="file" id="sequenceFileInput" accept=".json" hidden>
+            </div>
+            <div class="control-group">
+                <button id="sequenceStartButton">Start</button>
+                <button id="sequencePauseButton">Pause</button>
+                <button id="sequenceAbortButton">Abort</button>
+            </div>
+            <div id="sequenceProgress" class="session-info">Connect, then start the sequence to stream it into the setpoint.</div>
+        </div>
+
+        <div class="container">
+            <h2>Teleoperation</h2>
+            <div class="control-group">
+                <label class="chart-channel"><input type="checkbox" id="teleopEnabled">Drive from gamepad / keyboard</label>
+                <label for="teleopRate">Rate (Hz):</label>
+                <input type="text" id="teleopRate" class="schema-number" title="How often a frame is sent while driving">
+            </div>
+            <div id="teleopGamepad" class="session-info"></div>
+            <div class="control-group">
+                <label for="teleopAxis-index">Setpoint axis:</label>
+                <input type="text" id="teleopAxis-index" class="schema-number" title="Gamepad axis number (0 = left stick, horizontal)">
+                <label for="teleopAxis-min">From:</label>
+                <input type="text" id="teleopAxis-min" class="schema-number">
+                <label for="teleopAxis-max">To:</label>
+                <input type="text" id="teleopAxis-max" class="schema-number">
+                <label for="teleopAxis-deadzone">Deadzone:</label>
+                <input type="text" id="teleopAxis-deadzone" class="schema-number" title="Stick travel around the centre that reads as zero, 0 to 1">
+                <label class="chart-channel"><input type="checkbox" id="teleopInvert">Invert</label>
+            </div>
+            <div class="control-group">
+                <label for="teleopKeyDown">Keys down / up:</label>
+                <input type="text" id="teleopKeyDown" class="teleop-key" placeholder="None" readonly>
+                <input type="text" id="teleopKeyUp" class="teleop-key" placeholder="None" readonly>
+            </div>
+            <div class="schema-table-wrapper">
+                <table class="schema-table">
+                    <thead>
+                        <tr><th>Action</th><th>Gamepad button</th><th>Key</th></tr>
+                    </thead>
+                    <tbody id="teleopBindingsBody"></tbody>
+                </table>
+            </div>
+            <div class="control-group">
+                <button id="resetTeleopButton">Reset to Default</button>
+            </div>
+            <div id="teleopStatus" class="session-info">Click a key field and press the key to bind it; Backspace clears it.</div>
+        </div>
+
+        <div class="container">
+            <h2>Devices</h2>
+            <div class="control-group">
+                <button id="addDeviceButton">Add Device</button>
+            </div>
+            <div id="deviceTabs" class="device-tabs"></div>
+            <div id="devicePanels"></div>
+            <div class="schema-table-wrapper">
+                <table class="schema-table">
+                    <thead>
+                        <tr><th>From (telemetry)</th><th>To (control)</th><th>Scale</th><th>Offset</th><th></th></tr>
+                    </thead>
+                    <tbody id="routeTableBody"></tbody>
+                </table>
+            </div>
+            <div class="control-group">
+                <button id="addRouteButton">Add Route</button>
+                <label class="chart-channel" title="Send routed values while telemetry arrives; an E-stop switches this off">
+                    <input type="checkbox" id="routingEnabled" checked>Routing on
+                </label>
+            </div>
+            <div id="routeStatus" class="session-info">Add a device, then route its telemetry into another device's controls.</div>
+        </div>
+
+        <div class="container">
+            <h2>Live Data</h2>
+            <div id="gauges-container"></div>
+        </div>
+
+        <div class="container">
+            <h2>Alarms</h2>
+            <div id="alarmStatus" class="alarm-status normal">All channels normal.</div>
+            <div class="schema-table-wrapper">
+                <table class="schema-table">
+                    <thead>
+                        <tr><th>Channel</th><th>Level</th><th>Warning</th><th>Critical</th><th>Out of range</th></tr>
+                    </thead>
+                    <tbody id="alarmTableBody"></tbody>
+                </table>
+            </div>
+            <div class="control-group">
+                <label class="chart-channel" title="Beep when a channel rises to warning or critical">
+                    <input type="checkbox" id="alarmSound">Sound
+                </label>
+                <button id="clearAlarmsButton">Clear Log &amp; Counters</button>
+            </div>
+            <ol id="alarmLog" class="alarm-log"></ol>
+        </div>
+
+        <div class="container">
+            <h2>Live Chart</h2>
+            <div class="control-group chart-controls">
+                <label for="chartWindow">Window:</label>
+                <select id="chartWindow">
+                    <option value="5">5 s</option>
+                    <option value="10" selected>10 s</option>
+                    <option value="30">30 s</option>
+                    <option value="60">60 s</option>
+                </select>
+                <button id="chartPauseButton">Pause</button>
+                <label class="chart-channel"><input type="checkbox" id="chartAutoscale" checked>Autoscale</label>
+            </div>
+            <div class="control-group" id="chartChannels"></div>
+            <canvas id="chartCanvas"></canvas>
+        </div>
+
+        <div class="container">
+            <h2>Session Recording &amp; Replay</h2>
+            <div class="control-group">
+                <button id="recordButton">Start Recording</button>
+                <button id="exportCsvButton" class="export-button" disabled>Export CSV</button>
+                <button id="exportJsonButton" class="export-button" disabled>Export JSON</button>
+            </div>
+            <div id="sessionInfo" class="session-info">No session recorded.</div>
+            <div class="control-group">
+                <button id="loadSessionButton">Load Session</button>
+                <input type="file" id="sessionFileInput" accept=".json,.csv" hidden>
+            </div>
+            <div class="control-group" id="replayControls" hidden>
+                <button id="replayPlayButton">Play</button>
+                <input type="range" id="replaySeek" min="0" max="0" step="1" value="0">
+                <span id="replayPosition">0.0 s / 0.0 s</span>
+                <select id="replaySpeed">
+                    <option value="0.25">0.25x</option>
+                    <option value="0.5">0.5x</option>
+                    <option value="1" selected>1x</option>
+                    <option value="2">2x</option>
+                    <option value="4">4x</option>
+                    <option value="8">8x</option>
+                </select>
+                <button id="exitReplayButton">Exit Replay</button>
+            </div>
+        </div>
+
+        <div class="container">
+            <h2>Serial Terminal</h2>
+            <div class="control-group">
+                <select id="terminalView">
+                    <option value="ascii" selected>ASCII</option>
+                    <option value="hex">Hex</option>
+                </select>
+                <select id="terminalDirection">
+                    <option value="all" selected>RX + TX</option>
+                    <option value="rx">RX only</option>
+                    <option value="tx">TX only</option>
+                </select>
+                <input type="text" id="terminalFilter" placeholder="Filter">
+                <label class="chart-channel"><input type="checkbox" id="terminalAutoScroll" checked>Auto-scroll</label>
+                <button id="clearTerminalButton">Clear</button>
+            </div>
+            <div id="terminalOutput"></div>
+            <div class="control-group">
+                <input type="text" id="terminalInput" placeholder="Text to send" disabled>
+                <select id="terminalLineEnding">
+                    <option value="lf" selected>LF</option>
+                    <option value="crlf">CR+LF</option>
+                    <option value="cr">CR</option>
+                    <option value="none">No line ending</option>
+                </select>
+                <button id="terminalSendButton" disabled>Send</button>
+            </div>
+        </div>
+
+        <div class="container">
+            <h2>Link Health</h2>
+            <table class="link-health-table">
+                <tr><th>Received</th><td id="healthRx"></td></tr>
+                <tr><th>Sent</th><td id="healthTx"></td></tr>
+                <tr><th>Telemetry samples</th><td id="healthSamples"></td></tr>
+                <tr><th>Last sample</th><td id="healthLastSample"></td></tr>
+                <tr><th>Parse failures</th><td id="healthParseFailures"></td></tr>
+                <tr><th>Partial lines</th><td id="healthPartialLines"></td></tr>
+                <tr><th>Dropped</th><td id="healthDropped"></td></tr>
+                <tr><th>Writes</th><td id="healthWrites"></td></tr>
+                <tr><th>Send queue</th><td id="healthQueue"></td></tr>
+                <tr><th>Round trip</th><td id="healthPing"></td></tr>
+            </table>
+            <div class="control-group">
+                <button id="pingButton">Ping</button>
+                <label class="chart-channel"><input type="checkbox" id="autoPing">Ping every 2 s</label>
+                <button id="resetHealthButton">Reset</button>
+            </div>
+            <div class="control-group">
+                <label for="maxFrameRate">Max frames/s (0 = no limit):</label>
+                <input type="number" id="maxFrameRate" min="0" step="1">
+            </div>
+        </div>
+
+        <div class="container">
+            <details id="schemaEditor" class="schema-editor">
+                <summary><h2>Telemetry Schema</h2></summary>
+                <p class="schema-help">Each channel is read from <code>key: value</code> pairs in the lines printed by the firmware.</p>
+                <div class="schema-table-wrapper">
+                    <table class="schema-table">
+                        <thead>
+                            <tr><th>Key</th><th>Label</th><th>Unit</th><th>Min</th><th>Max</th><th>Critical below</th><th>Warn below</th><th>Warn above</th><th>Critical above</th><th>Widget</th><th>Colour</th><th></th></tr>
+                        </thead>
+                        <tbody id="schemaTableBody"></tbody>
+                    </table>
+                </div>
+                <div class="control-group">
+                    <button id="addChannelButton">Add Channel</button>
+                    <button id="applySchemaButton">Apply</button>
+                    <button id="resetSchemaButton">Reset to Default</button>
+                    <button id="importSchemaButton" class="export-button">Import JSON</button>
+                    <button id="exportSchemaButton" class="export-button">Export JSON</button>
+                    <input type="file" id="schemaFileInput" accept=".json" hidden>
+                </div>
+            </details>
+        </div>
+
+        <div class="container">
+            <details id="commandEditor" class="schema-editor">
+                <summary><h2>Command Frame</h2></summary>
+                <p class="schema-help">Each control is sent as a <code>key: value</code> pair, in table order.</p>
+                <div class="control-group">
+                    <label for="frameSeparator">Separator:</label>
+                    <select id="frameSeparator">
+                        <option value="space">Space</option>
+                        <option value="comma">Comma</option>
+                        <option value="semicolon">Semicolon</option>
+                        <option value="tab">Tab</option>
+                    </select>
+                    <label for="frameTerminator">Terminator:</label>
+                    <select id="frameTerminator">
+                        <option value="lf">\\n</option>
+                        <option value="crlf">\\r\\n</option>
+                        <option value="cr">\\r</option>
+                        <option value="none">None</option>
+                    </select>
+                </div>
+                <div class="schema-table-wrapper">
+                    <table class="schema-table">
+                        <thead>
+                            <tr><th>Key</th><th>Label</th><th>Type</th><th>Default</th><th>Decimals</th><th>LED Colours</th><th>Remote</th><th></th></tr>
+                        </thead>
+                        <tbody id="commandTableBody"></tbody>
+                    </table>
+                </div>
+                <p class="schema-help">Example frame: <code id="framePreview"></code></p>
+                <div class="control-group">
+                    <button id="addControlButton">Add Control</button>
+                    <button id="applyCommandSchemaButton">Apply</button>
+                    <button id="resetCommandSchemaButton">Reset to Default</button>
+                    <button id="importCommandSchemaButton" class="export-button">Import JSON</button>
+                    <button id="exportCommandSchemaButton" class="export-button">Export JSON</button>
+                    <input type="file" id="commandSchemaFileInput" accept=".json" hidden>
+                </div>
+            </details>
+        </div>
+    `;
+}
@@ -0,0 +1,168 @@
+// The Alarms panel. Every sample puts each channel at a level (see ../alarms.js); a change of
+// level is logged with its time and marked on the chart, and a rise to warning or critical raises
+// an alert. Samples outside min/max, which the dials clamp, are counted per channel. All of it
+// follows the schema, so it starts over when the schema changes.
+import { alarmLevel, outOfRange } from '../alarms.js';
+import { channelTitle } from '../gauges.js';
+import { formatChartValue } from './chart.js';
+import { formatTerminalTime } from './terminal.js';
+
+const ALARM_LOG_MAX_ENTRIES = 500;
+const ALARM_RANK = { normal: 0, warning: 1, critical: 2 };
+
+// elements         the panel's elements by id: alarmStatus, alarmTableBody, alarmSound,
+//                  clearAlarmsButton, alarmLog
+// page             the shared page state (see controller.js)
+// soundStorageKey  where the sound switch is saved; like the theme it belongs to the page
+// onChange         runs whenever the logged level changes do, so the chart can mark them
+export function createAlarmPanel({ elements, page, soundStorageKey, onChange }) {
+    const { alarmStatus, alarmTableBody, alarmSound: alarmSoundToggle, clearAlarmsButton, alarmLog } = elements;
+    let alarmLevels = [];
+    let outOfRangeCounts = [];
+    let alarmEvents = [];
+    let alarmAudio = null;
+
+    // --- Levels ---
+    function resetAlarms() {
+        alarmLevels = page.telemetrySchema.map(() => 'normal');
+        outOfRangeCounts = page.telemetrySchema.map(() => 0);
+        alarmEvents = [];
+        alarmLog.innerHTML = '';
+        renderAlarmTable();
+        renderAlarmStatus();
+        onChange();
+    }
+
+    function describeThresholds(low, high) {
+        const limits = [low !== null ? `< ${low}` : null, high !== null ? `> ${high}` : null].filter(Boolean);
+        return limits.length > 0 ? limits.join(' or ') : '—';
+    }
+
+    function renderAlarmTable() {
+        alarmTableBody.innerHTML = '';
+        page.telemetrySchema.forEach((config, index) => {
+            const row = document.createElement('tr');
+            [channelTitle(config), '', describeThresholds(config.warnLow, config.warnHigh),
+                describeThresholds(config.critLow, config.critHigh), ''].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            alarmTableBody.appendChild(row);
+            renderAlarmRow(index);
+        });
+    }
+
+    function renderAlarmRow(index) {
+        const cells = alarmTableBody.rows[index].cells;
+        cells[1].textContent = alarmLevels[index];
+        cells[1].className = `alarm-level ${alarmLevels[index]}`;
+        cells[4].textContent = outOfRangeCounts[index];
+    }
+
+    function renderAlarmStatus() {
+        const worst = Math.max(0, ...alarmLevels.map(level => ALARM_RANK[level]));
+        const level = Object.keys(ALARM_RANK).find(name => ALARM_RANK[name] === worst);
+        const channels = page.telemetrySchema.filter((config, index) => alarmLevels[index] === level).map(config => config.label);
+        alarmStatus.textContent = level === 'normal'
+            ? 'All channels normal.'
+            : `${level === 'critical' ? 'CRITICAL' : 'Warning'}: ${channels.join(', ')}`;
+        alarmStatus.className = `alarm-status ${level}`;
+    }
+
+    function checkAlarms(values, time) {
+        let levelChanged = false;
+        page.telemetrySchema.forEach((config, index) => {
+            const value = values[index];
+            const level = alarmLevel(config, value);
+            const previous = alarmLevels[index];
+            const clamped = outOfRange(config, value);
+            if (clamped) {
+                outOfRangeCounts[index]++;
+            }
+            if (level !== previous) {
+                alarmLevels[index] = level;
+                logAlarmEvent({ time, channel: index, from: previous, to: level, value });
+                if (ALARM_RANK[level] > ALARM_RANK[previous]) {
+                    raiseAlert(level);
+                }
+                levelChanged = true;
+            }
+            if (clamped || level !== previous) {
+                renderAlarmRow(index);
+            }
+        });
+        if (levelChanged) {
+            renderAlarmStatus();
+        }
+    }
+
+    function logAlarmEvent(event) {
+        alarmEvents.push(event);
+        if (alarmEvents.length > ALARM_LOG_MAX_ENTRIES) {
+            alarmEvents.shift();
+        }
+        const config = page.telemetrySchema[event.channel];
+        const entry = document.createElement('li');
+        entry.className = event.to;
+        entry.textContent = `${formatTerminalTime(event.time)} ${channelTitle(config)}: ${event.from} → ${event.to} at ${formatChartValue(event.value)}`;
+        alarmLog.prepend(entry); // Newest first
+        if (alarmLog.children.length > ALARM_LOG_MAX_ENTRIES) {
+            alarmLog.lastElementChild.remove();
+        }
+        onChange();
+    }
+
+    // --- Alerts ---
+    // The gauges and the status line show the level already; this adds the sound when it's on
+    function raiseAlert(level) {
+        alarmStatus.classList.remove('alert');
+        void alarmStatus.offsetWidth; // Restarts the flash animation
+        alarmStatus.classList.add('alert');
+        if (!alarmSoundToggle.checked || !alarmAudio) return;
+        const oscillator = alarmAudio.createOscillator();
+        const gain = alarmAudio.createGain();
+        oscillator.frequency.value = level === 'critical' ? 880 : 440;
+        gain.gain.value = 0.1;
+        oscillator.connect(gain).connect(alarmAudio.destination);
+        oscillator.start();
+        oscillator.stop(alarmAudio.currentTime + (level === 'critical' ? 0.4 : 0.15));
+    }
+
+    // Browsers only let audio start from a user gesture, so the context is made when sound is switched on
+    function enableAlarmSound() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            alarmSoundToggle.checked = false;
+            alarmSoundToggle.disabled = true;
+            return;
+        }
+        alarmAudio ??= new AudioContextClass();
+        alarmAudio.resume();
+    }
+
+    alarmSoundToggle.checked = localStorage.getItem(soundStorageKey) === 'true';
+    alarmSoundToggle.addEventListener('change', () => {
+        if (alarmSoundToggle.checked) {
+            enableAlarmSound();
+        }
+        localStorage.setItem(soundStorageKey, String(alarmSoundToggle.checked));
+    });
+    // A saved "on" still needs a gesture before the first sound
+    document.addEventListener('pointerdown', () => {
+        if (alarmSoundToggle.checked) {
+            enableAlarmSound();
+        }
+    }, { once: true });
+    clearAlarmsButton.addEventListener('click', resetAlarms);
+
+    resetAlarms();
+
+    return {
+        get events() {
+            return alarmEvents;
+        },
+        reset: resetAlarms,
+        check: checkAlarms
+    };
+}
@@ -0,0 +1,261 @@
+// The live chart: one lane per telemetry channel, over a window that follows the newest sample or
+// stays where it was paused. Samples are kept in a fixed-size ring buffer so long tuning sessions
+// don't grow memory. Thresholds are drawn as dashed lines and alarm level changes as ticks.
+import { ALARM_THRESHOLDS } from '../alarms.js';
+import { channelTitle } from '../gauges.js';
+
+const CHART_BUFFER_SIZE = 10000;
+const ALARM_COLORS = { warning: '#ffc107', critical: '#dc3545' };
+
+// Fixed-capacity FIFO: once full, every push overwrites the oldest item
+function createRingBuffer(capacity) {
+    const items = new Array(capacity);
+    let start = 0;
+    let length = 0;
+    return {
+        push(item) {
+            items[(start + length) % capacity] = item;
+            if (length < capacity) {
+                length++;
+            } else {
+                start = (start + 1) % capacity;
+            }
+        },
+        get(index) {
+            return items[(start + index) % capacity];
+        },
+        get length() {
+            return length;
+        },
+        clear() {
+            start = 0;
+            length = 0;
+        }
+    };
+}
+
+export function formatChartValue(value) {
+    return Math.abs(value) >= 1000 ? value.toFixed(0) : value.toFixed(1);
+}
+
+// elements     the panel's elements by id: chartCanvas, chartWindow, chartPauseButton, chartAutoscale,
+//              chartChannels
+// page         the shared page state (see controller.js)
+// alarmEvents  returns the level changes the alarm panel has logged, to mark on the chart
+export function createLiveChart({ elements, page, alarmEvents }) {
+    const {
+        chartCanvas, chartWindow: chartWindowSelector, chartPauseButton, chartAutoscale: chartAutoscaleToggle, chartChannels
+    } = elements;
+    const chartBuffer = createRingBuffer(CHART_BUFFER_SIZE);
+    let chartChannelEnabled = [];
+    let chartPaused = false;
+    let chartPausedAt = 0;
+    let chartDirty = true;
+
+    // --- Samples ---
+    function pushChartSample(values, timestamp = Date.now()) {
+        chartBuffer.push({ t: timestamp, values });
+        chartDirty = true;
+    }
+
+    // Index of the first buffered sample at or after the given time (timestamps are increasing)
+    function findChartIndex(time) {
+        let low = 0;
+        let high = chartBuffer.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (chartBuffer.get(mid).t < time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    // --- Drawing ---
+    function drawChart() {
+        const dpr = window.devicePixelRatio || 1;
+        const width = chartCanvas.clientWidth;
+        const height = chartCanvas.clientHeight;
+        if (chartCanvas.width !== Math.round(width * dpr) || chartCanvas.height !== Math.round(height * dpr)) {
+            chartCanvas.width = Math.round(width * dpr);
+            chartCanvas.height = Math.round(height * dpr);
+        }
+        const ctx = chartCanvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const styles = getComputedStyle(document.body);
+        const textColor = styles.getPropertyValue('--text-color-light').trim();
+        const gridColor = styles.getPropertyValue('--hr-color').trim();
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = textColor;
+
+        const channels = page.telemetrySchema.map((config, index) => index).filter(index => chartChannelEnabled[index]);
+        if (channels.length === 0) {
+            ctx.textAlign = 'center';
+            ctx.fillText('No channels selected', width / 2, height / 2);
+            return;
+        }
+
+        // The window follows the newest sample, or stays frozen at the pause point
+        const windowMs = parseFloat(chartWindowSelector.value) * 1000;
+        const latest = chartBuffer.length > 0 ? chartBuffer.get(chartBuffer.length - 1).t : Date.now();
+        const endTime = chartPaused ? chartPausedAt : latest;
+        const startTime = endTime - windowMs;
+        const firstIndex = findChartIndex(startTime);
+        const lastIndex = chartPaused ? findChartIndex(endTime + 1) : chartBuffer.length;
+
+        const plotLeft = 55;
+        const plotWidth = width - plotLeft - 5;
+        const laneHeight = height / channels.length;
+
+        // Each enabled channel gets its own lane, since units differ wildly (RPM vs degrees)
+        channels.forEach((channel, lane) => {
+            const config = page.telemetrySchema[channel];
+            const top = lane * laneHeight + 6;
+            const bottom = (lane + 1) * laneHeight - 6;
+
+            let min = config.min;
+            let max = config.max;
+            if (chartAutoscaleToggle.checked && lastIndex > firstIndex) {
+                min = Infinity;
+                max = -Infinity;
+                for (let i = firstIndex; i < lastIndex; i++) {
+                    const value = chartBuffer.get(i).values[channel];
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                }
+                const padding = (max - min) * 0.1 || Math.abs(max) * 0.1 || 1;
+                min -= padding;
+                max += padding;
+            }
+            const toY = value => bottom - ((value - min) / (max - min)) * (bottom - top);
+
+            ctx.strokeStyle = gridColor;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(plotLeft, top);
+            ctx.lineTo(plotLeft + plotWidth, top);
+            ctx.moveTo(plotLeft, bottom);
+            ctx.lineTo(plotLeft + plotWidth, bottom);
+            if (min < 0 && max > 0) {
+                ctx.moveTo(plotLeft, toY(0));
+                ctx.lineTo(plotLeft + plotWidth, toY(0));
+            }
+            ctx.stroke();
+
+            ctx.textAlign = 'right';
+            ctx.fillStyle = textColor;
+            ctx.fillText(formatChartValue(max), plotLeft - 4, top + 8);
+            ctx.fillText(formatChartValue(min), plotLeft - 4, bottom);
+            ctx.textAlign = 'left';
+            ctx.fillStyle = config.color;
+            ctx.fillText(channelTitle(config), plotLeft + 4, top + 12);
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(plotLeft, top, plotWidth, bottom - top);
+            ctx.clip();
+            // Thresholds as dashed lines, and a tick wherever the channel changed alarm level
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ALARM_THRESHOLDS.filter(field => config[field] !== null).forEach(field => {
+                ctx.strokeStyle = ALARM_COLORS[field.startsWith('crit') ? 'critical' : 'warning'];
+                ctx.beginPath();
+                ctx.moveTo(plotLeft, toY(config[field]));
+                ctx.lineTo(plotLeft + plotWidth, toY(config[field]));
+                ctx.stroke();
+            });
+            ctx.setLineDash([]);
+            alarmEvents().filter(event => event.channel === channel && event.time >= startTime && event.time <= endTime).forEach(event => {
+                const x = plotLeft + ((event.time - startTime) / windowMs) * plotWidth;
+                ctx.strokeStyle = ALARM_COLORS[event.to] ?? textColor;
+                ctx.beginPath();
+                ctx.moveTo(x, top);
+                ctx.lineTo(x, bottom);
+                ctx.stroke();
+            });
+            ctx.strokeStyle = config.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            for (let i = firstIndex; i < lastIndex; i++) {
+                const sample = chartBuffer.get(i);
+                const x = plotLeft + ((sample.t - startTime) / windowMs) * plotWidth;
+                const y = toY(sample.values[channel]);
+                if (i === firstIndex) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            ctx.stroke();
+            ctx.restore();
+        });
+    }
+
+    // Redraw at most once per frame, and only when something changed
+    function chartLoop() {
+        if (chartDirty) {
+            chartDirty = false;
+            drawChart();
+        }
+        requestAnimationFrame(chartLoop);
+    }
+
+    // --- Channels ---
+    // Channel toggles and buffered samples are tied to the schema, so both start over when it changes
+    function buildChartChannels() {
+        chartBuffer.clear();
+        chartChannelEnabled = page.telemetrySchema.map(() => true);
+        chartChannels.innerHTML = '';
+        page.telemetrySchema.forEach((config, index) => {
+            const label = document.createElement('label');
+            label.className = 'chart-channel';
+            label.innerHTML = `<input type="checkbox" checked><span class="chart-swatch" style="background-color: ${config.color}"></span>`;
+            label.append(channelTitle(config));
+            const checkbox = label.querySelector('input');
+            checkbox.addEventListener('change', () => {
+                chartChannelEnabled[index] = checkbox.checked;
+                chartDirty = true;
+            });
+            chartChannels.appendChild(label);
+        });
+        chartDirty = true;
+    }
+
+    buildChartChannels();
+
+    chartPauseButton.addEventListener('click', () => {
+        chartPaused = !chartPaused;
+        if (chartPaused && chartBuffer.length > 0) {
+            chartPausedAt = chartBuffer.get(chartBuffer.length - 1).t;
+        } else if (chartPaused) {
+            chartPausedAt = Date.now();
+        }
+        chartPauseButton.textContent = chartPaused ? 'Resume' : 'Pause';
+        chartPauseButton.classList.toggle('paused', chartPaused);
+        chartDirty = true;
+    });
+
+    chartWindowSelector.addEventListener('change', () => { chartDirty = true; });
+    chartAutoscaleToggle.addEventListener('change', () => { chartDirty = true; });
+    window.addEventListener('resize', () => { chartDirty = true; });
+
+    requestAnimationFrame(chartLoop);
+
+    return {
+        push: pushChartSample,
+        // Drops the buffered samples, e.g. before a replay fills the chart again
+        clear() {
+            chartBuffer.clear();
+            chartDirty = true;
+        },
+        rebuild: buildChartChannels,
+        // For changes drawn on the chart that it can't see itself: theme colours, alarm marks
+        redraw() {
+            chartDirty = true;
+        }
+    };
+}
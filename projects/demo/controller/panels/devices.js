@@ -0,0 +1,505 @@
+// The Devices panel: boards connected next to the page's own device, each on a tab with its own
+// port, baud rate, profile, protocol, connection and status, its live values and a compact set of
+// controls built from the profile's command schema. Routes feed a telemetry channel of one device,
+// scaled and offset, into a number control of another; the page's own device takes part through
+// the `main` callbacks. Devices and routes last as long as the page, since ports have to be picked
+// again after a reload anyway. Extra devices have no acknowledgements, reconnects or watchdog;
+// those stay with the page's own device. Their toggle controls count as motor outputs, though:
+// the page's E-stop switches them off, and a profile with `safety` gets its heartbeat.
+import { openDeviceConnection } from '../connection.js';
+import {
+    normalizeTelemetrySchema, normalizeCommandSchema, parseNumberInput, parseTelemetryLine, roundForFrame, buildCommandFrame,
+    encodeCommandPacket, unframePacket, decodeTelemetryPayload, encodeHeartbeat
+} from '../protocol.js';
+import { channelTitle, createGauge, updateGauge } from '../gauges.js';
+
+export const MAIN_DEVICE = 'main';
+
+// elements    the panel's static elements: addDeviceButton, deviceTabs, devicePanels, routeTableBody,
+//             addRouteButton, routingEnabled, routeStatus
+// main        the page's own device: name(), telemetrySchema(), commandSchema() and
+//             setControlValues(values), which applies routed values and sends them
+// listPorts   resolves to the ports a device can open, as `{ port, label }`
+// baudRates   the rates offered, as in the page's own selector
+export function createDeviceManager({ profiles, elements, main, listPorts, baudRates }) {
+    const {
+        addDeviceButton, deviceTabs, devicePanels, routeTableBody, addRouteButton, routingEnabled, routeStatus
+    } = elements;
+    const devices = [];
+    let routes = [];
+    let nextDeviceNumber = 2; // The page's own device is the first
+    let selectedDevice = null;
+
+    // --- Devices ---
+    function addDevice() {
+        const number = nextDeviceNumber++;
+        const device = {
+            id: `device${number}`,
+            name: `Device ${number}`,
+            profile: null,
+            telemetrySchema: [],
+            commandSchema: null,
+            values: {},
+            ports: [],
+            connection: null,
+            sendTimeout: null,
+            heartbeatTimer: null
+        };
+        device.tab = document.createElement('button');
+        device.tab.className = 'device-tab';
+        device.tab.textContent = device.name;
+        device.tab.addEventListener('click', () => selectDevice(device));
+        deviceTabs.appendChild(device.tab);
+        device.panel = createDevicePanel(device);
+        devicePanels.appendChild(device.panel);
+        devices.push(device);
+
+        setDeviceProfile(device, profiles[0]);
+        refreshDevicePorts(device);
+        selectDevice(device);
+        renderRoutes();
+        return device;
+    }
+
+    function createDevicePanel(device) {
+        const panel = document.createElement('div');
+        panel.className = 'device-panel';
+        panel.innerHTML = `
+            <div class="control-group">
+                <select id="${device.id}-port" title="Port"></select>
+                <button id="${device.id}-refresh" class="device-refresh-button" title="Look for ports again">Refresh</button>
+                <select id="${device.id}-baudRate" title="Baud rate"></select>
+                <select id="${device.id}-profile" title="Device profile"></select>
+                <select id="${device.id}-protocol" title="Protocol">
+                    <option value="text" selected>Text</option>
+                    <option value="binary">Binary (COBS + CRC16)</option>
+                </select>
+                <button id="${device.id}-connect" class="device-connect-button">Connect</button>
+                <button id="${device.id}-remove" class="schema-remove-button" title="Disconnect and remove this device">Remove</button>
+            </div>
+            <div class="remote-log">
+                <span id="${device.id}-indicator" class="device-status-indicator disconnected"></span>
+                <span id="${device.id}-status">Not connected.</span>
+            </div>
+            <div id="${device.id}-gauges" class="device-gauges"></div>
+            <fieldset id="${device.id}-controls" class="device-controls" disabled></fieldset>
+        `;
+        const find = role => panel.querySelector(`#${device.id}-${role}`);
+        device.elements = {
+            port: find('port'),
+            baudRate: find('baudRate'),
+            profile: find('profile'),
+            protocol: find('protocol'),
+            connect: find('connect'),
+            indicator: find('indicator'),
+            status: find('status'),
+            gauges: find('gauges'),
+            controls: find('controls')
+        };
+        baudRates.forEach(rate => {
+            const option = document.createElement('option');
+            option.value = rate;
+            option.textContent = rate;
+            device.elements.baudRate.appendChild(option);
+        });
+        profiles.forEach(candidate => {
+            const option = document.createElement('option');
+            option.value = candidate.id;
+            option.textContent = candidate.name;
+            device.elements.profile.appendChild(option);
+        });
+
+        find('refresh').addEventListener('click', () => refreshDevicePorts(device));
+        device.elements.profile.addEventListener('change', () => {
+            setDeviceProfile(device, profiles.find(candidate => candidate.id === device.elements.profile.value));
+            renderRoutes();
+        });
+        device.elements.connect.addEventListener('click', () => (device.connection ? disconnectDevice(device) : connectDevice(device)));
+        find('remove').addEventListener('click', () => removeDevice(device));
+        return panel;
+    }
+
+    async function refreshDevicePorts(device) {
+        try {
+            device.ports = await listPorts();
+        } catch (error) {
+            setDeviceStatus(device, `Error getting ports: ${error.message}`);
+            return;
+        }
+        const select = device.elements.port;
+        select.innerHTML = '';
+        device.ports.forEach(({ label }, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    function selectDevice(device) {
+        selectedDevice = device;
+        devices.forEach(candidate => {
+            candidate.tab.classList.toggle('active', candidate === device);
+            candidate.panel.hidden = candidate !== device;
+        });
+    }
+
+    // Rebuilds the device's gauges and controls; ids are prefixed so they can't clash with the page's own
+    function setDeviceProfile(device, profile) {
+        device.profile = profile;
+        device.elements.profile.value = profile.id;
+        device.elements.baudRate.value = String(profile.baudRate);
+        device.telemetrySchema = normalizeTelemetrySchema(profile.telemetry)
+            .map(config => ({ ...config, id: `${device.id}-gauge-${config.key}` }));
+        device.commandSchema = normalizeCommandSchema(profile.commands);
+        device.values = Object.fromEntries(device.commandSchema.controls.map(control => [control.key, control.value]));
+
+        device.elements.gauges.innerHTML = '';
+        device.telemetrySchema.forEach(config => {
+            createGauge(device.elements.gauges, config);
+            updateGauge(config, 0);
+        });
+        device.elements.controls.innerHTML = '';
+        device.commandSchema.controls.forEach(control => device.elements.controls.appendChild(createDeviceControl(device, control)));
+    }
+
+    function createDeviceControl(device, control) {
+        const id = `${device.id}-control-${control.key}`;
+        const wrapper = document.createElement('div');
+        wrapper.className = 'input-group';
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = `${control.label}:`;
+        const input = document.createElement('input');
+        input.id = id;
+        if (control.type === 'toggle') {
+            input.type = 'checkbox';
+            input.checked = control.value;
+            input.addEventListener('change', () => {
+                device.values[control.key] = input.checked;
+                scheduleDeviceSend(device);
+            });
+        } else if (control.type === 'color') {
+            input.type = 'color';
+            input.value = control.value;
+            input.addEventListener('input', () => {
+                device.values[control.key] = input.value;
+                scheduleDeviceSend(device);
+            });
+        } else {
+            // Bitmasks are typed as their number here rather than clicked LED by LED
+            input.type = 'text';
+            input.className = 'pid-input';
+            input.value = control.value;
+            input.addEventListener('input', () => {
+                const value = parseNumberInput(input.value);
+                const valid = control.type === 'number' ? !isNaN(value) : Number.isInteger(value) && value >= 0 && value < 2 ** control.bits.length;
+                input.classList.toggle('invalid', !valid);
+                if (valid) {
+                    device.values[control.key] = value;
+                    scheduleDeviceSend(device);
+                }
+            });
+        }
+        wrapper.append(label, input);
+        return wrapper;
+    }
+
+    async function removeDevice(device) {
+        if (device.connection) {
+            await disconnectDevice(device);
+        }
+        devices.splice(devices.indexOf(device), 1);
+        device.tab.remove();
+        device.panel.remove();
+        routes = routes.filter(route => route.from.device !== device.id && route.to.device !== device.id);
+        if (selectedDevice === device) {
+            selectedDevice = null;
+            if (devices.length > 0) {
+                selectDevice(devices.at(-1));
+            }
+        }
+        renderRoutes();
+    }
+
+    function setDeviceStatus(device, text, connected = Boolean(device.connection)) {
+        device.elements.status.textContent = text;
+        device.elements.indicator.className = `device-status-indicator ${connected ? 'connected' : 'disconnected'}`;
+    }
+
+    function setDeviceConnectedUi(device, connected) {
+        device.elements.connect.textContent = connected ? 'Disconnect' : 'Connect';
+        device.elements.connect.classList.toggle('disconnect', connected);
+        ['port', 'baudRate', 'profile', 'protocol'].forEach(role => (device.elements[role].disabled = connected));
+        device.elements.controls.disabled = !connected;
+    }
+
+    // --- Connections ---
+    async function connectDevice(device) {
+        const entry = device.ports[device.elements.port.value];
+        if (!entry) {
+            setDeviceStatus(device, 'Error: No port selected.');
+            return false;
+        }
+        const baudRate = parseInt(device.elements.baudRate.value, 10);
+        try {
+            device.connection = await openDeviceConnection(entry.port, {
+                baudRate,
+                protocol: device.elements.protocol.value,
+                onLine: line => handleDeviceLine(device, line),
+                onPacket: encoded => handleDevicePacket(device, encoded),
+                onDrop: () => {},
+                onTraffic: () => {},
+                onLost: reason => handleDeviceLost(device, reason),
+                maxRate: device.profile.maxFrameRate
+            });
+        } catch (error) {
+            device.connection = null;
+            setDeviceStatus(device, `Error: ${error.message}`);
+            return false;
+        }
+        setDeviceConnectedUi(device, true);
+        setDeviceStatus(device, `Connected to ${entry.label} (Baud: ${baudRate}, ${device.connection.protocol} protocol)`);
+        device.connection.listen();
+        startDeviceHeartbeat(device);
+        return true;
+    }
+
+    async function disconnectDevice(device, status = 'Disconnected.') {
+        clearTimeout(device.sendTimeout);
+        clearInterval(device.heartbeatTimer);
+        device.heartbeatTimer = null;
+        const connection = device.connection;
+        device.connection = null;
+        try {
+            await connection?.close();
+        } catch (error) {
+            status = `${status} The port didn't close (${error.message}).`;
+        }
+        setDeviceConnectedUi(device, false);
+        setDeviceStatus(device, status);
+    }
+
+    async function handleDeviceLost(device, reason) {
+        await disconnectDevice(device, `Connection lost (${reason}).`);
+    }
+
+    function handleDeviceLine(device, line) {
+        const values = parseTelemetryLine(line, device.telemetrySchema);
+        if (values) {
+            handleDeviceTelemetry(device, values);
+        }
+    }
+
+    // Only telemetry packets matter here; anything else from an extra device is dropped
+    function handleDevicePacket(device, encoded) {
+        const { payload } = unframePacket(encoded);
+        const values = payload && decodeTelemetryPayload(payload, device.telemetrySchema);
+        if (values && !values.some(isNaN)) {
+            handleDeviceTelemetry(device, values);
+        }
+    }
+
+    function handleDeviceTelemetry(device, values) {
+        device.telemetrySchema.forEach((config, index) => updateGauge(config, values[index]));
+        handleTelemetry(device.id, values);
+    }
+
+    // --- Sending ---
+    function scheduleDeviceSend(device) {
+        clearTimeout(device.sendTimeout);
+        device.sendTimeout = setTimeout(() => sendDeviceFrame(device), device.profile.debounceMs);
+    }
+
+    // Through the connection's send queue, where a newer frame replaces one still waiting
+    async function sendDeviceFrame(device, { urgent = false } = {}) {
+        if (!device.connection) return;
+        try {
+            await device.connection.send(device.connection.protocol === 'binary'
+                ? encodeCommandPacket(device.values, undefined, device.commandSchema)
+                : buildCommandFrame(device.values, undefined, device.commandSchema), { key: 'command', urgent });
+        } catch (error) {
+            setDeviceStatus(device, `Send error: ${error.message}`);
+        }
+    }
+
+    // --- Motor Safety ---
+    // The heartbeat runs at the profile's default interval; the page's Safety panel only sets its own
+    function startDeviceHeartbeat(device) {
+        const heartbeatMs = device.profile.safety?.heartbeatMs;
+        if (!heartbeatMs) return;
+        let count = 0;
+        device.heartbeatTimer = setInterval(() => {
+            count = (count + 1) & 0xffff;
+            device.connection.send(encodeHeartbeat(count, device.connection.protocol, device.commandSchema), { key: 'heartbeat' })
+                .catch(error => setDeviceStatus(device, `Heartbeat error: ${error.message}`));
+        }, heartbeatMs);
+    }
+
+    // Called on the page's E-stop: every connected device gets its toggles switched off ahead of
+    // anything waiting in its queue, and routing stops feeding it
+    function stopMotors(reason) {
+        pauseRouting('motors stopped');
+        devices.filter(device => device.connection).forEach(device => {
+            const toggles = device.commandSchema.controls.filter(control => control.type === 'toggle');
+            if (toggles.length === 0) return;
+            clearTimeout(device.sendTimeout);
+            toggles.forEach(control => {
+                device.values[control.key] = false;
+                document.getElementById(`${device.id}-control-${control.key}`).checked = false;
+            });
+            sendDeviceFrame(device, { urgent: true });
+            setDeviceStatus(device, `Motors stopped: ${reason}.`);
+        });
+    }
+
+    function setDeviceValues(device, values) {
+        Object.entries(values).forEach(([key, value]) => {
+            device.values[key] = value;
+            const input = document.getElementById(`${device.id}-control-${key}`);
+            input.value = value;
+            input.classList.remove('invalid');
+        });
+        sendDeviceFrame(device);
+    }
+
+    // --- Routes ---
+    // `{ from: { device, key }, to: { device, key }, scale, offset }`, with `device` an extra device's
+    // id or MAIN_DEVICE. Each telemetry sample of the source sends `value * scale + offset` to the target.
+    function deviceName(id) {
+        return id === MAIN_DEVICE ? `${main.name()} (this page)` : devices.find(device => device.id === id).name;
+    }
+
+    function routeSources() {
+        return [
+            { device: MAIN_DEVICE, schema: main.telemetrySchema() },
+            ...devices.map(device => ({ device: device.id, schema: device.telemetrySchema }))
+        ].flatMap(({ device, schema }) => schema.map(config => ({ device, key: config.key, label: `${deviceName(device)}: ${channelTitle(config)}` })));
+    }
+
+    function routeTargets() {
+        return [
+            { device: MAIN_DEVICE, schema: main.commandSchema() },
+            ...devices.map(device => ({ device: device.id, schema: device.commandSchema }))
+        ].flatMap(({ device, schema }) => schema.controls
+            .filter(control => control.type === 'number')
+            .map(control => ({ device, key: control.key, label: `${deviceName(device)}: ${control.label}` })));
+    }
+
+    const endpointValue = endpoint => `${endpoint.device}/${endpoint.key}`;
+
+    function addRoute() {
+        const sources = routeSources();
+        const targets = routeTargets();
+        // Defaults to the first pair that crosses devices, which is the point of a route
+        const from = sources.find(source => source.device !== MAIN_DEVICE) ?? sources[0];
+        const to = targets.find(target => target.device !== from.device) ?? targets[0];
+        routes.push({ from: { device: from.device, key: from.key }, to: { device: to.device, key: to.key }, scale: 1, offset: 0 });
+        renderRoutes();
+    }
+
+    // Also drops routes whose channel or control went away with a profile or schema change
+    function renderRoutes() {
+        const sources = routeSources();
+        const targets = routeTargets();
+        const exists = (list, endpoint) => list.some(candidate => endpointValue(candidate) === endpointValue(endpoint));
+        routes = routes.filter(route => exists(sources, route.from) && exists(targets, route.to));
+
+        routeTableBody.innerHTML = '';
+        routes.forEach(route => {
+            const row = document.createElement('tr');
+            row.appendChild(createRouteSelect(sources, route.from, 'from'));
+            row.appendChild(createRouteSelect(targets, route.to, 'to'));
+            ['scale', 'offset'].forEach(field => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = 'schema-number';
+                input.dataset.field = field;
+                input.value = route[field];
+                input.addEventListener('input', () => {
+                    const value = parseNumberInput(input.value);
+                    input.classList.toggle('invalid', isNaN(value));
+                    if (!isNaN(value)) {
+                        route[field] = value;
+                    }
+                });
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+            const removeCell = document.createElement('td');
+            const removeButton = document.createElement('button');
+            removeButton.className = 'schema-remove-button';
+            removeButton.textContent = '✕';
+            removeButton.title = 'Remove route';
+            removeButton.addEventListener('click', () => {
+                routes.splice(routes.indexOf(route), 1);
+                renderRoutes();
+            });
+            removeCell.appendChild(removeButton);
+            row.appendChild(removeCell);
+            routeTableBody.appendChild(row);
+        });
+        addRouteButton.disabled = devices.length === 0;
+    }
+
+    function createRouteSelect(options, endpoint, field) {
+        const cell = document.createElement('td');
+        const select = document.createElement('select');
+        select.dataset.field = field;
+        options.forEach(option => {
+            const element = document.createElement('option');
+            element.value = endpointValue(option);
+            element.textContent = option.label;
+            select.appendChild(element);
+        });
+        select.value = endpointValue(endpoint);
+        select.addEventListener('change', () => {
+            const [device, key] = select.value.split('/');
+            endpoint.device = device;
+            endpoint.key = key;
+        });
+        cell.appendChild(select);
+        return cell;
+    }
+
+    // Called with every telemetry sample of every connected device, the page's own included
+    function handleTelemetry(deviceId, values) {
+        if (!routingEnabled.checked) return;
+        const sources = routes.filter(route => route.from.device === deviceId);
+        if (sources.length === 0) return;
+        const schema = deviceId === MAIN_DEVICE ? main.telemetrySchema() : devices.find(device => device.id === deviceId).telemetrySchema;
+        const byTarget = new Map();
+        sources.forEach(route => {
+            const index = schema.findIndex(config => config.key === route.from.key);
+            const value = roundForFrame(values[index] * route.scale + route.offset);
+            byTarget.set(route.to.device, { ...byTarget.get(route.to.device), [route.to.key]: value });
+        });
+        byTarget.forEach((targetValues, target) => {
+            if (target === MAIN_DEVICE) {
+                main.setControlValues(targetValues);
+                return;
+            }
+            const device = devices.find(candidate => candidate.id === target);
+            if (device.connection) {
+                setDeviceValues(device, targetValues);
+            }
+        });
+    }
+
+    // E.g. on an E-stop, so nothing keeps driving the motors back up
+    function pauseRouting(reason) {
+        if (!routingEnabled.checked) return;
+        routingEnabled.checked = false;
+        routeStatus.textContent = `Routing paused: ${reason}.`;
+    }
+
+    addDeviceButton.addEventListener('click', addDevice);
+    addRouteButton.addEventListener('click', addRoute);
+    routingEnabled.addEventListener('change', () => {
+        routeStatus.textContent = routingEnabled.checked ? 'Routing on.' : 'Routing paused.';
+    });
+    renderRoutes();
+
+    return { handleTelemetry, renderRoutes, stopMotors };
+}
@@ -0,0 +1,208 @@
+// The Link Health panel counts what crosses the link and how the page fared with it, refreshed
+// four times a second while connected and kept after a disconnect until the next connection starts
+// over. The ping needs firmware that echoes (see ../protocol.js); without it the panel just says
+// there was no echo. It also holds the send queue's rate limit, saved per profile.
+import { FRAME_TERMINATORS, PACKET_PING, PING_REQUEST, parsePongLine, framePacket } from '../protocol.js';
+import { createLinkStats, formatByteRate, summarizeRoundTrips } from '../linkstats.js';
+
+const LINK_HEALTH_REFRESH_MS = 250;
+const STALE_SAMPLE_MS = 1000;
+const PING_TIMEOUT_MS = 1000;
+const AUTO_PING_INTERVAL_MS = 2000;
+const ROUND_TRIPS_KEPT = 50;
+const trafficEncoder = new TextEncoder();
+
+// elements        the panel's elements by id: healthRx, healthTx, healthSamples, healthLastSample,
+//                 healthParseFailures, healthPartialLines, healthDropped, healthWrites, healthQueue,
+//                 healthPing, pingButton, autoPing, resetHealthButton, maxFrameRate
+// page            the shared page state (see controller.js)
+// onMaxFrameRate  runs with every new rate limit, for the connection that is open
+export function createLinkHealth({ elements, page, onMaxFrameRate }) {
+    const {
+        pingButton, autoPing: autoPingToggle, resetHealthButton, maxFrameRate: maxFrameRateInput, ...healthElements
+    } = elements;
+    let linkStats = createLinkStats();
+    let linkHealthTimer = null;
+    let autoPingTimer = null;
+    let pingCount = 0;
+    let pendingPing = null;
+    let pingStatus = 'Not measured yet.';
+    let maxFrameRate = loadMaxFrameRate();
+
+    function countTraffic(direction, data) {
+        const size = typeof data === 'string' ? trafficEncoder.encode(data).length : data.length;
+        linkStats[direction === 'rx' ? 'rxBytes' : 'txBytes'].add(size);
+        linkStats[direction === 'rx' ? 'rxLines' : 'txLines'].add(1);
+    }
+
+    // --- Counters ---
+    function renderLinkHealth() {
+        const now = Date.now();
+        const unit = page.protocol === 'binary' ? 'packets' : 'lines';
+        healthElements.healthRx.textContent = `${formatByteRate(linkStats.rxBytes.rate(now))}, ${linkStats.rxLines.rate(now).toFixed(1)} ${unit}/s`;
+        healthElements.healthTx.textContent = `${formatByteRate(linkStats.txBytes.rate(now))}, ${linkStats.txLines.rate(now).toFixed(1)} ${unit}/s`;
+        healthElements.healthSamples.textContent = `${linkStats.samples.rate(now).toFixed(1)} Hz`;
+        const sinceSample = linkStats.lastSampleAt === null ? null : now - linkStats.lastSampleAt;
+        healthElements.healthLastSample.textContent = sinceSample === null ? 'No samples yet' : `${(sinceSample / 1000).toFixed(2)} s ago`;
+        healthElements.healthLastSample.classList.toggle('stale', page.connected && (sinceSample === null || sinceSample > STALE_SAMPLE_MS));
+        healthElements.healthParseFailures.textContent = linkStats.parseFailures;
+        healthElements.healthPartialLines.textContent = linkStats.partialLines;
+        healthElements.healthDropped.textContent = linkStats.dropped;
+        healthElements.healthWrites.textContent = linkStats.lastWriteMs === null
+            ? 'Nothing written yet'
+            : `Last ${linkStats.lastWriteMs.toFixed(1)} ms, slowest ${linkStats.maxWriteMs.toFixed(1)} ms`;
+        const limit = maxFrameRate > 0 ? `at most ${maxFrameRate}/s` : 'no rate limit';
+        healthElements.healthQueue.textContent = `${linkStats.writesPending} waiting (${limit}), ` +
+            `${linkStats.writesCoalesced} replaced by newer frames, ${linkStats.writesRefused} refused`;
+        healthElements.healthQueue.classList.toggle('overflow', linkStats.writesRefused > 0);
+        healthElements.healthPing.textContent = pingStatus;
+    }
+
+    function startLinkHealth() {
+        linkStats = createLinkStats();
+        pingStatus = 'Not measured yet.';
+        clearInterval(linkHealthTimer);
+        linkHealthTimer = setInterval(renderLinkHealth, LINK_HEALTH_REFRESH_MS);
+        if (autoPingToggle.checked) {
+            startAutoPing();
+        }
+        renderLinkHealth();
+    }
+
+    function stopLinkHealth() {
+        clearInterval(linkHealthTimer);
+        linkHealthTimer = null;
+        stopAutoPing();
+        if (pendingPing) {
+            clearTimeout(pendingPing.timer);
+            pendingPing = null;
+        }
+        renderLinkHealth();
+    }
+
+    // --- Ping ---
+    // One ping in flight at a time; it counts from before the write, so a slow write shows up too
+    async function sendPing() {
+        if (!page.connected) {
+            pingStatus = 'Connect first.';
+            renderLinkHealth();
+            return;
+        }
+        if (pendingPing) return;
+        pingCount = (pingCount + 1) & 0xffff;
+        const id = pingCount;
+        pendingPing = {
+            id,
+            sentAt: performance.now(),
+            timer: setTimeout(() => {
+                pendingPing = null;
+                pingStatus = `No echo within ${PING_TIMEOUT_MS / 1000} s; the firmware may not answer PING.`;
+                renderLinkHealth();
+            }, PING_TIMEOUT_MS)
+        };
+        try {
+            if (page.protocol === 'binary') {
+                await page.writeToPort(framePacket(Uint8Array.of(PACKET_PING, id & 0xff, id >> 8)));
+            } else {
+                await page.writeToPort(`${PING_REQUEST} ${id}${FRAME_TERMINATORS[page.commandSchema.terminator] || '\n'}`);
+            }
+        } catch (error) {
+            clearTimeout(pendingPing?.timer);
+            pendingPing = null;
+            pingStatus = `Ping failed: ${error.message}`;
+            renderLinkHealth();
+        }
+    }
+
+    function handlePongLine(line) {
+        const id = parsePongLine(line);
+        if (id === null) return false;
+        handlePong(id);
+        return true;
+    }
+
+    // Echoes of pings that already timed out are ignored
+    function handlePong(id) {
+        if (!pendingPing || id !== pendingPing.id) return;
+        clearTimeout(pendingPing.timer);
+        linkStats.roundTrips.push(performance.now() - pendingPing.sentAt);
+        if (linkStats.roundTrips.length > ROUND_TRIPS_KEPT) {
+            linkStats.roundTrips.shift();
+        }
+        pendingPing = null;
+        const trips = summarizeRoundTrips(linkStats.roundTrips);
+        pingStatus = `${trips.last.toFixed(1)} ms (min ${trips.min.toFixed(1)}, avg ${trips.avg.toFixed(1)}, max ${trips.max.toFixed(1)} over ${trips.count})`;
+        renderLinkHealth();
+    }
+
+    function startAutoPing() {
+        clearInterval(autoPingTimer);
+        autoPingTimer = setInterval(sendPing, AUTO_PING_INTERVAL_MS);
+        sendPing();
+    }
+
+    function stopAutoPing() {
+        clearInterval(autoPingTimer);
+        autoPingTimer = null;
+    }
+
+    pingButton.addEventListener('click', sendPing);
+    autoPingToggle.addEventListener('change', () => {
+        if (!autoPingToggle.checked) {
+            stopAutoPing();
+        } else if (page.connected) {
+            startAutoPing();
+        }
+    });
+    resetHealthButton.addEventListener('click', () => {
+        const writesPending = linkStats.writesPending;
+        linkStats = createLinkStats();
+        linkStats.writesPending = writesPending; // Those writes are still on their way
+        renderLinkHealth();
+    });
+
+    // --- Rate Limit ---
+    function loadMaxFrameRate() {
+        const saved = parseFloat(localStorage.getItem(page.storageKey('MaxFrameRate')));
+        return Number.isFinite(saved) && saved >= 0 ? saved : page.profile.maxFrameRate;
+    }
+
+    function applyMaxFrameRate(rate) {
+        maxFrameRate = rate;
+        maxFrameRateInput.value = rate;
+        maxFrameRateInput.classList.remove('invalid');
+        onMaxFrameRate(rate);
+        renderLinkHealth();
+    }
+
+    maxFrameRateInput.addEventListener('change', () => {
+        const rate = parseFloat(maxFrameRateInput.value);
+        if (maxFrameRateInput.value.trim() === '' || isNaN(maxFrameRateInput.value) || rate < 0) {
+            maxFrameRateInput.classList.add('invalid');
+            return;
+        }
+        localStorage.setItem(page.storageKey('MaxFrameRate'), String(rate));
+        applyMaxFrameRate(rate);
+    });
+
+    applyMaxFrameRate(maxFrameRate); // Which also fills in the Link Health panel for the first time
+
+    return {
+        // Written to by the connection and the data handling as things happen
+        get stats() {
+            return linkStats;
+        },
+        get maxFrameRate() {
+            return maxFrameRate;
+        },
+        countTraffic,
+        start: startLinkHealth,
+        stop: stopLinkHealth,
+        handlePongLine,
+        handlePong,
+        // The limit of the profile switched to
+        reloadMaxFrameRate() {
+            applyMaxFrameRate(loadMaxFrameRate());
+        }
+    };
+}
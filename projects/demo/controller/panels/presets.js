@@ -0,0 +1,209 @@
+// The Presets panel: named snapshots of every control value, keyed by wire key like a command
+// frame, saved per profile. Two of them, or one and the current controls, can be compared row by row.
+import { controlValueFits, formatWireValue } from '../protocol.js';
+import { downloadFile } from '../files.js';
+
+const CURRENT_CONTROLS = '';
+
+// elements    the panel's elements by id: presetName, savePresetButton, presetSelector,
+//             loadPresetButton, deletePresetButton, importPresetsButton, exportPresetsButton,
+//             presetsFileInput, compareA, compareB, presetComparisonBody, and main-controls, whose
+//             edits the comparison follows
+// page        the shared page state (see controller.js)
+export function createPresetsPanel({ elements, page }) {
+    const {
+        presetName: presetNameInput, savePresetButton, presetSelector, loadPresetButton, deletePresetButton,
+        importPresetsButton, exportPresetsButton, presetsFileInput, compareA: compareSelectorA, compareB: compareSelectorB,
+        presetComparisonBody, 'main-controls': mainControls
+    } = elements;
+    const { updateStatus, readControlValues, applyControlValues } = page;
+    let presets = loadPresets();
+
+    // --- Presets ---
+    function normalizePresets(list) {
+        if (!Array.isArray(list)) {
+            throw new Error('Expected a list of presets.');
+        }
+        return list
+            .filter(preset => preset && typeof preset.name === 'string' && preset.name.trim() !== '' &&
+                preset.values && typeof preset.values === 'object')
+            .map(preset => ({ name: preset.name.trim(), savedAt: preset.savedAt || null, values: { ...preset.values } }));
+    }
+
+    function loadPresets() {
+        try {
+            return normalizePresets(JSON.parse(localStorage.getItem(page.storageKey('Presets')) || '[]'));
+        } catch (error) {
+            console.warn('Ignoring saved presets:', error.message);
+            return [];
+        }
+    }
+
+    function savePresets() {
+        localStorage.setItem(page.storageKey('Presets'), JSON.stringify(presets));
+    }
+
+    function findPreset(name) {
+        return presets.find(preset => preset.name === name);
+    }
+
+    // Keeps only values that fit the current command schema, since presets may come from a file
+    function presetValuesForSchema(values) {
+        const usable = {};
+        page.commandSchema.controls.forEach(control => {
+            if (controlValueFits(control, values[control.key])) {
+                usable[control.key] = values[control.key];
+            }
+        });
+        return usable;
+    }
+
+    // --- Rendering ---
+    function fillPresetSelector(selector, includeCurrent) {
+        const selected = selector.value;
+        selector.innerHTML = '';
+        if (includeCurrent) {
+            selector.add(new Option('Current controls', CURRENT_CONTROLS));
+        }
+        presets.forEach(preset => selector.add(new Option(preset.name, preset.name)));
+        if (Array.from(selector.options).some(option => option.value === selected)) {
+            selector.value = selected;
+        }
+    }
+
+    function renderPresets() {
+        fillPresetSelector(presetSelector, false);
+        fillPresetSelector(compareSelectorA, true);
+        fillPresetSelector(compareSelectorB, true);
+        const hasPresets = presets.length > 0;
+        loadPresetButton.disabled = !hasPresets;
+        deletePresetButton.disabled = !hasPresets;
+        exportPresetsButton.disabled = !hasPresets;
+        renderPresetComparison();
+    }
+
+    function comparisonValues(name) {
+        if (name === CURRENT_CONTROLS) {
+            return readControlValues().values;
+        }
+        const preset = findPreset(name);
+        return preset ? preset.values : {};
+    }
+
+    // One row per control, with the rows that differ between the two sides highlighted
+    function renderPresetComparison() {
+        const left = comparisonValues(compareSelectorA.value);
+        const right = comparisonValues(compareSelectorB.value);
+        const describe = (control, values) => (control.key in values ? formatWireValue(control, values[control.key]) : '—');
+        presetComparisonBody.innerHTML = '';
+        page.commandSchema.controls.forEach(control => {
+            const row = document.createElement('tr');
+            const cells = [`${control.label} (${control.key})`, describe(control, left), describe(control, right)];
+            cells.forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            row.classList.toggle('differs', cells[1] !== cells[2]);
+            presetComparisonBody.appendChild(row);
+        });
+    }
+
+    savePresetButton.addEventListener('click', () => {
+        const name = presetNameInput.value.trim();
+        if (!name) {
+            updateStatus('Error: Give the preset a name first.', page.connected);
+            return;
+        }
+        const { values, allValid } = readControlValues();
+        if (!allValid) {
+            updateStatus('Error: Invalid number in one of the fields.', page.connected);
+            return;
+        }
+        const existing = findPreset(name);
+        if (existing && !confirm(`Overwrite preset "${name}"?`)) return;
+        const preset = { name, savedAt: new Date().toISOString(), values };
+        if (existing) {
+            presets[presets.indexOf(existing)] = preset;
+        } else {
+            presets.push(preset);
+        }
+        savePresets();
+        renderPresets();
+        presetSelector.value = name;
+        presetNameInput.value = '';
+        updateStatus(`Preset "${name}" saved.`, page.connected);
+    });
+
+    loadPresetButton.addEventListener('click', () => {
+        const preset = findPreset(presetSelector.value);
+        if (!preset) return;
+        applyControlValues(presetValuesForSchema(preset.values));
+        renderPresetComparison();
+        if (page.connected) {
+            page.sendData();
+        }
+        updateStatus(`Preset "${preset.name}" loaded.`, page.connected);
+    });
+
+    deletePresetButton.addEventListener('click', () => {
+        const preset = findPreset(presetSelector.value);
+        if (!preset || !confirm(`Delete preset "${preset.name}"?`)) return;
+        presets = presets.filter(candidate => candidate !== preset);
+        savePresets();
+        renderPresets();
+    });
+
+    exportPresetsButton.addEventListener('click', () => {
+        const exported = { format: 'seesaw-presets', version: 1, presets };
+        downloadFile('presets.json', JSON.stringify(exported, null, 2), 'application/json');
+    });
+
+    importPresetsButton.addEventListener('click', () => presetsFileInput.click());
+
+    // Imported presets replace saved ones with the same name
+    presetsFileInput.addEventListener('change', async () => {
+        const file = presetsFileInput.files[0];
+        presetsFileInput.value = '';
+        if (!file) return;
+        try {
+            const data = JSON.parse(await file.text());
+            const imported = normalizePresets(Array.isArray(data) ? data : data.presets);
+            imported.forEach(preset => {
+                const existing = findPreset(preset.name);
+                if (existing) {
+                    presets[presets.indexOf(existing)] = preset;
+                } else {
+                    presets.push(preset);
+                }
+            });
+            savePresets();
+            renderPresets();
+            updateStatus(`Imported ${imported.length} presets from ${file.name}.`, page.connected);
+        } catch (error) {
+            updateStatus(`Error importing presets: ${error.message}`, page.connected);
+        }
+    });
+
+    compareSelectorA.addEventListener('change', renderPresetComparison);
+    compareSelectorB.addEventListener('change', renderPresetComparison);
+    // Keep a "Current controls" column in step with edits
+    mainControls.addEventListener('input', renderPresetComparison);
+    mainControls.addEventListener('click', renderPresetComparison);
+
+    renderPresets();
+
+    return {
+        get list() {
+            return presets;
+        },
+        find: findPreset,
+        valuesForSchema: presetValuesForSchema,
+        renderComparison: renderPresetComparison,
+        // The presets of the profile switched to
+        reload() {
+            presets = loadPresets();
+            renderPresets();
+        }
+    };
+}
@@ -0,0 +1,265 @@
+// Remote control over a WebSocket, with its settings panel and its own status line.
+//
+// Messages are JSON objects with a "type". With a token set, the page's first message is
+// `{ "type": "auth", "token": "..." }`; the server may answer `{ "type": "auth", "ok": false,
+// "reason": "..." }` or close with code 1008 to refuse it. The token is kept in localStorage next
+// to the URL, so only use one meant for this browser.
+//
+// Server -> page:
+//   { "type": "setpoint", "value": 1.5 }          used while "Use Phone as Setpoint" is on
+//   { "type": "set", "values": { "p": 0.01, "l": true, "g": 5, "b": "#00ff00" } }
+//                                                  any command control, by wire key; sent at once
+//   { "type": "preset", "name": "..." }           loads and sends a saved preset
+//   { "type": "get", "what": "state" | "controls" | "telemetry" | "presets" | "schema" }
+// Any of these may carry an "id" (string or number); the page then answers with
+//   { "type": "response", "id": ..., "ok": true, ... } or { ..., "ok": false, "error": "..." }.
+// Page -> server, unasked:
+//   { "type": "state", "connected": true, "protocol": "text", "ack": false, "profile": "seesaw",
+//     "status": "..." }                          also sent whenever the device profile changes
+//   { "type": "telemetry", "t": <ms since epoch>, "values": { "A": 1.2, ... } }
+import {
+    exportableSchema, exportableCommandSchema, parseRemoteMessage, validateRemoteMessage
+} from '../protocol.js';
+
+const DEFAULT_REMOTE_SETTINGS = { url: 'ws://localhost:3000', token: '', enabled: true };
+const REMOTE_RECONNECT_BASE_DELAY_MS = 1000;
+const REMOTE_RECONNECT_MAX_DELAY_MS = 30000;
+const REMOTE_POLICY_VIOLATION = 1008;
+
+// elements       the panel's elements by id: remote-status-indicator, remote-status-text,
+//                remoteUrl, remoteToken, remoteEnabled, applyRemoteButton
+// page           the shared page state (see controller.js)
+// settingsKey    where the settings are saved; they belong to the page, not to a profile
+// presets        the Presets panel, for "preset" messages
+// describeState  the page's part of a "state" message: connection, protocol, profile, status
+export function createRemoteControl({ elements, page, settingsKey, presets, describeState }) {
+    const {
+        'remote-status-indicator': remoteStatusIndicator, 'remote-status-text': remoteStatusText,
+        remoteUrl: remoteUrlInput, remoteToken: remoteTokenInput, remoteEnabled: remoteEnabledToggle, applyRemoteButton
+    } = elements;
+    let remoteSettings = loadRemoteSettings();
+    let socket = null;
+    let remoteReconnectTimer = null;
+    let remoteReconnectAttempt = 0;
+    let remoteSetpoint = 0.0;
+    let latestTelemetry = null;
+
+    // --- Connection ---
+    function loadRemoteSettings() {
+        try {
+            return { ...DEFAULT_REMOTE_SETTINGS, ...JSON.parse(localStorage.getItem(settingsKey) || '{}') };
+        } catch (error) {
+            console.warn('Ignoring saved remote settings:', error.message);
+            return { ...DEFAULT_REMOTE_SETTINGS };
+        }
+    }
+
+    // The remote link has its own indicator so it never overwrites the serial status
+    function updateRemoteStatus(text, state) {
+        remoteStatusText.textContent = text;
+        remoteStatusIndicator.className = state;
+    }
+
+    function connectRemote() {
+        closeRemote();
+        if (!remoteSettings.enabled) {
+            updateRemoteStatus('Remote control: off.', 'disconnected');
+            return;
+        }
+        let ws;
+        try {
+            ws = new WebSocket(remoteSettings.url);
+        } catch (error) {
+            updateRemoteStatus(`Remote control: ${error.message}`, 'disconnected');
+            return;
+        }
+        socket = ws;
+        updateRemoteStatus(`Remote control: connecting to ${remoteSettings.url}...`, 'connecting');
+
+        ws.onopen = function(event) {
+            console.log('Successfully connected to the WebSocket server.');
+            remoteReconnectAttempt = 0;
+            if (remoteSettings.token) {
+                ws.send(JSON.stringify({ type: 'auth', token: remoteSettings.token }));
+            }
+            updateRemoteStatus(`Remote control: connected to ${remoteSettings.url}.`, 'connected');
+            sendRemoteState();
+        };
+
+        ws.onmessage = function(event) {
+            handleRemoteMessage(event.data);
+        };
+
+        ws.onclose = function(event) {
+            console.log('Disconnected from WebSocket server.');
+            socket = null;
+            if (event.code === REMOTE_POLICY_VIOLATION) {
+                updateRemoteStatus(`Remote control: refused by server${event.reason ? ` (${event.reason})` : ''}.`, 'disconnected');
+                return;
+            }
+            scheduleRemoteReconnect();
+        };
+    }
+
+    // Detaches the handlers first so a deliberate close doesn't trigger a reconnect
+    function closeRemote() {
+        clearTimeout(remoteReconnectTimer);
+        remoteReconnectTimer = null;
+        if (socket) {
+            socket.onclose = null;
+            socket.close();
+            socket = null;
+        }
+    }
+
+    function scheduleRemoteReconnect() {
+        const delay = Math.min(REMOTE_RECONNECT_BASE_DELAY_MS * 2 ** remoteReconnectAttempt, REMOTE_RECONNECT_MAX_DELAY_MS);
+        remoteReconnectAttempt++;
+        updateRemoteStatus(`Remote control: disconnected, retrying in ${(delay / 1000).toFixed(0)} s...`, 'disconnected');
+        remoteReconnectTimer = setTimeout(connectRemote, delay);
+    }
+
+    // --- Messages ---
+    async function handleRemoteMessage(raw) {
+        let data = null;
+        let message;
+        try {
+            data = parseRemoteMessage(raw);
+            message = validateRemoteMessage(data, page.commandSchema);
+        } catch (error) {
+            console.warn('Ignoring remote message:', error.message);
+            updateRemoteStatus(`Remote control: ignored a message (${error.message}).`, 'connected');
+            if (data && (typeof data.id === 'string' || typeof data.id === 'number')) {
+                sendRemote({ type: 'response', id: data.id, ok: false, error: error.message });
+            }
+            return;
+        }
+        if (message.type === 'auth') {
+            if (!message.ok) {
+                closeRemote();
+                updateRemoteStatus(`Remote control: token rejected${message.reason ? ` (${message.reason})` : ''}.`, 'disconnected');
+            }
+            return;
+        }
+        try {
+            const result = await runRemoteMessage(message);
+            if (message.id !== undefined) {
+                sendRemote({ type: 'response', id: message.id, ok: true, ...result });
+            }
+        } catch (error) {
+            updateRemoteStatus(`Remote control: ${message.type} failed (${error.message}).`, 'connected');
+            if (message.id !== undefined) {
+                sendRemote({ type: 'response', id: message.id, ok: false, error: error.message });
+            }
+        }
+    }
+
+    async function runRemoteMessage(message) {
+        switch (message.type) {
+            case 'setpoint': {
+                remoteSetpoint = message.value;
+                // If we are in remote mode, automatically update and send data
+                const remoteInput = page.remoteControlInput();
+                if (page.useRemoteSetpoint && remoteInput) {
+                    remoteInput.value = remoteSetpoint.toFixed(2);
+                    await page.sendData();
+                    return { sent: page.connected };
+                }
+                return { sent: false };
+            }
+            case 'set':
+                page.applyControlValues(message.values);
+                return { sent: await sendRemoteChanges() };
+            case 'preset': {
+                const preset = presets.find(message.name);
+                if (!preset) {
+                    throw new Error(`no preset named "${message.name}"`);
+                }
+                page.applyControlValues(presets.valuesForSchema(preset.values));
+                return { sent: await sendRemoteChanges() };
+            }
+            case 'get':
+                return { data: remoteQuery(message.what) };
+        }
+    }
+
+    // Remote changes skip the typing debounce; without a serial link they only update the page
+    async function sendRemoteChanges() {
+        presets.renderComparison();
+        if (!page.connected) return false;
+        page.cancelPendingSend();
+        await page.sendData();
+        return true;
+    }
+
+    function remoteQuery(what) {
+        switch (what) {
+            case 'state':
+                return describeState();
+            case 'controls':
+                return page.readControlValues().values;
+            case 'telemetry':
+                return latestTelemetry;
+            case 'presets':
+                return presets.list;
+            case 'schema':
+                return { telemetry: exportableSchema(page.telemetrySchema), command: exportableCommandSchema(page.commandSchema) };
+        }
+    }
+
+    function sendRemote(message) {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    function sendRemoteState() {
+        sendRemote({ type: 'state', ...describeState() });
+    }
+
+    function sendRemoteTelemetry(values, timestamp) {
+        const named = {};
+        page.telemetrySchema.forEach((config, index) => {
+            named[config.key] = values[index];
+        });
+        latestTelemetry = { t: timestamp, values: named };
+        sendRemote({ type: 'telemetry', ...latestTelemetry });
+    }
+
+    // --- Settings ---
+    function renderRemoteSettings() {
+        remoteUrlInput.value = remoteSettings.url;
+        remoteTokenInput.value = remoteSettings.token;
+        remoteEnabledToggle.checked = remoteSettings.enabled;
+    }
+
+    applyRemoteButton.addEventListener('click', () => {
+        const url = remoteUrlInput.value.trim();
+        if (!/^wss?:\/\/\S+$/.test(url)) {
+            remoteUrlInput.classList.add('invalid');
+            updateRemoteStatus('Remote control: the URL must start with ws:// or wss://.', 'disconnected');
+            return;
+        }
+        remoteUrlInput.classList.remove('invalid');
+        remoteSettings = { url, token: remoteTokenInput.value, enabled: remoteEnabledToggle.checked };
+        localStorage.setItem(settingsKey, JSON.stringify(remoteSettings));
+        remoteReconnectAttempt = 0;
+        connectRemote();
+    });
+
+    renderRemoteSettings();
+    connectRemote();
+
+    return {
+        // The simulator sits next to the remote-control server, so it follows these too
+        get settings() {
+            return remoteSettings;
+        },
+        // The last setpoint from the phone, used while "Use Phone as Setpoint" is on
+        get setpoint() {
+            return remoteSetpoint;
+        },
+        sendState: sendRemoteState,
+        sendTelemetry: sendRemoteTelemetry
+    };
+}
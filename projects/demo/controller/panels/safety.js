@@ -0,0 +1,175 @@
+// The Safety panel and watchdog. Every toggle control is treated as a motor output: the E-stop
+// and the automatic stops switch them all off and send the frame straight away. The heartbeat is
+// a separate `HB <n>` line (binary: a 0x07 packet) so the firmware can stop the motors itself if
+// the page stops running. Only profiles with `safety` settings get any of this; every page
+// carries the Safety panel, since any page can switch to a profile that drives motors.
+import { encodeHeartbeat } from '../protocol.js';
+import { channelTitle } from '../gauges.js';
+
+const WATCHDOG_CHECK_MS = 100;
+
+// elements  the panel's elements by id: estopButton, safetyPanel, heartbeatInterval,
+//           silenceTimeout, tiltChannel, tiltLimit, safetyStatus
+// page      the shared page state (see controller.js)
+// onStop    runs first on every stop, to halt whatever else drives the motors
+// sendStop  sends the frame with the motors off, urgently; only called while connected
+export function createSafetyMonitor({ elements, page, onStop, sendStop }) {
+    const {
+        estopButton, safetyPanel, heartbeatInterval: heartbeatIntervalInput, silenceTimeout: silenceTimeoutInput,
+        tiltChannel: tiltChannelSelector, tiltLimit: tiltLimitInput, safetyStatus
+    } = elements;
+    let safetySettings = page.profile.safety ? loadSafetySettings() : null;
+    let heartbeatTimer = null;
+    let heartbeatCount = 0;
+    let watchdogTimer = null;
+    let lastTelemetryAt = 0;
+
+    // --- Settings ---
+    function loadSafetySettings() {
+        try {
+            return { ...page.profile.safety, ...JSON.parse(localStorage.getItem(page.storageKey('Safety')) || '{}') };
+        } catch (error) {
+            console.warn('Ignoring saved safety settings:', error.message);
+            return { ...page.profile.safety };
+        }
+    }
+
+    // The panel and E-stop stay on the page but out of sight while the profile has no motor safety
+    function renderSafetyPanel() {
+        safetyPanel.hidden = !page.profile.safety;
+        estopButton.hidden = !page.profile.safety;
+        if (page.profile.safety) {
+            renderSafetySettings();
+        }
+    }
+
+    function renderSafetySettings() {
+        heartbeatIntervalInput.value = safetySettings.heartbeatMs;
+        silenceTimeoutInput.value = safetySettings.silenceMs;
+        tiltLimitInput.value = safetySettings.tiltLimit;
+        tiltChannelSelector.innerHTML = '';
+        page.telemetrySchema.forEach(config => tiltChannelSelector.add(new Option(channelTitle(config), config.key)));
+        tiltChannelSelector.value = safetySettings.tiltChannel;
+    }
+
+    // 0 switches a check off; anything else that isn't a non-negative number is rejected
+    function readSafetySettings() {
+        const inputs = { heartbeatMs: heartbeatIntervalInput, silenceMs: silenceTimeoutInput, tiltLimit: tiltLimitInput };
+        let allValid = true;
+        Object.entries(inputs).forEach(([name, input]) => {
+            const value = parseFloat(input.value);
+            const valid = input.value.trim() !== '' && !isNaN(input.value) && value >= 0;
+            input.classList.toggle('invalid', !valid);
+            if (valid) {
+                safetySettings[name] = value;
+            } else {
+                allValid = false;
+            }
+        });
+        safetySettings.tiltChannel = tiltChannelSelector.value;
+        if (allValid) {
+            localStorage.setItem(page.storageKey('Safety'), JSON.stringify(safetySettings));
+            if (page.connected) {
+                startSafetyMonitor();
+            }
+        }
+    }
+
+    // --- Stops ---
+    function motorsRunning() {
+        return page.commandSchema.controls.some(control => control.type === 'toggle' && page.controlState[control.key]);
+    }
+
+    async function emergencyStop(reason) {
+        onStop(reason);
+        page.commandSchema.controls
+            .filter(control => control.type === 'toggle')
+            .forEach(control => page.setControlValue(control, false));
+        safetyStatus.textContent = `Motors stopped: ${reason} (${new Date().toLocaleTimeString()}).`;
+        safetyStatus.classList.add('tripped');
+        if (!page.connected) return;
+        await sendStop(reason);
+    }
+
+    // --- Heartbeat and Watchdog ---
+    async function sendHeartbeat() {
+        if (!page.connected) return;
+        heartbeatCount = (heartbeatCount + 1) & 0xffff;
+        try {
+            await page.writeToPort(encodeHeartbeat(heartbeatCount, page.protocol, page.commandSchema), { key: 'heartbeat' });
+        } catch (error) {
+            page.updateStatus(`Heartbeat error: ${error.message}`, true);
+        }
+    }
+
+    function checkWatchdog() {
+        if (!page.connected || !motorsRunning() || safetySettings.silenceMs <= 0) return;
+        if (Date.now() - lastTelemetryAt > safetySettings.silenceMs) {
+            emergencyStop(`no telemetry for ${safetySettings.silenceMs} ms`);
+        }
+    }
+
+    function checkTelemetrySafety(values) {
+        lastTelemetryAt = Date.now();
+        const index = page.telemetrySchema.findIndex(config => config.key === safetySettings.tiltChannel);
+        if (index === -1 || safetySettings.tiltLimit <= 0 || !motorsRunning()) return;
+        if (Math.abs(values[index]) > safetySettings.tiltLimit) {
+            emergencyStop(`${page.telemetrySchema[index].label} ${values[index]} beyond ±${safetySettings.tiltLimit}`);
+        }
+    }
+
+    function startSafetyMonitor() {
+        stopSafetyMonitor();
+        lastTelemetryAt = Date.now(); // Give the device one timeout's grace after connecting
+        if (safetySettings.heartbeatMs > 0) {
+            heartbeatTimer = setInterval(sendHeartbeat, safetySettings.heartbeatMs);
+        }
+        watchdogTimer = setInterval(checkWatchdog, WATCHDOG_CHECK_MS);
+    }
+
+    function stopSafetyMonitor() {
+        clearInterval(heartbeatTimer);
+        clearInterval(watchdogTimer);
+        heartbeatTimer = null;
+        watchdogTimer = null;
+    }
+
+    // Wired whatever the profile, since a profile switch can turn safety on or off
+    estopButton.addEventListener('click', () => emergencyStop('E-stop pressed'));
+
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && page.profile.safety) {
+            event.preventDefault();
+            emergencyStop('E-stop key pressed');
+        }
+    });
+
+    // A hidden tab gets its timers throttled, so the watchdog can't be trusted to run
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden && page.connected && page.profile.safety && motorsRunning()) {
+            emergencyStop('page hidden');
+        }
+    });
+
+    [heartbeatIntervalInput, silenceTimeoutInput, tiltLimitInput].forEach(input => input.addEventListener('change', readSafetySettings));
+    tiltChannelSelector.addEventListener('change', readSafetySettings);
+
+    renderSafetyPanel();
+
+    return {
+        // Only profiles with `safety` settings get the watchdog, heartbeat and E-stop
+        get active() {
+            return Boolean(page.profile.safety);
+        },
+        // The settings of the profile switched to; renderPanel() shows them
+        reload() {
+            safetySettings = page.profile.safety ? loadSafetySettings() : null;
+        },
+        renderPanel: renderSafetyPanel,
+        renderSettings: renderSafetySettings,
+        start: startSafetyMonitor,
+        stop: stopSafetyMonitor,
+        checkTelemetry: checkTelemetrySafety,
+        emergencyStop
+    };
+}
@@ -0,0 +1,272 @@
+// The Setpoint Sequence panel plays a list of segments (see ../sequence.js) into the setpoint
+// control, i.e. the one the phone drives, sending a frame through sendData() at the sequence's rate.
+// A tick is skipped while the previous frame is still being written. An E-stop, a disconnect or a
+// profile switch aborts it. The sequence in the editor is saved per profile when it starts.
+import {
+    SEGMENT_FIELDS, parseWaypoints, formatWaypoints, normalizeSequence, sequenceDuration, sequenceValueAt
+} from '../sequence.js';
+import { roundForFrame } from '../protocol.js';
+import { downloadFile } from '../files.js';
+
+const DEFAULT_SEQUENCE = {
+    rateHz: 20,
+    loops: 1,
+    segments: [
+        { type: 'step', value: 5, durationMs: 2000 },
+        { type: 'ramp', to: -5, durationMs: 2000 },
+        { type: 'sine', center: 0, amplitude: 5, periodMs: 2000, durationMs: 4000 }
+    ]
+};
+// Which sequence field the editor's two value columns hold for each segment type
+const SEGMENT_COLUMNS = {
+    a: { step: 'value', ramp: 'to', sine: 'center', square: 'low' },
+    b: { sine: 'amplitude', square: 'high' }
+};
+
+// elements  the panel's elements by id: sequenceRate, sequenceLoops, sequenceTableBody,
+//           addSegmentButton, sequenceStartButton, sequencePauseButton, sequenceAbortButton,
+//           importSequenceButton, exportSequenceButton, sequenceFileInput, sequenceProgress
+// page      the shared page state (see controller.js)
+// drivers   whether the other setpoint drivers are running: tuning, teleop
+export function createSequencePanel({ elements, page, drivers }) {
+    const {
+        sequenceRate: sequenceRateInput, sequenceLoops: sequenceLoopsInput, sequenceTableBody, addSegmentButton,
+        sequenceStartButton, sequencePauseButton, sequenceAbortButton, importSequenceButton, exportSequenceButton,
+        sequenceFileInput, sequenceProgress
+    } = elements;
+    let sequenceRun = null; // { sequence, duration, startedAt, pausedAt, loop, loopStartValue, timer, sending }
+
+    // --- Editor ---
+    function loadSequence() {
+        try {
+            const saved = localStorage.getItem(page.storageKey('Sequence'));
+            if (saved) {
+                return normalizeSequence(JSON.parse(saved));
+            }
+        } catch (error) {
+            console.warn('Ignoring saved sequence:', error.message);
+        }
+        return normalizeSequence(DEFAULT_SEQUENCE);
+    }
+
+    function updateSegmentRowFields(row) {
+        const type = row.querySelector('[data-field="type"]').value;
+        Object.entries(SEGMENT_COLUMNS).forEach(([column, fields]) => {
+            const input = row.querySelector(`[data-field="${column}"]`);
+            input.disabled = !fields[type];
+            input.placeholder = fields[type] || '';
+        });
+        row.querySelector('[data-field="periodMs"]').disabled = !SEGMENT_FIELDS[type].includes('periodMs');
+        row.querySelector('[data-field="durationMs"]').disabled = !SEGMENT_FIELDS[type].includes('durationMs');
+        row.querySelector('[data-field="points"]').disabled = type !== 'waypoints';
+    }
+
+    function addSegmentRow(segment) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>
+                <select data-field="type">
+                    <option value="step">Step</option>
+                    <option value="ramp">Ramp</option>
+                    <option value="sine">Sine</option>
+                    <option value="square">Square</option>
+                    <option value="waypoints">Waypoints</option>
+                </select>
+            </td>
+            <td><input type="text" data-field="a" class="schema-number"></td>
+            <td><input type="text" data-field="b" class="schema-number"></td>
+            <td><input type="text" data-field="periodMs" class="schema-number"></td>
+            <td><input type="text" data-field="durationMs" class="schema-number"></td>
+            <td><input type="text" data-field="points" placeholder="0:0, 1000:5"></td>
+            <td><button class="schema-remove-button" title="Remove segment">✕</button></td>
+        `;
+        row.querySelector('[data-field="type"]').value = segment.type;
+        Object.entries(SEGMENT_COLUMNS).forEach(([column, fields]) => {
+            row.querySelector(`[data-field="${column}"]`).value = segment[fields[segment.type]] ?? '';
+        });
+        row.querySelector('[data-field="periodMs"]').value = segment.periodMs ?? '';
+        row.querySelector('[data-field="durationMs"]').value = segment.durationMs ?? '';
+        row.querySelector('[data-field="points"]').value = segment.points ? formatWaypoints(segment.points) : '';
+        row.querySelector('[data-field="type"]').addEventListener('change', () => updateSegmentRowFields(row));
+        row.querySelector('.schema-remove-button').addEventListener('click', () => row.remove());
+        updateSegmentRowFields(row);
+        sequenceTableBody.appendChild(row);
+    }
+
+    function renderSequenceEditor(sequence) {
+        sequenceRateInput.value = sequence.rateHz;
+        sequenceLoopsInput.value = sequence.loops;
+        sequenceTableBody.innerHTML = '';
+        sequence.segments.forEach(addSegmentRow);
+    }
+
+    // Throws with the reason when the editor doesn't hold a valid sequence
+    function readSequenceEditor() {
+        const segments = Array.from(sequenceTableBody.rows).map(row => {
+            const field = name => row.querySelector(`[data-field="${name}"]`).value;
+            const segment = { type: field('type') };
+            Object.entries(SEGMENT_COLUMNS).forEach(([column, fields]) => {
+                if (fields[segment.type]) {
+                    segment[fields[segment.type]] = field(column);
+                }
+            });
+            SEGMENT_FIELDS[segment.type].filter(name => name.endsWith('Ms')).forEach(name => {
+                segment[name] = field(name);
+            });
+            if (segment.type === 'waypoints') {
+                segment.points = parseWaypoints(field('points'));
+            }
+            return segment;
+        });
+        return normalizeSequence({ rateHz: sequenceRateInput.value, loops: sequenceLoopsInput.value, segments });
+    }
+
+    // --- Running ---
+    function startSequence() {
+        let sequence;
+        try {
+            sequence = readSequenceEditor();
+        } catch (error) {
+            sequenceProgress.textContent = `Sequence error: ${error.message}`;
+            return;
+        }
+        localStorage.setItem(page.storageKey('Sequence'), JSON.stringify(sequence));
+        if (!page.connected) {
+            page.updateStatus('Error: Not connected.');
+            return;
+        }
+        const control = page.setpointControl();
+        if (!control) {
+            sequenceProgress.textContent = 'The command schema has no setpoint control (the one marked Remote).';
+            return;
+        }
+        if (page.useRemoteSetpoint || drivers.tuning || drivers.teleop) {
+            sequenceProgress.textContent = page.useRemoteSetpoint
+                ? 'Switch off the phone setpoint first; it would override the sequence.'
+                : drivers.tuning ? 'Wait for the tuning test to finish first.' : 'Switch off teleoperation first.';
+            return;
+        }
+        const { values, allValid } = page.readControlValues();
+        if (!allValid) {
+            page.updateStatus('Error: Invalid number in one of the fields.');
+            return;
+        }
+        sequenceRun = {
+            sequence,
+            duration: sequenceDuration(sequence),
+            startedAt: Date.now(),
+            pausedAt: null,
+            loop: 0,
+            loopStartValue: values[control.key],
+            timer: setInterval(sequenceTick, 1000 / sequence.rateHz),
+            sending: false
+        };
+        renderSequenceButtons();
+        sequenceTick();
+    }
+
+    async function sequenceTick() {
+        const run = sequenceRun;
+        if (!run || run.sending) return;
+        const { sequence, duration } = run;
+        const elapsed = Date.now() - run.startedAt;
+        const finished = sequence.loops > 0 && elapsed >= sequence.loops * duration;
+        const loop = finished ? sequence.loops - 1 : Math.floor(elapsed / duration);
+        for (; run.loop < loop; run.loop++) {
+            run.loopStartValue = sequenceValueAt(sequence, duration, run.loopStartValue);
+        }
+        const t = finished ? duration : elapsed - loop * duration;
+        const value = roundForFrame(sequenceValueAt(sequence, t, run.loopStartValue));
+
+        const control = page.setpointControl();
+        page.applyControlValues({ [control.key]: value });
+        run.sending = true;
+        await page.sendData();
+        run.sending = false;
+        if (sequenceRun !== run) return;
+
+        const passes = sequence.loops > 0 ? `${loop + 1}/${sequence.loops}` : `${loop + 1}`;
+        sequenceProgress.textContent = `Pass ${passes}, ${(t / 1000).toFixed(1)} s of ${(duration / 1000).toFixed(1)} s: ${control.label} ${value}`;
+        if (finished) {
+            stopSequence();
+            sequenceProgress.textContent = `Sequence finished; ${control.label} left at ${value}.`;
+        }
+    }
+
+    function stopSequence() {
+        clearInterval(sequenceRun.timer);
+        sequenceRun = null;
+        renderSequenceButtons();
+    }
+
+    function togglePauseSequence() {
+        if (sequenceRun.pausedAt === null) {
+            clearInterval(sequenceRun.timer);
+            sequenceRun.pausedAt = Date.now();
+            sequenceProgress.textContent = `${sequenceProgress.textContent} (paused)`;
+        } else {
+            sequenceRun.startedAt += Date.now() - sequenceRun.pausedAt;
+            sequenceRun.pausedAt = null;
+            sequenceRun.timer = setInterval(sequenceTick, 1000 / sequenceRun.sequence.rateHz);
+        }
+        renderSequenceButtons();
+    }
+
+    // The setpoint stays where the sequence had it; after an E-stop nothing more is sent
+    function abortSequence(reason) {
+        if (!sequenceRun) return;
+        stopSequence();
+        sequenceProgress.textContent = `Sequence aborted: ${reason}.`;
+    }
+
+    function renderSequenceButtons() {
+        sequenceStartButton.disabled = Boolean(sequenceRun);
+        sequencePauseButton.disabled = !sequenceRun;
+        sequenceAbortButton.disabled = !sequenceRun;
+        sequencePauseButton.textContent = sequenceRun?.pausedAt ? 'Resume' : 'Pause';
+    }
+
+    addSegmentButton.addEventListener('click', () => addSegmentRow({ type: 'step', value: 0, durationMs: 1000 }));
+    sequenceStartButton.addEventListener('click', startSequence);
+    sequencePauseButton.addEventListener('click', togglePauseSequence);
+    sequenceAbortButton.addEventListener('click', () => abortSequence('stopped by user'));
+
+    exportSequenceButton.addEventListener('click', () => {
+        try {
+            const exported = { format: 'seesaw-setpoint-sequence', version: 1, ...readSequenceEditor() };
+            downloadFile('setpoint-sequence.json', JSON.stringify(exported, null, 2), 'application/json');
+        } catch (error) {
+            sequenceProgress.textContent = `Sequence error: ${error.message}`;
+        }
+    });
+
+    importSequenceButton.addEventListener('click', () => sequenceFileInput.click());
+
+    sequenceFileInput.addEventListener('change', async () => {
+        const file = sequenceFileInput.files[0];
+        sequenceFileInput.value = '';
+        if (!file) return;
+        try {
+            const sequence = normalizeSequence(JSON.parse(await file.text()));
+            localStorage.setItem(page.storageKey('Sequence'), JSON.stringify(sequence));
+            renderSequenceEditor(sequence);
+            sequenceProgress.textContent = `Sequence imported from ${file.name}.`;
+        } catch (error) {
+            sequenceProgress.textContent = `Error importing sequence: ${error.message}`;
+        }
+    });
+
+    renderSequenceEditor(loadSequence());
+    renderSequenceButtons();
+
+    return {
+        get running() {
+            return Boolean(sequenceRun);
+        },
+        abort: abortSequence,
+        // The saved sequence of the profile switched to
+        reload() {
+            renderSequenceEditor(loadSequence());
+        }
+    };
+}
@@ -0,0 +1,353 @@
+// The Session Recording & Replay panel. A session holds every timestamped telemetry sample and
+// every frame written to the device, and exports as CSV or JSON. A loaded session is replayed
+// through the same telemetry path the serial reader uses, so gauges, chart and alarms follow it.
+import { downloadFile } from '../files.js';
+
+const REPLAY_TICK_MS = 20;
+const REPLAY_CHART_HISTORY_MS = 60000; // Longest chart window, re-filled when seeking
+
+// elements  the panel's elements by id: recordButton, exportCsvButton, exportJsonButton,
+//           sessionInfo, loadSessionButton, sessionFileInput, replayControls, replayPlayButton,
+//           replaySeek, replayPosition, replaySpeed, exitReplayButton
+// page      the shared page state (see controller.js)
+// baudRate  returns the rate the page is set to, which a recording notes down
+// replayTo  where replayed events go: telemetry(values, time), command(frame), and reset(), which
+//           clears the chart, controls and gauges before a seek
+// onReplay  runs with true when a replay opens and false when it closes, for the port buttons
+export function createSessionPanel({ elements, page, baudRate, replayTo, onReplay }) {
+    const {
+        recordButton, exportCsvButton, exportJsonButton, sessionInfo, loadSessionButton, sessionFileInput,
+        replayControls, replayPlayButton, replaySeek, replayPosition, replaySpeed: replaySpeedSelector, exitReplayButton
+    } = elements;
+    let session = null;
+    let isRecording = false;
+    let replay = null;
+
+    // --- Recording ---
+    function startRecording() {
+        session = {
+            format: 'seesaw-session',
+            version: 1,
+            startedAt: new Date().toISOString(),
+            startTime: Date.now(),
+            baudRate: baudRate(),
+            channels: page.telemetrySchema.map(({ key, label, unit, min, max }) => ({ key, label, unit, min, max })),
+            events: []
+        };
+        isRecording = true;
+        recordButton.textContent = 'Stop Recording';
+        recordButton.classList.add('recording');
+        updateSessionInfo();
+    }
+
+    function stopRecording() {
+        isRecording = false;
+        recordButton.textContent = 'Start Recording';
+        recordButton.classList.remove('recording');
+        updateSessionInfo();
+    }
+
+    function recordEvent(event) {
+        if (!isRecording) return;
+        session.events.push({ t: Date.now() - session.startTime, ...event });
+        updateSessionInfo();
+    }
+
+    function recordTelemetry(values) {
+        const sample = {};
+        page.telemetrySchema.forEach((config, index) => {
+            sample[config.key] = values[index];
+        });
+        recordEvent({ type: 'telemetry', values: sample });
+    }
+
+    function recordCommand(frame) {
+        recordEvent({ type: 'command', frame: frame.trim() });
+    }
+
+    function updateSessionInfo() {
+        const hasEvents = session !== null && session.events.length > 0;
+        exportCsvButton.disabled = !hasEvents;
+        exportJsonButton.disabled = !hasEvents;
+        if (session === null) {
+            sessionInfo.textContent = 'No session recorded.';
+            return;
+        }
+        const samples = session.events.filter(event => event.type === 'telemetry').length;
+        const commands = session.events.length - samples;
+        const prefix = isRecording ? 'Recording' : 'Recorded';
+        sessionInfo.textContent = `${prefix}: ${samples} samples, ${commands} commands`;
+    }
+
+    // --- Export ---
+    function sessionFileName(extension) {
+        const stamp = session.startedAt.replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+        return `seesaw-session-${stamp}.${extension}`;
+    }
+
+    function csvField(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function sessionToCsv() {
+        const keys = session.channels.map(channel => channel.key);
+        const rows = [['time_ms', 'type', ...keys, 'frame'].join(',')];
+        session.events.forEach(event => {
+            const values = keys.map(key => (event.type === 'telemetry' ? event.values[key] : ''));
+            const frame = event.type === 'command' ? event.frame : '';
+            rows.push([event.t, event.type, ...values, frame].map(csvField).join(','));
+        });
+        return rows.join('\n') + '\n';
+    }
+
+    function sessionToJson() {
+        const { startTime, ...exported } = session;
+        return JSON.stringify(exported, null, 2);
+    }
+
+    recordButton.addEventListener('click', () => {
+        if (isRecording) {
+            stopRecording();
+        } else {
+            startRecording();
+        }
+    });
+
+    exportCsvButton.addEventListener('click', () => {
+        downloadFile(sessionFileName('csv'), sessionToCsv(), 'text/csv');
+    });
+
+    exportJsonButton.addEventListener('click', () => {
+        downloadFile(sessionFileName('json'), sessionToJson(), 'application/json');
+    });
+
+    // --- Replay ---
+    function parseCsvRow(row) {
+        const fields = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < row.length; i++) {
+            const char = row[i];
+            if (quoted) {
+                if (char === '"' && row[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field);
+        return fields;
+    }
+
+    function parseSessionCsv(text) {
+        const rows = text.split(/\r?\n/).filter(row => row.trim() !== '');
+        const header = parseCsvRow(rows[0] || '');
+        if (header[0] !== 'time_ms' || header[1] !== 'type' || header[header.length - 1] !== 'frame') {
+            throw new Error('Unrecognised CSV header.');
+        }
+        const keys = header.slice(2, -1);
+        const events = rows.slice(1).map(row => {
+            const fields = parseCsvRow(row);
+            const t = parseFloat(fields[0]);
+            if (fields[1] === 'command') {
+                return { t, type: 'command', frame: fields[fields.length - 1] };
+            }
+            const values = {};
+            keys.forEach((key, index) => {
+                values[key] = parseFloat(fields[index + 2]);
+            });
+            return { t, type: 'telemetry', values };
+        });
+        return { channels: keys.map(key => ({ key })), events };
+    }
+
+    function parseSessionFile(text) {
+        if (text.trim().startsWith('{')) {
+            const data = JSON.parse(text);
+            if (data.format !== 'seesaw-session' || !Array.isArray(data.events)) {
+                throw new Error('Not a session file.');
+            }
+            return data;
+        }
+        return parseSessionCsv(text);
+    }
+
+    function loadReplaySession(loaded, fileName) {
+        const keys = page.telemetrySchema.map(config => config.key);
+        if (!loaded.channels.some(channel => keys.includes(channel.key))) {
+            throw new Error('Session has no channels matching this controller.');
+        }
+        if (isRecording) {
+            stopRecording();
+        }
+        stopReplayTimer();
+
+        const events = loaded.events.filter(event => !isNaN(event.t)).sort((a, b) => a.t - b.t);
+        replay = {
+            fileName,
+            events,
+            duration: events.length > 0 ? events[events.length - 1].t : 0,
+            position: 0,
+            index: 0,
+            playing: false,
+            lastTick: 0,
+            timer: null
+        };
+
+        replayControls.hidden = false;
+        replaySeek.max = replay.duration;
+        recordButton.disabled = true;
+        onReplay(true);
+        seekReplay(0);
+        updateReplayStatus();
+    }
+
+    function applyReplayEvent(event) {
+        if (event.type === 'telemetry') {
+            const values = page.telemetrySchema.map(config => event.values[config.key]);
+            if (values.every(Number.isFinite)) {
+                replayTo.telemetry(values, event.t);
+            }
+        } else if (event.type === 'command') {
+            replayTo.command(event.frame);
+        }
+    }
+
+    // Rebuilds the UI state at a position: every command up to it, plus enough telemetry to fill the chart
+    function seekReplay(position) {
+        replay.position = Math.max(0, Math.min(replay.duration, position));
+        replay.index = 0;
+        replayTo.reset();
+
+        const historyStart = replay.position - REPLAY_CHART_HISTORY_MS;
+        while (replay.index < replay.events.length && replay.events[replay.index].t <= replay.position) {
+            const event = replay.events[replay.index];
+            if (event.type === 'command' || event.t >= historyStart) {
+                applyReplayEvent(event);
+            }
+            replay.index++;
+        }
+        updateReplayPosition();
+    }
+
+    function replayTick() {
+        const now = performance.now();
+        const speed = parseFloat(replaySpeedSelector.value);
+        replay.position = Math.min(replay.duration, replay.position + (now - replay.lastTick) * speed);
+        replay.lastTick = now;
+
+        while (replay.index < replay.events.length && replay.events[replay.index].t <= replay.position) {
+            applyReplayEvent(replay.events[replay.index]);
+            replay.index++;
+        }
+        updateReplayPosition();
+
+        if (replay.position >= replay.duration) {
+            pauseReplay();
+        }
+    }
+
+    function playReplay() {
+        if (replay.position >= replay.duration) {
+            seekReplay(0);
+        }
+        replay.playing = true;
+        replay.lastTick = performance.now();
+        replay.timer = setInterval(replayTick, REPLAY_TICK_MS);
+        replayPlayButton.textContent = 'Pause';
+        updateReplayStatus();
+    }
+
+    function pauseReplay() {
+        stopReplayTimer();
+        replayPlayButton.textContent = 'Play';
+        updateReplayStatus();
+    }
+
+    function stopReplayTimer() {
+        if (replay && replay.timer) {
+            clearInterval(replay.timer);
+            replay.timer = null;
+            replay.playing = false;
+        }
+    }
+
+    function exitReplay() {
+        stopReplayTimer();
+        replay = null;
+        replayControls.hidden = true;
+        replayTo.reset();
+        recordButton.disabled = false;
+        onReplay(false);
+        page.updateStatus('Status: Replay closed. Request port access to begin.');
+    }
+
+    function formatReplayTime(ms) {
+        return `${(ms / 1000).toFixed(1)} s`;
+    }
+
+    function updateReplayPosition() {
+        replaySeek.value = replay.position;
+        replayPosition.textContent = `${formatReplayTime(replay.position)} / ${formatReplayTime(replay.duration)}`;
+    }
+
+    function updateReplayStatus() {
+        const state = replay.playing ? 'playing' : 'paused';
+        page.updateStatus(`Status: Replaying ${replay.fileName} (${state}).`);
+    }
+
+    loadSessionButton.addEventListener('click', () => sessionFileInput.click());
+
+    sessionFileInput.addEventListener('change', async () => {
+        const file = sessionFileInput.files[0];
+        sessionFileInput.value = '';
+        if (!file) return;
+        try {
+            loadReplaySession(parseSessionFile(await file.text()), file.name);
+        } catch (error) {
+            page.updateStatus(`Error loading session: ${error.message}`);
+        }
+    });
+
+    replayPlayButton.addEventListener('click', () => {
+        if (replay.playing) {
+            pauseReplay();
+        } else {
+            playReplay();
+        }
+    });
+
+    replaySeek.addEventListener('input', () => {
+        seekReplay(parseFloat(replaySeek.value));
+    });
+
+    exitReplayButton.addEventListener('click', exitReplay);
+
+    updateSessionInfo();
+
+    return {
+        recordTelemetry,
+        recordCommand,
+        stopRecording() {
+            if (isRecording) {
+                stopRecording();
+            }
+        },
+        // A replay would fight the device for the gauges and controls, so none starts while connected
+        setConnected(connected) {
+            loadSessionButton.disabled = connected;
+        }
+    };
+}
@@ -0,0 +1,287 @@
+// The Teleoperation panel drives the setpoint control (the one marked Remote) from a gamepad axis
+// or two keys and runs the bound actions on button and key presses (see ../teleop.js). While it's
+// on, a frame goes out through sendData() at the set rate whether or not anything moved, so the
+// device gets a steady stream as from the sequence runner. Gamepad buttons are polled, so they act
+// on the tick after they go down; keys act as they're pressed. Bindings are saved per profile as
+// they're edited.
+import {
+    teleopActions, defaultTeleopBindings, normalizeTeleopBindings, teleopAxis, axisSetpoint, pressedActions, keyActions
+} from '../teleop.js';
+
+// elements  the panel's elements by id: teleopEnabled, teleopRate, teleopAxis-index, teleopAxis-min,
+//           teleopAxis-max, teleopAxis-deadzone, teleopInvert, teleopKeyDown, teleopKeyUp,
+//           teleopBindingsBody, resetTeleopButton, teleopGamepad, teleopStatus
+// page      the shared page state (see controller.js)
+// safety    the safety monitor, for the E-stop action
+// drivers   whether the other setpoint drivers are running: tuning, sequence
+export function createTeleopPanel({ elements, page, safety, drivers }) {
+    const {
+        teleopEnabled: teleopEnabledToggle, teleopRate: teleopRateInput, teleopInvert: teleopInvertToggle,
+        teleopKeyDown: teleopKeyDownInput, teleopKeyUp: teleopKeyUpInput, teleopBindingsBody, resetTeleopButton,
+        teleopGamepad: teleopGamepadText, teleopStatus
+    } = elements;
+    const teleopAxisInputs = Object.fromEntries(['index', 'min', 'max', 'deadzone'].map(field =>
+        [field, elements[`teleopAxis-${field}`]]));
+    let teleopBindings = loadTeleopBindings();
+    let teleopTimer = null;
+    let teleopSending = false; // A tick's frame is still on its way, so the next tick doesn't stream another
+    let teleopPressed = new Set(); // Gamepad actions held at the last tick
+    const keysDown = new Set();
+
+    function currentTeleopActions() {
+        return teleopActions(page.commandSchema, { estop: safety.active });
+    }
+
+    function loadTeleopBindings() {
+        const actions = currentTeleopActions();
+        try {
+            const saved = localStorage.getItem(page.storageKey('Teleop'));
+            if (saved) {
+                return normalizeTeleopBindings(JSON.parse(saved), actions);
+            }
+        } catch (error) {
+            console.warn('Ignoring saved teleop bindings:', error.message);
+        }
+        return defaultTeleopBindings(actions);
+    }
+
+    // --- Bindings ---
+    function keyLabel(key) {
+        return key === ' ' ? 'Space' : key ?? '';
+    }
+
+    function setKeyInput(input, key) {
+        input.dataset.key = key ?? '';
+        input.value = keyLabel(key);
+    }
+
+    // The key inputs take the next key pressed in them; Backspace or Delete clears one
+    function captureKey(input) {
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Tab') return;
+            event.preventDefault();
+            setKeyInput(input, event.key === 'Backspace' || event.key === 'Delete' ? null : event.key);
+            saveTeleopBindings();
+        });
+    }
+
+    function renderTeleopPanel() {
+        teleopRateInput.value = teleopBindings.rateHz;
+        Object.entries(teleopAxisInputs).forEach(([field, input]) => {
+            input.value = teleopBindings.axis[field];
+        });
+        teleopInvertToggle.checked = teleopBindings.axis.invert;
+        setKeyInput(teleopKeyDownInput, teleopBindings.axis.keyDown);
+        setKeyInput(teleopKeyUpInput, teleopBindings.axis.keyUp);
+        teleopBindingsBody.innerHTML = '';
+        currentTeleopActions().forEach(action => {
+            const binding = teleopBindings.buttons[action.id];
+            const row = document.createElement('tr');
+            row.dataset.action = action.id;
+            row.innerHTML = `
+                <td></td>
+                <td><input type="text" data-field="button" class="schema-number" placeholder="None"></td>
+                <td><input type="text" data-field="key" class="teleop-key" placeholder="None" readonly></td>
+            `;
+            row.cells[0].textContent = action.label;
+            row.querySelector('[data-field="button"]').value = binding.button ?? '';
+            const keyInput = row.querySelector('[data-field="key"]');
+            setKeyInput(keyInput, binding.key);
+            captureKey(keyInput);
+            teleopBindingsBody.appendChild(row);
+        });
+        renderTeleopGamepad();
+    }
+
+    // Throws with the reason when the panel doesn't hold valid bindings
+    function readTeleopPanel() {
+        const buttons = {};
+        Array.from(teleopBindingsBody.rows).forEach(row => {
+            buttons[row.dataset.action] = {
+                button: row.querySelector('[data-field="button"]').value.trim(),
+                key: row.querySelector('[data-field="key"]').dataset.key
+            };
+        });
+        const axis = Object.fromEntries(Object.entries(teleopAxisInputs).map(([field, input]) => [field, input.value]));
+        return normalizeTeleopBindings({
+            rateHz: teleopRateInput.value,
+            axis: { ...axis, invert: teleopInvertToggle.checked, keyDown: teleopKeyDownInput.dataset.key, keyUp: teleopKeyUpInput.dataset.key },
+            buttons
+        }, currentTeleopActions());
+    }
+
+    function saveTeleopBindings() {
+        try {
+            teleopBindings = readTeleopPanel();
+        } catch (error) {
+            teleopStatus.textContent = `Teleop error: ${error.message}`;
+            return;
+        }
+        localStorage.setItem(page.storageKey('Teleop'), JSON.stringify(teleopBindings));
+        if (teleopTimer) {
+            scheduleTeleop(); // At the new rate
+        } else {
+            teleopStatus.textContent = 'Bindings saved.';
+        }
+    }
+
+    // --- Driving ---
+    function scheduleTeleop() {
+        clearInterval(teleopTimer);
+        teleopTimer = setInterval(teleopTick, 1000 / teleopBindings.rateHz);
+    }
+
+    // The first pad that is still there; browsers only list one after a button on it was pressed
+    function connectedGamepad() {
+        const gamepads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        return gamepads.find(gamepad => gamepad && gamepad.connected) ?? null;
+    }
+
+    function renderTeleopGamepad() {
+        const gamepad = connectedGamepad();
+        teleopGamepadText.textContent = gamepad
+            ? `Gamepad: ${gamepad.id}`
+            : 'No gamepad found; press a button on it to make it visible. The keys work without one.';
+    }
+
+    function startTeleop() {
+        if (!page.connected) {
+            page.updateStatus('Error: Not connected.');
+            return false;
+        }
+        const control = page.setpointControl();
+        if (!control) {
+            teleopStatus.textContent = 'The command schema has no setpoint control (the one marked Remote).';
+            return false;
+        }
+        if (page.useRemoteSetpoint || drivers.tuning || drivers.sequence) {
+            teleopStatus.textContent = page.useRemoteSetpoint
+                ? 'Switch off the phone setpoint first; it would override teleoperation.'
+                : drivers.tuning ? 'Wait for the tuning test to finish first.' : 'Abort the setpoint sequence first.';
+            return false;
+        }
+        // Buttons already down don't count as presses
+        teleopPressed = pressedActions(teleopBindings, connectedGamepad());
+        scheduleTeleop();
+        teleopTick();
+        return true;
+    }
+
+    function stopTeleop() {
+        clearInterval(teleopTimer);
+        teleopTimer = null;
+        keysDown.clear();
+        teleopEnabledToggle.checked = false;
+    }
+
+    function abortTeleop(reason) {
+        if (!teleopTimer) return;
+        stopTeleop();
+        teleopStatus.textContent = `Teleoperation stopped: ${reason}.`;
+    }
+
+    function runTeleopAction(id, source) {
+        const action = currentTeleopActions().find(candidate => candidate.id === id);
+        if (!action) return;
+        if (action.type === 'estop') {
+            safety.emergencyStop(`E-stop ${source}`);
+            return;
+        }
+        const control = page.commandSchema.controls.find(candidate => candidate.key === action.key);
+        if (action.type === 'toggle') {
+            page.setControlValue(control, !page.controlState[control.key]);
+        } else {
+            page.setControlValue(control, page.controlState[control.key] ^ (1 << action.bit));
+        }
+    }
+
+    // Changes from actions go out with the setpoint in this tick's frame
+    async function teleopTick() {
+        const gamepad = connectedGamepad();
+        const pressed = pressedActions(teleopBindings, gamepad);
+        pressed.forEach(id => {
+            if (!teleopPressed.has(id)) {
+                runTeleopAction(id, 'button on the gamepad');
+            }
+        });
+        teleopPressed = pressed;
+        // The E-stop ended it; the buttons are still read while a frame is on its way, so it never waits
+        if (!teleopTimer || teleopSending) return;
+
+        const control = page.setpointControl();
+        const value = axisSetpoint(teleopAxis(teleopBindings, gamepad, keysDown), teleopBindings.axis);
+        page.applyControlValues({ [control.key]: value });
+        teleopSending = true;
+        await page.sendData();
+        teleopSending = false;
+        if (!teleopTimer) return;
+        teleopStatus.textContent = `${control.label} ${value} from ${gamepad ? 'the gamepad' : 'the keyboard'}.`;
+    }
+
+    // Keys typed into fields are left alone, so editing the page still works while driving
+    function teleopKeyEvent(event) {
+        return teleopTimer && !event.target.closest?.('input, textarea, select');
+    }
+
+    document.addEventListener('keydown', (event) => {
+        if (!teleopKeyEvent(event)) return;
+        const { keyDown, keyUp } = teleopBindings.axis;
+        const actions = keyActions(teleopBindings, event.key);
+        if (event.key === keyDown || event.key === keyUp || actions.length > 0) {
+            event.preventDefault(); // Arrow keys and Space would scroll the page
+        }
+        keysDown.add(event.key);
+        if (!event.repeat) {
+            actions.forEach(id => runTeleopAction(id, 'key pressed'));
+        }
+    });
+
+    document.addEventListener('keyup', (event) => {
+        keysDown.delete(event.key);
+    });
+
+    // A key let go while the window had no focus never sends its keyup
+    window.addEventListener('blur', () => keysDown.clear());
+
+    window.addEventListener('gamepadconnected', renderTeleopGamepad);
+    window.addEventListener('gamepaddisconnected', renderTeleopGamepad);
+
+    teleopEnabledToggle.addEventListener('change', () => {
+        if (!teleopEnabledToggle.checked) {
+            stopTeleop();
+            teleopStatus.textContent = 'Teleoperation off.';
+        } else if (!startTeleop()) {
+            teleopEnabledToggle.checked = false;
+        }
+    });
+
+    [teleopRateInput, ...Object.values(teleopAxisInputs), teleopInvertToggle].forEach(input =>
+        input.addEventListener('change', saveTeleopBindings));
+    teleopBindingsBody.addEventListener('change', saveTeleopBindings);
+    captureKey(teleopKeyDownInput);
+    captureKey(teleopKeyUpInput);
+
+    resetTeleopButton.addEventListener('click', () => {
+        localStorage.removeItem(page.storageKey('Teleop'));
+        teleopBindings = defaultTeleopBindings(currentTeleopActions());
+        renderTeleopPanel();
+        if (teleopTimer) {
+            scheduleTeleop();
+        }
+        teleopStatus.textContent = 'Bindings reset to the defaults.';
+    });
+
+    renderTeleopPanel();
+
+    return {
+        get running() {
+            return Boolean(teleopTimer);
+        },
+        abort: abortTeleop,
+        // The actions follow the controls, so the bindings are read again for a new command schema
+        reload() {
+            teleopBindings = loadTeleopBindings();
+            renderTeleopPanel();
+        }
+    };
+}
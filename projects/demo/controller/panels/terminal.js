@@ -0,0 +1,129 @@
+// The Serial Terminal: everything that crosses the port is kept as bytes, so it can be shown as
+// ASCII or hex, filtered by direction and text, and lines can be typed to the device by hand.
+import { FRAME_TERMINATORS } from '../protocol.js';
+
+const TERMINAL_MAX_ENTRIES = 2000;
+const terminalEncoder = new TextEncoder();
+
+export function formatTerminalTime(time) {
+    const date = new Date(time);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+// elements  the panel's elements by id: terminalOutput, terminalView, terminalDirection,
+//           terminalFilter, terminalAutoScroll, clearTerminalButton, terminalInput,
+//           terminalLineEnding, terminalSendButton
+// page      the shared page state (see controller.js)
+export function createTerminal({ elements, page }) {
+    const {
+        terminalOutput, terminalView: terminalViewSelector, terminalDirection: terminalDirectionSelector,
+        terminalFilter: terminalFilterInput, terminalAutoScroll: terminalAutoScrollToggle, clearTerminalButton,
+        terminalInput, terminalLineEnding: terminalLineEndingSelector, terminalSendButton
+    } = elements;
+    let terminalEntries = [];
+
+    function logTraffic(direction, data) {
+        const bytes = typeof data === 'string' ? terminalEncoder.encode(data) : Uint8Array.from(data);
+        const entry = { time: Date.now(), direction, bytes, element: null };
+        terminalEntries.push(entry);
+        if (terminalEntries.length > TERMINAL_MAX_ENTRIES) {
+            terminalEntries.shift().element?.remove();
+        }
+        if (terminalEntryVisible(entry)) {
+            entry.element = createTerminalLine(entry);
+            terminalOutput.appendChild(entry.element);
+            scrollTerminal();
+        }
+    }
+
+    // --- Rendering ---
+    // Control characters are spelled out so line endings and stray bytes stay visible
+    function bytesToAscii(bytes) {
+        const escapes = { 9: '\\t', 10: '\\n', 13: '\\r' };
+        return Array.from(bytes, byte => escapes[byte] ||
+            (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : `\\x${byte.toString(16).padStart(2, '0')}`)).join('');
+    }
+
+    function bytesToHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(' ');
+    }
+
+    function terminalEntryText(entry) {
+        return terminalViewSelector.value === 'hex' ? bytesToHex(entry.bytes) : bytesToAscii(entry.bytes);
+    }
+
+    // The filter matches what is on screen, so in hex view it takes hex bytes
+    function terminalEntryVisible(entry) {
+        const direction = terminalDirectionSelector.value;
+        if (direction !== 'all' && direction !== entry.direction) return false;
+        const filter = terminalFilterInput.value.trim().toLowerCase();
+        return !filter || terminalEntryText(entry).toLowerCase().includes(filter);
+    }
+
+    function createTerminalLine(entry) {
+        const line = document.createElement('div');
+        line.className = `terminal-line ${entry.direction}`;
+        line.textContent = `${formatTerminalTime(entry.time)} ${entry.direction.toUpperCase()} ${terminalEntryText(entry)}`;
+        return line;
+    }
+
+    function renderTerminal() {
+        terminalOutput.innerHTML = '';
+        terminalEntries.forEach(entry => {
+            entry.element = null;
+            if (terminalEntryVisible(entry)) {
+                entry.element = createTerminalLine(entry);
+                terminalOutput.appendChild(entry.element);
+            }
+        });
+        scrollTerminal();
+    }
+
+    function scrollTerminal() {
+        if (terminalAutoScrollToggle.checked) {
+            terminalOutput.scrollTop = terminalOutput.scrollHeight;
+        }
+    }
+
+    // --- Sending ---
+    async function sendTerminalLine() {
+        if (!page.connected) {
+            page.updateStatus('Error: Not connected.');
+            return;
+        }
+        const text = terminalInput.value + (FRAME_TERMINATORS[terminalLineEndingSelector.value] ?? '');
+        if (!text) return;
+        try {
+            await page.writeToPort(text);
+            terminalInput.value = '';
+        } catch (error) {
+            page.updateStatus(`Send error: ${error.message}`, true);
+        }
+    }
+
+    terminalViewSelector.addEventListener('change', renderTerminal);
+    terminalDirectionSelector.addEventListener('change', renderTerminal);
+    terminalFilterInput.addEventListener('input', renderTerminal);
+    terminalAutoScrollToggle.addEventListener('change', scrollTerminal);
+    clearTerminalButton.addEventListener('click', () => {
+        terminalEntries = [];
+        renderTerminal();
+    });
+    terminalSendButton.addEventListener('click', sendTerminalLine);
+    terminalInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            sendTerminalLine();
+        }
+    });
+
+    return {
+        log: logTraffic,
+        // Typing only makes sense while connected
+        setDisabled(disabled) {
+            terminalInput.disabled = disabled;
+            terminalSendButton.disabled = disabled;
+        }
+    };
+}
@@ -0,0 +1,337 @@
+// The PID Tuning panel. A step test moves the setpoint control by `step` through sendData(),
+// records the tuning channel and lists the metrics next to the gains that produced them. A relay
+// test switches to a P-only loop with a gain high enough to saturate the output, which then acts as
+// a relay of ±relayOutput; its limit cycle gives Ziegler–Nichols suggestions (see ../tuning.js).
+// Both tests put back the values they changed, and an E-stop, a disconnect or a profile switch
+// aborts them. The panel is hidden for profiles without `tuning`.
+import { describeControlValues, parseNumberInput } from '../protocol.js';
+import { channelTitle } from '../gauges.js';
+import { analyzeStepResponse, measureOscillation, zieglerNicholsGains } from '../tuning.js';
+
+const TUNING_BASELINE_MS = 500; // Telemetry averaged before the step, as the starting value
+
+// elements  the panel's elements by id: tuningPanel, tuningChannel, stepSize, stepDuration,
+//           settleBand, relayGain, relayOutput, relayDuration, stepTestButton, relayTestButton,
+//           clearTuningButton, tuningStatus, tuningResultsBody, tuningSuggestion,
+//           tuningSuggestionText, applySuggestionButton
+// page      the shared page state (see controller.js)
+// presets   the Presets panel, whose comparison follows applied suggestions
+// drivers   whether the other setpoint drivers are running: sequence, teleop
+export function createTuningPanel({ elements, page, presets, drivers }) {
+    const {
+        tuningPanel, tuningChannel: tuningChannelSelector, stepSize: stepSizeInput, stepDuration: stepDurationInput,
+        settleBand: settleBandInput, relayGain: relayGainInput, relayOutput: relayOutputInput,
+        relayDuration: relayDurationInput, stepTestButton, relayTestButton, clearTuningButton, tuningStatus,
+        tuningResultsBody, tuningSuggestion, tuningSuggestionText, applySuggestionButton
+    } = elements;
+    const TUNING_INPUTS = {
+        step: stepSizeInput,
+        durationMs: stepDurationInput,
+        settlePercent: settleBandInput,
+        relayGain: relayGainInput,
+        relayOutput: relayOutputInput,
+        relayDurationMs: relayDurationInput
+    };
+    let tuningSettings = page.profile.tuning ? loadTuningSettings() : null;
+    let tuningRun = null; // { kind, changed, samples, timer, ... } while a test is running
+    let tuningResults = [];
+    let suggestedGains = null;
+
+    // --- Settings ---
+    function loadTuningSettings() {
+        try {
+            return { ...page.profile.tuning, ...JSON.parse(localStorage.getItem(page.storageKey('Tuning')) || '{}') };
+        } catch (error) {
+            console.warn('Ignoring saved tuning settings:', error.message);
+            return { ...page.profile.tuning };
+        }
+    }
+
+    function renderTuningPanel() {
+        tuningPanel.hidden = !page.profile.tuning;
+        if (page.profile.tuning) {
+            renderTuningSettings();
+        }
+        renderTuningResults();
+    }
+
+    function renderTuningSettings() {
+        Object.entries(TUNING_INPUTS).forEach(([name, input]) => {
+            input.value = tuningSettings[name];
+        });
+        tuningChannelSelector.innerHTML = '';
+        page.telemetrySchema.forEach(config => tuningChannelSelector.add(new Option(channelTitle(config), config.key)));
+        tuningChannelSelector.value = tuningSettings.channel;
+    }
+
+    // The step may go either way but not be 0; everything else has to be positive
+    function readTuningSettings() {
+        let allValid = true;
+        Object.entries(TUNING_INPUTS).forEach(([name, input]) => {
+            const value = parseNumberInput(input.value);
+            const valid = !isNaN(value) && (name === 'step' ? value !== 0 : value > 0);
+            input.classList.toggle('invalid', !valid);
+            if (valid) {
+                tuningSettings[name] = value;
+            } else {
+                allValid = false;
+            }
+        });
+        tuningSettings.channel = tuningChannelSelector.value;
+        if (allValid) {
+            const saved = { channel: tuningSettings.channel };
+            Object.keys(TUNING_INPUTS).forEach(name => {
+                saved[name] = tuningSettings[name];
+            });
+            localStorage.setItem(page.storageKey('Tuning'), JSON.stringify(saved));
+        }
+    }
+
+    // --- Tests ---
+    function tuningChannel() {
+        return page.telemetrySchema.find(config => config.key === tuningSettings.channel);
+    }
+
+    // Returns the control values to start from, or null (with the reason shown) when a test can't run
+    function tuningStartValues() {
+        if (!page.connected) {
+            page.updateStatus('Error: Not connected.');
+            return null;
+        }
+        if (page.useRemoteSetpoint) {
+            tuningStatus.textContent = 'Switch off the phone setpoint first; it would override the test.';
+            return null;
+        }
+        if (drivers.sequence) {
+            tuningStatus.textContent = 'Abort the setpoint sequence first; it would override the test.';
+            return null;
+        }
+        if (drivers.teleop) {
+            tuningStatus.textContent = 'Switch off teleoperation first; it would override the test.';
+            return null;
+        }
+        if (!tuningChannel()) {
+            tuningStatus.textContent = `The telemetry schema has no "${tuningSettings.channel}" channel to record.`;
+            return null;
+        }
+        const { values, allValid } = page.readControlValues();
+        if (!allValid) {
+            page.updateStatus('Error: Invalid number in one of the fields.');
+            return null;
+        }
+        return values;
+    }
+
+    async function startStepTest() {
+        const values = tuningStartValues();
+        if (!values) return;
+        const setpointKey = page.profile.tuning.setpoint;
+        tuningRun = {
+            kind: 'step',
+            changed: { [setpointKey]: values[setpointKey] },
+            gains: gainsText(values),
+            initialSetpoint: values[setpointKey],
+            target: values[setpointKey] + tuningSettings.step,
+            baseline: [],
+            samples: [],
+            stepAt: null,
+            timer: setTimeout(applyTuningStep, TUNING_BASELINE_MS)
+        };
+        tuningStatus.textContent = 'Step test: measuring the starting value...';
+        renderTuningButtons();
+    }
+
+    async function applyTuningStep() {
+        const run = tuningRun;
+        run.stepAt = Date.now();
+        page.applyControlValues({ [page.profile.tuning.setpoint]: run.target });
+        await page.sendData();
+        if (tuningRun !== run) return;
+        tuningStatus.textContent = `Step test: setpoint ${run.initialSetpoint} → ${run.target}, recording for ${tuningSettings.durationMs} ms...`;
+        run.timer = setTimeout(finishTuningRun, tuningSettings.durationMs);
+    }
+
+    async function startRelayTest() {
+        const values = tuningStartValues();
+        if (!values) return;
+        const { gains, setpoint } = page.profile.tuning;
+        tuningRun = {
+            kind: 'relay',
+            changed: { [gains.p]: values[gains.p], [gains.i]: values[gains.i], [gains.d]: values[gains.d] },
+            center: values[setpoint],
+            samples: [],
+            stepAt: Date.now(),
+            timer: null
+        };
+        const run = tuningRun;
+        renderTuningButtons();
+        page.applyControlValues({ [gains.p]: tuningSettings.relayGain, [gains.i]: 0, [gains.d]: 0 });
+        await page.sendData();
+        if (tuningRun !== run) return;
+        tuningStatus.textContent = `Relay test: P-only at ${tuningSettings.relayGain}, recording for ${tuningSettings.relayDurationMs} ms...`;
+        run.timer = setTimeout(finishTuningRun, tuningSettings.relayDurationMs);
+    }
+
+    function collectTuningSample(values) {
+        const index = page.telemetrySchema.findIndex(config => config.key === tuningSettings.channel);
+        if (index === -1) return;
+        if (tuningRun.stepAt === null) {
+            tuningRun.baseline.push(values[index]);
+        } else {
+            tuningRun.samples.push({ t: Date.now() - tuningRun.stepAt, value: values[index] });
+        }
+    }
+
+    // The numeric controls other than the setpoint, i.e. the gains a result was measured with
+    function gainsText(values) {
+        const gains = page.commandSchema.controls.filter(control => control.type === 'number' && control.key !== page.profile.tuning.setpoint);
+        return describeControlValues(values, gains);
+    }
+
+    async function finishTuningRun() {
+        const run = tuningRun;
+        tuningRun = null;
+        page.applyControlValues(run.changed);
+        await page.sendData();
+        renderTuningButtons();
+        if (run.kind === 'step') {
+            finishStepTest(run);
+        } else {
+            finishRelayTest(run);
+        }
+    }
+
+    function finishStepTest(run) {
+        if (run.baseline.length === 0 || run.samples.length === 0) {
+            tuningStatus.textContent = `Step test failed: no ${tuningChannel().label} telemetry arrived.`;
+            return;
+        }
+        const initial = run.baseline.reduce((total, value) => total + value, 0) / run.baseline.length;
+        const metrics = analyzeStepResponse(run.samples, {
+            initial,
+            target: run.target,
+            settleBand: tuningSettings.settlePercent / 100
+        });
+        if (!metrics) {
+            tuningStatus.textContent = 'Step test failed: the response started at the target, so there was no step to measure.';
+            return;
+        }
+        tuningResults.push({ time: Date.now(), gains: run.gains, from: run.initialSetpoint, to: run.target, unit: tuningChannel().unit, ...metrics });
+        renderTuningResults();
+        tuningStatus.textContent = `Step test done; setpoint back at ${run.initialSetpoint}.`;
+    }
+
+    function finishRelayTest(run) {
+        const oscillation = measureOscillation(run.samples, run.center);
+        if (!oscillation) {
+            suggestedGains = null;
+            renderTuningSuggestion();
+            tuningStatus.textContent = 'Relay test: no steady oscillation around the setpoint. Try a higher relay gain or a longer run.';
+            return;
+        }
+        suggestedGains = { ...zieglerNicholsGains({ ...oscillation, relayOutput: tuningSettings.relayOutput }), clipped: oscillation.clipped };
+        renderTuningSuggestion();
+        tuningStatus.textContent = `Relay test done over ${oscillation.cycles} cycles; gains put back. ` +
+            'Ziegler–Nichols gains are aggressive, so step-test them before relying on them.';
+    }
+
+    // Puts the changed controls back on the page values and sends them, so the device doesn't keep
+    // the step or the relay gains; after an E-stop (`send: false`) the next frame should come from
+    // the user. The frame is built before the first await, so a page.profile switch can't change it.
+    async function abortTuningRun(reason, { send = true } = {}) {
+        if (!tuningRun) return;
+        clearTimeout(tuningRun.timer);
+        page.applyControlValues(tuningRun.changed);
+        tuningRun = null;
+        renderTuningButtons();
+        tuningStatus.textContent = `Test aborted: ${reason}.`;
+        if (send && page.connected) {
+            await page.sendData();
+        }
+    }
+
+    // --- Results ---
+    function renderTuningButtons() {
+        stepTestButton.textContent = tuningRun?.kind === 'step' ? 'Abort Step Test' : 'Run Step Test';
+        relayTestButton.textContent = tuningRun?.kind === 'relay' ? 'Abort Relay Test' : 'Run Relay Test';
+        stepTestButton.disabled = tuningRun?.kind === 'relay';
+        relayTestButton.disabled = tuningRun?.kind === 'step';
+    }
+
+    function formatSeconds(ms) {
+        return ms === null ? '—' : `${(ms / 1000).toFixed(2)} s`;
+    }
+
+    function renderTuningResults() {
+        tuningResultsBody.innerHTML = '';
+        tuningResults.forEach(result => {
+            const row = document.createElement('tr');
+            [
+                new Date(result.time).toLocaleTimeString(),
+                result.gains,
+                `${result.from} → ${result.to}`,
+                formatSeconds(result.riseTime),
+                `${result.overshoot.toFixed(1)} %`,
+                formatSeconds(result.settlingTime),
+                `${result.steadyStateError.toFixed(2)} ${result.unit}`.trim()
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tuningResultsBody.appendChild(row);
+        });
+        clearTuningButton.disabled = tuningResults.length === 0;
+        renderTuningSuggestion();
+    }
+
+    function renderTuningSuggestion() {
+        tuningSuggestion.hidden = !suggestedGains;
+        if (!suggestedGains) return;
+        const { ultimateGain, ultimatePeriod, p, i, d, clipped } = suggestedGains;
+        tuningSuggestionText.textContent = `Ku ${ultimateGain.toPrecision(3)}, Tu ${ultimatePeriod.toFixed(2)} s → ` +
+            `Kp ${p.toPrecision(3)}, Ki ${i.toPrecision(3)}, Kd ${d.toPrecision(3)}` +
+            (clipped ? '. The swing hit an end stop, so its amplitude reads low and these gains are too high.' : '');
+    }
+
+    Object.values(TUNING_INPUTS).forEach(input => input.addEventListener('change', readTuningSettings));
+    tuningChannelSelector.addEventListener('change', readTuningSettings);
+
+    stepTestButton.addEventListener('click', () => (tuningRun ? abortTuningRun('cancelled') : startStepTest()));
+    relayTestButton.addEventListener('click', () => (tuningRun ? abortTuningRun('cancelled') : startRelayTest()));
+
+    clearTuningButton.addEventListener('click', () => {
+        tuningResults = [];
+        renderTuningResults();
+    });
+
+    // Rounded like a hand-typed gain, then sent like any other change
+    applySuggestionButton.addEventListener('click', async () => {
+        const { gains } = page.profile.tuning;
+        page.applyControlValues({
+            [gains.p]: Number(suggestedGains.p.toPrecision(3)),
+            [gains.i]: Number(suggestedGains.i.toPrecision(3)),
+            [gains.d]: Number(suggestedGains.d.toPrecision(3))
+        });
+        presets.renderComparison();
+        if (page.connected) {
+            await page.sendData();
+        }
+    });
+
+    renderTuningPanel();
+
+    return {
+        get running() {
+            return Boolean(tuningRun);
+        },
+        collectSample: collectTuningSample,
+        abort: abortTuningRun,
+        // The settings of the profile switched to; renderPanel() shows them
+        reload() {
+            tuningSettings = page.profile.tuning ? loadTuningSettings() : null;
+        },
+        renderPanel: renderTuningPanel,
+        renderSettings: renderTuningSettings
+    };
+}
@@ -0,0 +1,535 @@
+// The wire formats shared by every controller page: telemetry lines, command frames, the binary
+// packet codec and the remote-control messages.
+import { ALARM_THRESHOLDS } from './alarms.js';
+
+// --- Telemetry Schema ---
+export const WIDGET_TYPES = ['gauge', 'value'];
+export const CHANNEL_COLORS = ['#007bff', '#dc3545', '#28a745', '#fd7e14', '#6f42c1', '#17a2b8'];
+
+// Checks a schema from the editor, localStorage or an imported file, and fills in defaults
+export function normalizeTelemetrySchema(schema) {
+    if (!Array.isArray(schema) || schema.length === 0) {
+        throw new Error('Schema must contain at least one channel.');
+    }
+    const keys = new Set();
+    return schema.map((channel, index) => {
+        const key = String(channel.key ?? '').trim();
+        if (!/^[A-Za-z_]\w*$/.test(key)) {
+            throw new Error(`Channel ${index + 1}: key must be a word such as "A" or "rpm_left".`);
+        }
+        if (keys.has(key)) {
+            throw new Error(`Channel ${index + 1}: duplicate key "${key}".`);
+        }
+        keys.add(key);
+        const min = Number(channel.min);
+        const max = Number(channel.max);
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+            throw new Error(`Channel "${key}": min must be a number less than max.`);
+        }
+        return {
+            id: `gauge-${key}`,
+            key,
+            label: String(channel.label ?? '').trim() || key,
+            unit: String(channel.unit ?? '').trim(),
+            min,
+            max,
+            widget: WIDGET_TYPES.includes(channel.widget) ? channel.widget : 'gauge',
+            color: /^#[0-9a-f]{6}$/i.test(channel.color) ? channel.color : CHANNEL_COLORS[index % CHANNEL_COLORS.length],
+            ...normalizeThresholds(channel, key)
+        };
+    });
+}
+
+// Empty thresholds are null; the ones that are set must keep their order (see alarms.js)
+function normalizeThresholds(channel, key) {
+    const thresholds = {};
+    ALARM_THRESHOLDS.forEach(field => {
+        const raw = channel[field];
+        thresholds[field] = raw === null || raw === undefined || String(raw).trim() === '' ? null : Number(raw);
+        if (thresholds[field] !== null && !Number.isFinite(thresholds[field])) {
+            throw new Error(`Channel "${key}": ${field} must be a number or empty.`);
+        }
+    });
+    const set = ALARM_THRESHOLDS.filter(field => thresholds[field] !== null);
+    set.slice(1).forEach((field, index) => {
+        const before = set[index];
+        const sameSide = before.endsWith('Low') === field.endsWith('Low');
+        if (thresholds[field] < thresholds[before] || (!sameSide && thresholds[field] === thresholds[before])) {
+            throw new Error(`Channel "${key}": thresholds must go critLow ≤ warnLow < warnHigh ≤ critHigh.`);
+        }
+    });
+    return thresholds;
+}
+
+export function exportableSchema(schema) {
+    return schema.map(({ key, label, unit, min, max, widget, color, critLow, warnLow, warnHigh, critHigh }) =>
+        ({ key, label, unit, min, max, widget, color, critLow, warnLow, warnHigh, critHigh }));
+}
+
+// --- Command Schema ---
+export const CONTROL_TYPES = ['number', 'toggle', 'color', 'bitmask'];
+export const LED_COLORS = ['red', 'green', 'blue', 'yellow'];
+export const FRAME_SEPARATORS = { space: ' ', comma: ', ', semicolon: '; ', tab: '\t' };
+export const FRAME_TERMINATORS = { lf: '\n', crlf: '\r\n', cr: '\r', none: '' };
+export const SEQUENCE_KEY = 'seq'; // Reserved for the sequence number of acknowledged frames
+
+// Checks a schema from the editor, localStorage or an imported file, and fills in defaults
+export function normalizeCommandSchema(schema) {
+    if (!schema || !Array.isArray(schema.controls) || schema.controls.length === 0) {
+        throw new Error('Command schema must contain at least one control.');
+    }
+    if (!(schema.separator in FRAME_SEPARATORS)) {
+        throw new Error(`Unknown separator "${schema.separator}".`);
+    }
+    if (!(schema.terminator in FRAME_TERMINATORS)) {
+        throw new Error(`Unknown terminator "${schema.terminator}".`);
+    }
+    const keys = new Set();
+    const controls = schema.controls.map((control, index) => {
+        const key = String(control.key ?? '').trim();
+        if (!/^[A-Za-z_]\w*$/.test(key)) {
+            throw new Error(`Control ${index + 1}: key must be a word such as "p" or "led_mask".`);
+        }
+        if (keys.has(key)) {
+            throw new Error(`Control ${index + 1}: duplicate key "${key}".`);
+        }
+        if (key === SEQUENCE_KEY) {
+            throw new Error(`Control ${index + 1}: "${SEQUENCE_KEY}" is reserved for acknowledged frames.`);
+        }
+        keys.add(key);
+        if (!CONTROL_TYPES.includes(control.type)) {
+            throw new Error(`Control "${key}": unknown type "${control.type}".`);
+        }
+        const normalized = { key, label: String(control.label ?? '').trim() || key, type: control.type };
+        if (control.type === 'number') {
+            normalized.value = Number(control.value);
+            if (!Number.isFinite(normalized.value)) {
+                throw new Error(`Control "${key}": default must be a number.`);
+            }
+            const precision = control.precision;
+            normalized.precision = precision === null || precision === undefined || precision === '' ? null : Number(precision);
+            if (normalized.precision !== null && !(Number.isInteger(normalized.precision) && normalized.precision >= 0 && normalized.precision <= 10)) {
+                throw new Error(`Control "${key}": precision must be a whole number of decimals from 0 to 10, or empty.`);
+            }
+            normalized.remote = control.remote === true;
+        } else if (control.type === 'toggle') {
+            normalized.value = control.value === true || String(control.value) === '1';
+        } else if (control.type === 'color') {
+            if (!/^#[0-9a-f]{6}$/i.test(control.value)) {
+                throw new Error(`Control "${key}": default must be a colour such as #ff0000.`);
+            }
+            normalized.value = control.value.toLowerCase();
+        } else {
+            const bits = Array.isArray(control.bits) ? control.bits : String(control.bits ?? '').split(',');
+            normalized.bits = bits.map(bit => String(bit).trim().toLowerCase());
+            if (normalized.bits.length > 31 || !normalized.bits.every(bit => LED_COLORS.includes(bit))) {
+                throw new Error(`Control "${key}": bits must list 1 to 31 of ${LED_COLORS.join(', ')}.`);
+            }
+            normalized.value = Number(control.value);
+            if (!Number.isInteger(normalized.value) || normalized.value < 0 || normalized.value >= 2 ** normalized.bits.length) {
+                throw new Error(`Control "${key}": default must be a mask that fits in ${normalized.bits.length} bits.`);
+            }
+        }
+        return normalized;
+    });
+    if (controls.filter(control => control.remote).length > 1) {
+        throw new Error('Only one number control can follow the remote setpoint.');
+    }
+    return { separator: schema.separator, terminator: schema.terminator, controls };
+}
+
+export function exportableCommandSchema(schema) {
+    return {
+        separator: schema.separator,
+        terminator: schema.terminator,
+        controls: schema.controls
+    };
+}
+
+// --- Input Parsing ---
+// Accepts anything a user may be halfway through typing (`-`, `0.`, `1e-`), so fields don't flash red
+export function isPartialNumber(text) {
+    return /^-?\d*\.?\d*(?:[eE][-+]?\d*)?$/.test(text);
+}
+
+// Only complete numbers count; parseFloat alone would read "12abc" as 12
+export function parseNumberInput(text) {
+    return /^\s*-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?\s*$/.test(text) ? Number(text) : NaN;
+}
+
+// A number, or a string holding one, from a saved or imported setting; throws naming `what` otherwise
+export function finiteNumber(value, what) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`${what} must be a number.`);
+    }
+    return number;
+}
+
+// --- Telemetry Lines ---
+// Splits off every complete line (terminator included); the unterminated tail waits for the next chunk
+export function takeLines(buffer) {
+    const lines = [];
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        lines.push(buffer.slice(0, newlineIndex + 1));
+        buffer = buffer.slice(newlineIndex + 1);
+    }
+    return { lines, rest: buffer };
+}
+
+// Extracts every `key: value` pair on the line; a sample needs a value for each schema channel,
+// otherwise the line isn't telemetry and null comes back. Only complete numbers count, so
+// "1.2.3" or "12abc" is no value at all rather than 1.2 or 12.
+export function parseTelemetryLine(line, schema) {
+    const fields = {};
+    for (const [, key, value] of line.matchAll(/([A-Za-z_]\w*)\s*:\s*(-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)(?![\w.])/g)) {
+        fields[key] = parseFloat(value);
+    }
+    const values = schema.map(config => fields[config.key]);
+    return values.some(value => value === undefined || isNaN(value)) ? null : values;
+}
+
+// --- Command Frames ---
+// For values computed on the page (sequences, routes, the teleop axis), so the frames don't carry
+// floating-point noise like 4.999999999
+export function roundForFrame(value) {
+    return Number(value.toFixed(3));
+}
+
+export function controlValueFits(control, value) {
+    switch (control.type) {
+        case 'number':
+            return Number.isFinite(value);
+        case 'toggle':
+            return typeof value === 'boolean';
+        case 'color':
+            return /^#[0-9a-f]{6}$/i.test(value);
+        case 'bitmask':
+            return Number.isInteger(value) && value >= 0 && value < 2 ** control.bits.length;
+        default:
+            return false;
+    }
+}
+
+export function formatWireValue(control, value) {
+    switch (control.type) {
+        case 'number':
+            return control.precision === null ? String(value) : value.toFixed(control.precision);
+        case 'color':
+            return value.substring(1);
+        case 'toggle':
+            return value ? '1' : '0';
+        default:
+            return String(value);
+    }
+}
+
+export function buildCommandFrame(values, sequence, schema) {
+    const fields = schema.controls.map(control => `${control.key}: ${formatWireValue(control, values[control.key])}`);
+    if (sequence !== undefined) {
+        fields.push(`${SEQUENCE_KEY}: ${sequence}`);
+    }
+    return fields.join(FRAME_SEPARATORS[schema.separator]) + FRAME_TERMINATORS[schema.terminator];
+}
+
+export function describeControlValues(values, controls) {
+    return controls.map(control => `${control.key}: ${formatWireValue(control, values[control.key])}`).join(' ');
+}
+
+export function parseFrameFields(frame) {
+    const fields = {};
+    for (const [, key, value] of frame.matchAll(/([A-Za-z_]\w*):\s*([^\s,;]+)/g)) {
+        fields[key] = value;
+    }
+    return fields;
+}
+
+// Converts parsed frame fields into control values, skipping anything missing or unreadable
+export function valuesFromFrameFields(fields, schema) {
+    const values = {};
+    schema.controls.forEach(control => {
+        if (!(control.key in fields)) return;
+        const raw = fields[control.key];
+        if (control.type === 'number') {
+            const value = parseFloat(raw);
+            if (!isNaN(value)) {
+                values[control.key] = value;
+            }
+        } else if (control.type === 'color') {
+            if (/^[0-9a-f]{6}$/i.test(raw)) {
+                values[control.key] = `#${raw.toLowerCase()}`;
+            }
+        } else if (control.type === 'toggle') {
+            values[control.key] = raw === '1';
+        } else {
+            const mask = parseInt(raw, 10);
+            if (!isNaN(mask)) {
+                values[control.key] = mask;
+            }
+        }
+    });
+    return values;
+}
+
+// --- Device Identification ---
+// The page asks a freshly opened port who is on the other end with an `ID?` line; the firmware
+// answers `ID <identity>`, e.g. `ID seesaw`. Anything after the first word (a version, say) is kept
+// for display but doesn't take part in picking the profile.
+export const IDENTIFY_REQUEST = 'ID?';
+
+// Returns the identity from an `ID ...` reply, or null when the line is something else
+export function parseIdentityLine(line) {
+    const match = /^ID\s+(\S.*)$/.exec(line.trim());
+    return match ? match[1].trim() : null;
+}
+
+// --- Link Ping ---
+// Firmware that supports echo answers a `PING <n>` line with `PONG <n>`, as soon as it reads it, so
+// the page can time the round trip. Firmware that doesn't simply never answers.
+export const PING_REQUEST = 'PING';
+
+// Returns the number from a `PONG <n>` reply, or null when the line is something else
+export function parsePongLine(line) {
+    const match = /^PONG\s+(\d+)$/.exec(line.trim());
+    return match ? Number(match[1]) : null;
+}
+
+// --- Heartbeat ---
+// Sent at a fixed interval to a device whose profile has motor safety, so its firmware can stop the
+// motors itself when the page stops running: an `HB <n>` line ended like a command frame, or in the
+// binary protocol a 0x07 packet carrying `n` as a uint16
+export function encodeHeartbeat(count, protocol, schema) {
+    if (protocol === 'binary') {
+        return framePacket(Uint8Array.of(PACKET_HEARTBEAT, count & 0xff, count >> 8));
+    }
+    return `HB ${count}${FRAME_TERMINATORS[schema.terminator] || '\n'}`;
+}
+
+// --- Binary Protocol ---
+// Optional alternative to the text protocol. Every packet is
+//   COBS(payload + CRC16) followed by a 0x00 delimiter,
+// where the CRC is CRC-16/CCITT-FALSE of the payload, sent little-endian.
+// The first payload byte is the packet type; all multi-byte fields are little-endian.
+//   Telemetry (device -> page): one float32 per telemetry schema channel, in schema order.
+//   Command (page -> device): per command control in schema order, a float32 for numbers,
+//   a uint8 for toggles, three bytes (R, G, B) for colours and a uint32 for bitmasks.
+//   With acknowledgements on, a uint16 sequence number sits between the type and the fields.
+//   Heartbeat (page -> device): a uint16 counter.
+//   Identify (page -> device): no fields; the device answers with an Identity packet carrying
+//   the same ASCII text as the `ID` line of the text protocol.
+//   Ping (page -> device) and Pong (device -> page): a uint16 number, echoed back unchanged.
+export const PACKET_TELEMETRY = 0x01;
+export const PACKET_COMMAND = 0x02;
+export const PACKET_ACK = 0x03;
+export const PACKET_NAK = 0x04;
+export const PACKET_GET_PARAMS = 0x05;
+export const PACKET_PARAMS = 0x06;
+export const PACKET_HEARTBEAT = 0x07;
+export const PACKET_IDENTIFY = 0x08;
+export const PACKET_IDENTITY = 0x09;
+export const PACKET_PING = 0x0a;
+export const PACKET_PONG = 0x0b;
+export const MAX_PACKET_SIZE = 1024;
+export const COMMAND_FIELD_SIZES = { number: 4, toggle: 1, color: 3, bitmask: 4 };
+
+export function crc16(bytes) {
+    let crc = 0xffff;
+    for (const byte of bytes) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+        }
+    }
+    return crc;
+}
+
+export function cobsEncode(bytes) {
+    const encoded = [0];
+    let codeIndex = 0;
+    let code = 1;
+    for (const byte of bytes) {
+        if (byte === 0) {
+            encoded[codeIndex] = code;
+            codeIndex = encoded.length;
+            encoded.push(0);
+            code = 1;
+        } else {
+            encoded.push(byte);
+            code++;
+            if (code === 0xff) {
+                encoded[codeIndex] = code;
+                codeIndex = encoded.length;
+                encoded.push(0);
+                code = 1;
+            }
+        }
+    }
+    encoded[codeIndex] = code;
+    return Uint8Array.from(encoded);
+}
+
+// Returns null when the block lengths don't add up
+export function cobsDecode(bytes) {
+    const decoded = [];
+    let index = 0;
+    while (index < bytes.length) {
+        const code = bytes[index];
+        if (code === 0 || index + code > bytes.length) {
+            return null;
+        }
+        decoded.push(...bytes.subarray(index + 1, index + code));
+        index += code;
+        if (code < 0xff && index < bytes.length) {
+            decoded.push(0);
+        }
+    }
+    return Uint8Array.from(decoded);
+}
+
+export function framePacket(payload) {
+    const crc = crc16(payload);
+    const packet = new Uint8Array(payload.length + 2);
+    packet.set(payload);
+    packet[payload.length] = crc & 0xff;
+    packet[payload.length + 1] = crc >> 8;
+    const encoded = cobsEncode(packet);
+    const framed = new Uint8Array(encoded.length + 1); // Trailing zero is the delimiter
+    framed.set(encoded);
+    return framed;
+}
+
+// Undoes framePacket for one packet without its delimiter. Returns `{ payload }`, or `{ error }`
+// naming the check it failed: 'malformed' (bad COBS or too short) or 'crc'.
+export function unframePacket(encoded) {
+    const packet = cobsDecode(encoded);
+    if (!packet || packet.length < 3) {
+        return { error: 'malformed' };
+    }
+    const payload = packet.subarray(0, packet.length - 2);
+    const receivedCrc = packet[packet.length - 2] | (packet[packet.length - 1] << 8);
+    return crc16(payload) === receivedCrc ? { payload } : { error: 'crc' };
+}
+
+// The channel values of a telemetry payload, or null when the payload isn't one for this schema
+export function decodeTelemetryPayload(payload, schema) {
+    if (payload[0] !== PACKET_TELEMETRY || payload.length !== 1 + 4 * schema.length) {
+        return null;
+    }
+    const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+    return schema.map((config, index) => view.getFloat32(1 + index * 4, true));
+}
+
+export function encodeCommandPacket(values, sequence, schema) {
+    const headerSize = sequence === undefined ? 1 : 3;
+    const size = schema.controls.reduce((total, control) => total + COMMAND_FIELD_SIZES[control.type], headerSize);
+    const payload = new Uint8Array(size);
+    const view = new DataView(payload.buffer);
+    payload[0] = PACKET_COMMAND;
+    if (sequence !== undefined) {
+        view.setUint16(1, sequence, true);
+    }
+    let offset = headerSize;
+    schema.controls.forEach(control => {
+        const value = values[control.key];
+        if (control.type === 'number') {
+            view.setFloat32(offset, value, true);
+        } else if (control.type === 'toggle') {
+            view.setUint8(offset, value ? 1 : 0);
+        } else if (control.type === 'color') {
+            const rgb = parseInt(value.substring(1), 16);
+            payload.set([(rgb >> 16) & 0xff, (rgb >> 8) & 0xff, rgb & 0xff], offset);
+        } else {
+            view.setUint32(offset, value, true);
+        }
+        offset += COMMAND_FIELD_SIZES[control.type];
+    });
+    return framePacket(payload);
+}
+
+// Reads command fields laid out as in encodeCommandPacket, e.g. from a parameter report
+export function decodeCommandFields(view, offset, schema) {
+    const values = {};
+    schema.controls.forEach(control => {
+        if (control.type === 'number') {
+            // float32 can't hold most decimals exactly, so trim the noise before comparing with the page
+            values[control.key] = parseFloat(view.getFloat32(offset, true).toPrecision(7));
+        } else if (control.type === 'toggle') {
+            values[control.key] = view.getUint8(offset) !== 0;
+        } else if (control.type === 'color') {
+            const rgb = (view.getUint8(offset) << 16) | (view.getUint8(offset + 1) << 8) | view.getUint8(offset + 2);
+            values[control.key] = `#${rgb.toString(16).padStart(6, '0')}`;
+        } else {
+            values[control.key] = view.getUint32(offset, true);
+        }
+        offset += COMMAND_FIELD_SIZES[control.type];
+    });
+    return values;
+}
+
+// --- Remote-Control Messages ---
+// The message list is documented with the WebSocket connection in controller.js
+export const REMOTE_QUERIES = ['state', 'controls', 'telemetry', 'presets', 'schema'];
+
+export function parseRemoteMessage(raw) {
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        throw new Error('not valid JSON');
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('expected a JSON object');
+    }
+    return data;
+}
+
+// Returns the message in a normalised form, or throws with the reason it was rejected
+export function validateRemoteMessage(data, schema) {
+    if ('id' in data && typeof data.id !== 'string' && typeof data.id !== 'number') {
+        throw new Error('"id" must be a string or a number');
+    }
+    const id = data.id;
+    switch (data.type) {
+        case 'setpoint': {
+            // Numeric strings are still accepted, as the original server sent them
+            const value = typeof data.value === 'string' && data.value.trim() !== '' ? Number(data.value) : data.value;
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error('setpoint "value" must be a finite number');
+            }
+            return { type: 'setpoint', id, value };
+        }
+        case 'set': {
+            if (!data.values || typeof data.values !== 'object' || Array.isArray(data.values)) {
+                throw new Error('set "values" must be an object');
+            }
+            Object.entries(data.values).forEach(([key, value]) => {
+                const control = schema.controls.find(candidate => candidate.key === key);
+                if (!control) {
+                    throw new Error(`unknown control "${key}"`);
+                }
+                if (!controlValueFits(control, value)) {
+                    throw new Error(`invalid value for ${control.type} control "${key}"`);
+                }
+            });
+            return { type: 'set', id, values: data.values };
+        }
+        case 'preset':
+            if (typeof data.name !== 'string' || data.name.trim() === '') {
+                throw new Error('preset "name" must be a non-empty string');
+            }
+            return { type: 'preset', id, name: data.name.trim() };
+        case 'get':
+            if (!REMOTE_QUERIES.includes(data.what)) {
+                throw new Error(`get "what" must be one of ${REMOTE_QUERIES.join(', ')}`);
+            }
+            return { type: 'get', id, what: data.what };
+        case 'auth':
+            if (typeof data.ok !== 'boolean') {
+                throw new Error('auth "ok" must be true or false');
+            }
+            return { type: 'auth', ok: data.ok, reason: typeof data.reason === 'string' ? data.reason : '' };
+        default:
+            throw new Error(`unknown message type "${data.type}"`);
+    }
+}
@@ -0,0 +1,91 @@
+// The one way out to the port. Every write waits its turn here, so writes never overlap and the
+// device gets them in order, at most `maxRate` per second (0 for no limit):
+//   - an entry with a `key` takes the place of a queued entry with the same key: command frames
+//     carry the full control state, so only the newest one still waiting matters
+//   - an `urgent` entry (E-stop, motors off) goes ahead of everything waiting and isn't held back
+//     by the rate limit
+//   - with `maxDepth` entries waiting, further ones are refused; urgent ones never are
+// push() resolves true once the data is written and false when it was replaced or cleared before
+// that; it rejects when the write fails or the queue is full. onCoalesce and onRefuse are told
+// each time an entry is replaced or refused.
+export function createSendQueue({ write, maxRate = 0, maxDepth = 32, onCoalesce = () => {}, onRefuse = () => {} }) {
+    const entries = [];
+    let writing = false;
+    let lastWriteAt = -Infinity;
+    let timer = null;
+
+    function push(data, { key = null, urgent = false } = {}) {
+        return new Promise((resolve, reject) => {
+            const entry = { data, key, urgent, resolve, reject };
+            const index = key === null ? -1 : entries.findIndex(queued => queued.key === key);
+            if (index !== -1) {
+                const [replaced] = entries.splice(index, 1);
+                replaced.resolve(false);
+                onCoalesce();
+                entry.urgent = urgent || replaced.urgent;
+                if (!entry.urgent) {
+                    entries.splice(index, 0, entry); // In the replaced entry's place
+                }
+            } else if (!urgent && entries.length >= maxDepth) {
+                onRefuse();
+                reject(new Error(`Send queue full (${maxDepth} writes waiting).`));
+                return;
+            } else if (!urgent) {
+                entries.push(entry);
+            }
+            if (entry.urgent) {
+                // Behind earlier urgent entries only, so two stops still go out in order
+                entries.splice(entries.filter(queued => queued.urgent).length, 0, entry);
+                clearTimeout(timer);
+                timer = null;
+            }
+            pump();
+        });
+    }
+
+    async function pump() {
+        if (writing || timer || entries.length === 0) return;
+        const wait = entries[0].urgent || maxRate <= 0 ? 0 : lastWriteAt + 1000 / maxRate - performance.now();
+        if (wait > 0) {
+            timer = setTimeout(() => {
+                timer = null;
+                pump();
+            }, wait);
+            return;
+        }
+        const entry = entries.shift();
+        writing = true;
+        lastWriteAt = performance.now();
+        try {
+            await write(entry.data);
+            entry.resolve(true);
+        } catch (error) {
+            entry.reject(error);
+        }
+        writing = false;
+        pump();
+    }
+
+    return {
+        push,
+        // Waiting entries plus the one being written
+        get depth() {
+            return entries.length + (writing ? 1 : 0);
+        },
+        get maxRate() {
+            return maxRate;
+        },
+        setMaxRate(rate) {
+            maxRate = rate;
+            clearTimeout(timer);
+            timer = null;
+            pump();
+        },
+        // Drops whatever is still waiting, e.g. on disconnect; the write in progress finishes
+        clear() {
+            clearTimeout(timer);
+            timer = null;
+            entries.splice(0).forEach(entry => entry.resolve(false));
+        }
+    };
+}
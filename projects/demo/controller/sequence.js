@@ -0,0 +1,119 @@
+// Scripted setpoint sequences: a list of segments played one after the other, sampled by the
+// runner in controller.js.
+//   { type: 'step', value, durationMs }                          holds a value
+//   { type: 'ramp', to, durationMs }                              straight line from where the last segment ended
+//   { type: 'sine', center, amplitude, periodMs, durationMs }
+//   { type: 'square', low, high, periodMs, durationMs }          starts on `high`
+//   { type: 'waypoints', points: [{ t, value }, ...] }            linear between points; `t` in ms from the
+//                                                                 segment start, lasts until the last point
+import { finiteNumber } from './protocol.js';
+
+export const SEGMENT_TYPES = ['step', 'ramp', 'sine', 'square', 'waypoints'];
+export const SEGMENT_FIELDS = {
+    step: ['value', 'durationMs'],
+    ramp: ['to', 'durationMs'],
+    sine: ['center', 'amplitude', 'periodMs', 'durationMs'],
+    square: ['low', 'high', 'periodMs', 'durationMs'],
+    waypoints: []
+};
+export const MAX_SEQUENCE_RATE_HZ = 100;
+
+// Reads `t:value` pairs separated by commas or new lines, as typed into the editor
+export function parseWaypoints(text) {
+    return text.split(/[,\n]/).map(pair => pair.trim()).filter(Boolean).map(pair => {
+        const [t, value] = pair.split(':');
+        return { t: finiteNumber(t, `Waypoint time in "${pair}"`), value: finiteNumber(value, `Waypoint value in "${pair}"`) };
+    });
+}
+
+export function formatWaypoints(points) {
+    return points.map(point => `${point.t}:${point.value}`).join(', ');
+}
+
+// Checks a sequence from the editor, localStorage or an imported file, and fills in defaults
+export function normalizeSequence(sequence) {
+    if (!sequence || !Array.isArray(sequence.segments) || sequence.segments.length === 0) {
+        throw new Error('A sequence needs at least one segment.');
+    }
+    const rateHz = finiteNumber(sequence.rateHz ?? 20, 'Rate');
+    if (rateHz <= 0 || rateHz > MAX_SEQUENCE_RATE_HZ) {
+        throw new Error(`Rate must be above 0 and at most ${MAX_SEQUENCE_RATE_HZ} Hz.`);
+    }
+    const loops = finiteNumber(sequence.loops ?? 1, 'Loops');
+    if (!Number.isInteger(loops) || loops < 0) {
+        throw new Error('Loops must be a whole number (0 repeats forever).');
+    }
+    const segments = sequence.segments.map((segment, index) => {
+        const where = `Segment ${index + 1}`;
+        if (!segment || !SEGMENT_TYPES.includes(segment.type)) {
+            throw new Error(`${where}: unknown type "${segment?.type}".`);
+        }
+        const normalized = { type: segment.type };
+        SEGMENT_FIELDS[segment.type].forEach(field => {
+            normalized[field] = finiteNumber(segment[field], `${where}: ${field}`);
+        });
+        if ('durationMs' in normalized && normalized.durationMs <= 0) {
+            throw new Error(`${where}: the duration must be positive.`);
+        }
+        if ('periodMs' in normalized && normalized.periodMs <= 0) {
+            throw new Error(`${where}: the period must be positive.`);
+        }
+        if (segment.type === 'waypoints') {
+            const points = typeof segment.points === 'string' ? parseWaypoints(segment.points) : segment.points;
+            if (!Array.isArray(points) || points.length < 2) {
+                throw new Error(`${where}: waypoints need at least two points.`);
+            }
+            normalized.points = points.map(point => ({ t: finiteNumber(point.t, `${where}: waypoint time`), value: finiteNumber(point.value, `${where}: waypoint value`) }));
+            if (normalized.points[0].t !== 0 || normalized.points.some((point, i) => i > 0 && point.t <= normalized.points[i - 1].t)) {
+                throw new Error(`${where}: waypoint times must start at 0 and increase.`);
+            }
+        }
+        return normalized;
+    });
+    return { rateHz, loops, segments };
+}
+
+function segmentDuration(segment) {
+    return segment.type === 'waypoints' ? segment.points.at(-1).t : segment.durationMs;
+}
+
+export function sequenceDuration(sequence) {
+    return sequence.segments.reduce((total, segment) => total + segmentDuration(segment), 0);
+}
+
+// Value `t` ms into a segment that starts at `from` (where the previous one ended)
+function segmentValue(segment, t, from) {
+    switch (segment.type) {
+        case 'step':
+            return segment.value;
+        case 'ramp':
+            return from + (segment.to - from) * Math.min(1, t / segment.durationMs);
+        case 'sine':
+            return segment.center + segment.amplitude * Math.sin(2 * Math.PI * t / segment.periodMs);
+        case 'square':
+            return (t % segment.periodMs) < segment.periodMs / 2 ? segment.high : segment.low;
+        case 'waypoints': {
+            const next = segment.points.findIndex(point => point.t > t);
+            if (next === -1) return segment.points.at(-1).value;
+            const before = segment.points[next - 1];
+            const after = segment.points[next];
+            return before.value + (after.value - before.value) * (t - before.t) / (after.t - before.t);
+        }
+    }
+}
+
+// The setpoint `t` ms into one pass of the sequence; `startValue` is where a leading ramp starts from.
+// Past the end it holds the last segment's final value.
+export function sequenceValueAt(sequence, t, startValue = 0) {
+    let from = startValue;
+    let segmentStart = 0;
+    for (const segment of sequence.segments) {
+        const duration = segmentDuration(segment);
+        if (t < segmentStart + duration) {
+            return segmentValue(segment, t - segmentStart, from);
+        }
+        from = segmentValue(segment, duration, from);
+        segmentStart += duration;
+    }
+    return from;
+}
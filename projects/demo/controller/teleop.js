@@ -0,0 +1,132 @@
+// Gamepad and keyboard teleoperation. One analog axis, or a pair of keys standing in for it, moves
+// the setpoint control across a range; buttons and keys fire actions: switching a motor toggle,
+// flipping one LED of a bitmask, or the E-stop. The controller polls the pad, listens to the
+// keyboard and streams the result. Bindings look like
+//   { rateHz, axis: { index, min, max, deadzone, invert, keyDown, keyUp },
+//     buttons: { [actionId]: { button, key } } }
+// where `button` is a gamepad button number (standard mapping) and keys are KeyboardEvent.key
+// values; either may be null.
+import { finiteNumber, roundForFrame } from './protocol.js';
+
+export const MAX_TELEOP_RATE_HZ = 100;
+
+const DEFAULT_AXIS = { index: 0, min: -10, max: 10, deadzone: 0.1, invert: false, keyDown: 'ArrowLeft', keyUp: 'ArrowRight' };
+const DEFAULT_TOGGLE_BUTTONS = [4, 5, 6, 7]; // Shoulder buttons, then triggers
+const DEFAULT_ESTOP_BUTTON = 1; // B / circle
+
+function optionalKey(key) {
+    return typeof key === 'string' && key !== '' ? key : null;
+}
+
+// What the command schema can be driven with; the E-stop only where the page has motor safety
+export function teleopActions(commandSchema, { estop = false } = {}) {
+    const actions = [];
+    commandSchema.controls.forEach(control => {
+        if (control.type === 'toggle') {
+            actions.push({ id: `toggle:${control.key}`, label: `Switch ${control.label}`, type: 'toggle', key: control.key });
+        } else if (control.type === 'bitmask') {
+            control.bits.forEach((color, bit) => actions.push({
+                id: `led:${control.key}:${bit}`, label: `${control.label} ${bit + 1} (${color})`, type: 'led', key: control.key, bit
+            }));
+        }
+    });
+    if (estop) {
+        actions.push({ id: 'estop', label: 'E-stop', type: 'estop' });
+    }
+    return actions;
+}
+
+export function defaultTeleopBindings(actions) {
+    const toggles = actions.filter(action => action.type === 'toggle');
+    const defaultButton = action => {
+        if (action.type === 'estop') return DEFAULT_ESTOP_BUTTON;
+        if (action.type === 'toggle') return DEFAULT_TOGGLE_BUTTONS[toggles.indexOf(action)] ?? null;
+        return null;
+    };
+    return {
+        rateHz: 20,
+        axis: { ...DEFAULT_AXIS },
+        buttons: Object.fromEntries(actions.map(action => [action.id, { button: defaultButton(action), key: null }]))
+    };
+}
+
+// Checks bindings from the panel or localStorage against the actions there are now: missing ones
+// get their defaults and ones for controls that are gone are dropped
+export function normalizeTeleopBindings(bindings, actions) {
+    const defaults = defaultTeleopBindings(actions);
+    const rateHz = finiteNumber(bindings?.rateHz ?? defaults.rateHz, 'Rate');
+    if (rateHz <= 0 || rateHz > MAX_TELEOP_RATE_HZ) {
+        throw new Error(`Rate must be above 0 and at most ${MAX_TELEOP_RATE_HZ} Hz.`);
+    }
+    const axis = { ...defaults.axis, ...bindings?.axis };
+    const index = finiteNumber(axis.index, 'Axis');
+    if (!Number.isInteger(index) || index < 0) {
+        throw new Error('Axis must be a whole number from 0.');
+    }
+    const min = finiteNumber(axis.min, 'Setpoint minimum');
+    const max = finiteNumber(axis.max, 'Setpoint maximum');
+    if (min >= max) {
+        throw new Error('The setpoint minimum must be below its maximum.');
+    }
+    const deadzone = finiteNumber(axis.deadzone, 'Deadzone');
+    if (deadzone < 0 || deadzone >= 1) {
+        throw new Error('Deadzone must be from 0 up to, but not including, 1.');
+    }
+    const buttons = {};
+    actions.forEach(action => {
+        const binding = { ...defaults.buttons[action.id], ...bindings?.buttons?.[action.id] };
+        let button = null;
+        if (binding.button !== null && binding.button !== '') {
+            button = finiteNumber(binding.button, `${action.label}: gamepad button`);
+            if (!Number.isInteger(button) || button < 0) {
+                throw new Error(`${action.label}: gamepad button must be a whole number from 0, or empty.`);
+            }
+        }
+        buttons[action.id] = { button, key: optionalKey(binding.key) };
+    });
+    return {
+        rateHz,
+        axis: { index, min, max, deadzone, invert: axis.invert === true, keyDown: optionalKey(axis.keyDown), keyUp: optionalKey(axis.keyUp) },
+        buttons
+    };
+}
+
+// Small stick offsets read as zero; the rest of the travel is stretched back out to -1..1
+export function applyDeadzone(value, deadzone) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadzone) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+}
+
+// The axis position, -1..1: the keys while one of them is held, otherwise the gamepad (`axes` as
+// the Gamepad API reports them, or no gamepad at all). Invert only flips the stick.
+export function teleopAxis(bindings, gamepad, keysDown) {
+    const { index, deadzone, invert, keyDown, keyUp } = bindings.axis;
+    if (keysDown.has(keyUp) || keysDown.has(keyDown)) {
+        return (keysDown.has(keyUp) ? 1 : 0) - (keysDown.has(keyDown) ? 1 : 0);
+    }
+    const value = applyDeadzone(gamepad?.axes[index] ?? 0, deadzone);
+    return invert ? -value : value;
+}
+
+// The middle of the range with the stick at rest, its ends at full travel
+export function axisSetpoint(axis, { min, max }) {
+    return roundForFrame(min + (axis + 1) / 2 * (max - min));
+}
+
+// Ids of the actions whose gamepad button is down
+export function pressedActions(bindings, gamepad) {
+    const pressed = new Set();
+    if (!gamepad) return pressed;
+    Object.entries(bindings.buttons).forEach(([id, { button }]) => {
+        if (button !== null && gamepad.buttons[button]?.pressed) {
+            pressed.add(id);
+        }
+    });
+    return pressed;
+}
+
+// Ids of the actions bound to a key
+export function keyActions(bindings, key) {
+    return Object.entries(bindings.buttons).filter(([, binding]) => binding.key === key).map(([id]) => id);
+}
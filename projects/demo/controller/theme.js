@@ -0,0 +1,26 @@
+// Light/dark theme, shared by every page through the same localStorage key
+
+export function applyTheme(toggle) {
+    const savedTheme = localStorage.getItem('theme');
+    if (savedTheme === 'dark') {
+        document.body.classList.add('dark-mode');
+        toggle.textContent = '☀️';
+    } else {
+        toggle.textContent = '🌙';
+    }
+}
+
+// onChange runs after every switch, for anything that draws with the theme colours
+export function watchThemeToggle(toggle, onChange) {
+    toggle.addEventListener('click', () => {
+        document.body.classList.toggle('dark-mode');
+        if (document.body.classList.contains('dark-mode')) {
+            localStorage.setItem('theme', 'dark');
+            toggle.textContent = '☀️';
+        } else {
+            localStorage.setItem('theme', 'light');
+            toggle.textContent = '🌙';
+        }
+        onChange();
+    });
+}
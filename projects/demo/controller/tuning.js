@@ -0,0 +1,81 @@
+// The numbers behind the PID tuning panel. Samples are `{ t, value }` pairs of one telemetry
+// channel with `t` in ms.
+
+function mean(values) {
+    return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+// Metrics of a setpoint step from `initial` to `target`, with `t` counted from the step.
+// Rise time is 10 % to 90 % of the step, overshoot is a percentage of the step, and the response
+// has settled once it stays within `settleBand` (a fraction of the step) of the target. Times are
+// null when the response never got there; the steady-state error comes from the last fifth.
+export function analyzeStepResponse(samples, { initial, target, settleBand = 0.05 }) {
+    const amplitude = target - initial;
+    if (samples.length === 0 || amplitude === 0) return null;
+    const progress = samples.map(sample => ({ t: sample.t, n: (sample.value - initial) / amplitude }));
+    const firstReaching = level => progress.find(point => point.n >= level);
+    const low = firstReaching(0.1);
+    const high = firstReaching(0.9);
+    const peak = Math.max(...progress.map(point => point.n));
+    const lastOutside = progress.findLastIndex(point => Math.abs(point.n - 1) > settleBand);
+    let settlingTime = null;
+    if (lastOutside === -1) {
+        settlingTime = progress[0].t;
+    } else if (lastOutside < progress.length - 1) {
+        settlingTime = progress[lastOutside + 1].t;
+    }
+    const finalValue = mean(samples.slice(Math.floor(samples.length * 0.8)).map(sample => sample.value));
+    return {
+        riseTime: low && high ? high.t - low.t : null,
+        overshoot: Math.max(0, peak - 1) * 100,
+        settlingTime,
+        finalValue,
+        steadyStateError: target - finalValue
+    };
+}
+
+// Period and amplitude of a limit cycle around `center`, measured between upward crossings. The
+// part before the first crossing is the run-in and is left out; fewer than two whole cycles gives
+// null. `clipped` flags flat peaks, i.e. a swing that hit an end stop and reads smaller than it was.
+export function measureOscillation(samples, center) {
+    const crossings = [];
+    for (let index = 1; index < samples.length; index++) {
+        const before = samples[index - 1];
+        const after = samples[index];
+        if (before.value < center && after.value >= center) {
+            const fraction = (center - before.value) / (after.value - before.value);
+            crossings.push({ t: before.t + fraction * (after.t - before.t), index });
+        }
+    }
+    if (crossings.length < 3) return null;
+
+    const cycles = crossings.slice(1).map((crossing, index) => {
+        const cycle = samples.slice(crossings[index].index, crossing.index);
+        const values = cycle.map(sample => sample.value);
+        return { period: crossing.t - crossings[index].t, max: Math.max(...values), min: Math.min(...values), values };
+    });
+    const clipped = cycles.some(cycle => [cycle.max, cycle.min].some(extreme =>
+        cycle.values.filter(value => value === extreme).length >= 3));
+    return {
+        period: mean(cycles.map(cycle => cycle.period)),
+        amplitude: mean(cycles.map(cycle => (cycle.max - cycle.min) / 2)),
+        cycles: cycles.length,
+        clipped
+    };
+}
+
+// Classic Ziegler–Nichols PID gains from a relay test: the relay switched the controller output
+// between ±`relayOutput` and the loop oscillated with `amplitude` and `period` (ms). The ultimate
+// gain is the describing-function estimate 4d / (πa). Gains are for the parallel form
+// u = Kp·e + Ki·∫e dt + Kd·de/dt, with time in seconds.
+export function zieglerNicholsGains({ relayOutput, amplitude, period }) {
+    const ultimateGain = 4 * relayOutput / (Math.PI * amplitude);
+    const ultimatePeriod = period / 1000;
+    return {
+        ultimateGain,
+        ultimatePeriod,
+        p: 0.6 * ultimateGain,
+        i: 1.2 * ultimateGain / ultimatePeriod,
+        d: 0.075 * ultimateGain * ultimatePeriod
+    };
+}
@@ -0,0 +1,5 @@
+// Every device profile a page can switch to, in the order the profile dropdown lists them
+import seesaw from './seesaw.js';
+import simpleSeesaw from './simple_seesaw.js';
+
+export default [seesaw, simpleSeesaw];
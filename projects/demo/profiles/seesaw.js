@@ -0,0 +1,40 @@
+// The balancing seesaw with both motors, the RGB LED and the safety watchdog (serial_controller.html).
+// A new robot gets a file like this one plus a page that starts the controller with it.
+export default {
+    id: 'seesaw',
+    name: 'Seesaw',
+    storagePrefix: 'seesaw',
+    baudRate: 115200,
+    // `usb` lists { usbVendorId, usbProductId } pairs of boards that only ever run this firmware;
+    // the seesaw boards are generic USB-serial adapters, so the ID reply is what tells them apart
+    detect: { usb: [], identity: 'seesaw' },
+    debounceMs: 1000,
+    maxFrameRate: 50,
+    // The critical tilt matches the safety watchdog's limit, so the alarm fires as the motors stop
+    telemetry: [
+        { key: 'L', label: 'Left Motor', unit: 'RPM', min: 0, max: 50000, widget: 'gauge', color: '#007bff', warnHigh: 40000, critHigh: 48000 },
+        { key: 'A', label: 'Tilt Angle', unit: '°', min: -45, max: 45, widget: 'gauge', color: '#dc3545', critLow: -30, warnLow: -20, warnHigh: 20, critHigh: 30 },
+        { key: 'R', label: 'Right Motor', unit: 'RPM', min: 0, max: 50000, widget: 'gauge', color: '#28a745', warnHigh: 40000, critHigh: 48000 }
+    ],
+    commands: {
+        separator: 'space',
+        terminator: 'lf',
+        controls: [
+            { key: 'p', label: 'Kp', type: 'number', value: 0.0075, precision: null },
+            { key: 'i', label: 'Ki', type: 'number', value: 0.0101, precision: null },
+            { key: 'd', label: 'Kd', type: 'number', value: 0.0014, precision: null },
+            { key: 't', label: 'Tau', type: 'number', value: 0.008, precision: null },
+            { key: 's', label: 'Setpoint', type: 'number', value: 0.0, precision: null, remote: true },
+            { key: 'b', label: 'RGB LED Color', type: 'color', value: '#ff0000' },
+            { key: 'l', label: 'Left Motor', type: 'toggle', value: false },
+            { key: 'r', label: 'Right Motor', type: 'toggle', value: false },
+            { key: 'g', label: 'LEDs', type: 'bitmask', value: 0, bits: ['red', 'red', 'red', 'red', 'green', 'green', 'green', 'green'] }
+        ]
+    },
+    safety: { heartbeatMs: 250, silenceMs: 1000, tiltChannel: 'A', tiltLimit: 30 },
+    // The firmware adds its PID output to a 50 % base duty, so the output saturates at ±0.5
+    tuning: {
+        channel: 'A', setpoint: 's', gains: { p: 'p', i: 'i', d: 'd' },
+        step: 5, durationMs: 4000, settlePercent: 5, relayGain: 1, relayOutput: 0.5, relayDurationMs: 6000
+    }
+};
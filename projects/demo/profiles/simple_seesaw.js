@@ -0,0 +1,30 @@
+// The seesaw with only tilt telemetry and the PID gains exposed (simple_serial_controller.html)
+export default {
+    id: 'simple-seesaw',
+    name: 'Seesaw (simple)',
+    storagePrefix: 'simpleSeesaw',
+    baudRate: 115200,
+    detect: { usb: [], identity: 'seesaw-simple' },
+    debounceMs: 250,
+    maxFrameRate: 50,
+    telemetry: [
+        { key: 'A', label: 'Tilt Angle', unit: '°', min: -45, max: 45, widget: 'gauge', color: '#dc3545', critLow: -30, warnLow: -20, warnHigh: 20, critHigh: 30 }
+    ],
+    commands: {
+        separator: 'space',
+        terminator: 'lf',
+        controls: [
+            { key: 'p', label: 'Kp', type: 'number', value: 0.02, precision: null },
+            { key: 'i', label: 'Ki', type: 'number', value: 0.02, precision: null },
+            { key: 'd', label: 'Kd', type: 'number', value: 0.005, precision: null },
+            { key: 't', label: 'Tau', type: 'number', value: 0.008, precision: null },
+            { key: 's', label: 'Setpoint', type: 'number', value: 0.0, precision: null, remote: true },
+            { key: 'g', label: 'LEDs', type: 'bitmask', value: 0, bits: ['red', 'red', 'red', 'red', 'green', 'green', 'green', 'green'] }
+        ]
+    },
+    safety: null,
+    tuning: {
+        channel: 'A', setpoint: 's', gains: { p: 'p', i: 'i', d: 'd' },
+        step: 5, durationMs: 4000, settlePercent: 5, relayGain: 1, relayOutput: 0.5, relayDurationMs: 6000
+    }
+};
@@ -0,0 +1,191 @@
+// --- Simulated Seesaw Device ---
+// Stands in for the firmware: it parses the text command frames the controller pages send
+// (`p: i: d: t: s: b: l: r: g:`, any separator), runs a PID loop on a simple seesaw model and
+// prints `L: <rpm> A: <deg> R: <rpm>` telemetry lines. It also answers `GET PARAMS` and `ID?`,
+// echoes `PING N` as `PONG N`, acknowledges frames carrying `seq: N` and stops the motors when a heartbeat (`HB N`) stream goes quiet.
+// The binary protocol is not simulated.
+
+export const DEFAULT_PARAMS = { p: 0.0075, i: 0.0101, d: 0.0014, t: 0.008, s: 0, b: 'ff0000', l: 0, r: 0, g: 0 };
+
+const NUMBER_KEYS = ['p', 'i', 'd', 't', 's'];
+const CONTROL_PERIOD_MS = 10;
+const PHYSICS_STEPS = 4; // Sub-steps per control period, for a stable integration
+const HEARTBEAT_TIMEOUT_MS = 1000;
+
+// Plant: a beam on a pivot with a motor at each end. Angles are in degrees at the interface and
+// radians inside; positive angle means the left end is up.
+export const SEESAW_MODEL = {
+    thrustGain: 40,     // rad/s² of angular acceleration for a full left-minus-right duty difference
+    gravityGain: 2,     // rad/s² per unit sin(angle); positive because the centre of mass sits above the pivot
+    damping: 0.5,       // 1/s, friction in the pivot
+    motorLag: 0.05,     // s, first-order lag of the motor speed
+    maxRpm: 8000,
+    baseDuty: 0.5,      // duty both motors run at before the PID correction
+    limitDeg: 30,       // the beam rests on its end stops beyond this
+};
+
+// The beam starts resting on its right-hand end stop, as it does on the bench
+export function createSeesawState(model = SEESAW_MODEL) {
+    return { angle: -model.limitDeg * Math.PI / 180, rate: 0, dutyL: 0, dutyR: 0, integral: 0, derivative: 0, lastError: 0 };
+}
+
+// One control period: PID on the angle error, then the plant integrated over the period
+export function stepSeesaw(state, params, motorsOn, dt, model = SEESAW_MODEL) {
+    const error = params.s - state.angle * 180 / Math.PI;
+    let targetL = 0;
+    let targetR = 0;
+    if (motorsOn) {
+        state.integral = Math.max(-50, Math.min(50, state.integral + error * dt)); // Anti-windup
+        // Derivative on a first-order filter with time constant t
+        const rawDerivative = (error - state.lastError) / dt;
+        const alpha = params.t > 0 ? dt / (params.t + dt) : 1;
+        state.derivative += alpha * (rawDerivative - state.derivative);
+        const u = params.p * error + params.i * state.integral + params.d * state.derivative;
+        targetL = clamp(model.baseDuty + u, 0, 1);
+        targetR = clamp(model.baseDuty - u, 0, 1);
+    } else {
+        state.integral = 0;
+        state.derivative = 0;
+    }
+    state.lastError = error;
+
+    const h = dt / PHYSICS_STEPS;
+    const limit = model.limitDeg * Math.PI / 180;
+    for (let step = 0; step < PHYSICS_STEPS; step++) {
+        state.dutyL += (targetL - state.dutyL) * h / model.motorLag;
+        state.dutyR += (targetR - state.dutyR) * h / model.motorLag;
+        const acceleration = model.thrustGain * (state.dutyL - state.dutyR) +
+            model.gravityGain * Math.sin(state.angle) - model.damping * state.rate;
+        state.rate += acceleration * h;
+        state.angle += state.rate * h;
+        if (Math.abs(state.angle) > limit) {
+            state.angle = Math.sign(state.angle) * limit;
+            state.rate = 0;
+        }
+    }
+    return state;
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// Returns `{ params, seq }` for a valid frame, or throws with the reason it was refused
+export function parseCommandFrame(line, current) {
+    const params = { ...current };
+    const fields = [...line.matchAll(/([A-Za-z_]\w*):\s*([^\s,;]+)/g)];
+    if (fields.length === 0) {
+        throw new Error('unknown command');
+    }
+    // Read first, so a refusal can be NAKed whatever order the fields come in
+    const seqField = fields.find(([, key]) => key === 'seq');
+    const seq = seqField ? parseInt(seqField[2], 10) : null;
+    for (const [, key, raw] of fields) {
+        if (NUMBER_KEYS.includes(key)) {
+            const value = parseFloat(raw);
+            if (!Number.isFinite(value)) {
+                throw Object.assign(new Error(`bad number for ${key}`), { seq });
+            }
+            params[key] = value;
+        } else if (key === 'b') {
+            if (!/^[0-9a-f]{6}$/i.test(raw)) {
+                throw Object.assign(new Error('bad colour'), { seq });
+            }
+            params.b = raw.toLowerCase();
+        } else if (key === 'l' || key === 'r') {
+            params[key] = raw === '1' ? 1 : 0;
+        } else if (key === 'g') {
+            params.g = parseInt(raw, 10) || 0;
+        }
+        // Keys the firmware doesn't know (and seq) are ignored, like the real board does
+    }
+    return { params, seq };
+}
+
+export function formatParams(params) {
+    return Object.keys(DEFAULT_PARAMS).map(key => `${key}: ${params[key]}`).join(' ');
+}
+
+export function createSeesawDevice({ send, telemetryEvery = 2, model = SEESAW_MODEL, identity = 'seesaw' } = {}) {
+    let params = { ...DEFAULT_PARAMS };
+    let motorKeysSeen = false; // The simple page has no motor toggles, so its motors are always on
+    let lastHeartbeat = null;
+    let partial = '';
+    let tick = 0;
+    const state = createSeesawState(model);
+
+    function motorsOn() {
+        if (!motorKeysSeen) return true;
+        return params.l === 1 && params.r === 1;
+    }
+
+    function handleLine(line) {
+        if (line === 'ID?') {
+            send(`ID ${identity}\n`);
+            return;
+        }
+        if (/^GET PARAMS$/i.test(line)) {
+            send(`PARAMS ${formatParams(params)}\n`);
+            return;
+        }
+        const ping = /^PING\s+(\d+)$/.exec(line);
+        if (ping) {
+            send(`PONG ${ping[1]}\n`);
+            return;
+        }
+        if (/^HB\b/.test(line)) {
+            lastHeartbeat = Date.now();
+            return;
+        }
+        try {
+            const frame = parseCommandFrame(line, params);
+            if (/\b[lr]:/.test(line)) {
+                motorKeysSeen = true;
+            }
+            params = frame.params;
+            if (frame.seq !== null) {
+                send(`ACK ${frame.seq}\n`);
+            }
+        } catch (error) {
+            send(error.seq != null ? `NAK ${error.seq}\n` : `ERR ${error.message}: ${line}\n`);
+        }
+    }
+
+    const timer = setInterval(() => {
+        if (lastHeartbeat !== null && Date.now() - lastHeartbeat > HEARTBEAT_TIMEOUT_MS && (params.l || params.r)) {
+            params = { ...params, l: 0, r: 0 };
+            send('EVENT heartbeat lost, motors stopped\n');
+        }
+        stepSeesaw(state, params, motorsOn(), CONTROL_PERIOD_MS / 1000, model);
+        if (++tick % telemetryEvery === 0) {
+            const rpmL = Math.round(state.dutyL * model.maxRpm);
+            const rpmR = Math.round(state.dutyR * model.maxRpm);
+            send(`L: ${rpmL} A: ${(state.angle * 180 / Math.PI).toFixed(2)} R: ${rpmR}\n`);
+        }
+    }, CONTROL_PERIOD_MS);
+
+    send('Seesaw simulator ready\n');
+
+    return {
+        receive(text) {
+            partial += text;
+            let newlineIndex;
+            while ((newlineIndex = partial.search(/[\r\n]/)) !== -1) {
+                const line = partial.slice(0, newlineIndex).trim();
+                partial = partial.slice(newlineIndex + 1);
+                if (line) {
+                    handleLine(line);
+                }
+            }
+        },
+        stop() {
+            clearInterval(timer);
+        },
+        get params() {
+            return params;
+        },
+        get state() {
+            return state;
+        },
+    };
+}
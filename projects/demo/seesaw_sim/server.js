@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+// --- Seesaw Reference Server ---
+// Local stand-in for the remote-control server the controller pages connect to.
+//   ws://host:port/        remote-control hub: every JSON message from one client is relayed to all
+//                          the others, so a phone or a script can talk to the page and back
+//   ws://host:port/device  one simulated seesaw per connection, speaking the text serial protocol;
+//                          the pages list it as the "Simulator" port
+//   http://host:port/      a small setpoint slider standing in for the phone
+//
+// Usage: node server.js [--port 3000] [--token secret] [--no-device] [--identity seesaw]
+// With --token, hub clients must send { "type": "auth", "token": "..." } as their first message,
+// and /device needs ?token=... in its URL. --identity sets what the simulated board answers to `ID?`,
+// e.g. seesaw-simple to have the pages switch to the simple profile.
+import http from 'node:http';
+import { parseArgs } from 'node:util';
+import { WebSocketServer } from 'ws';
+import { createSeesawDevice } from './device.js';
+
+const AUTH_TIMEOUT_MS = 5000;
+const POLICY_VIOLATION = 1008;
+
+const { values: options } = parseArgs({
+    options: {
+        port: { type: 'string', default: '3000' },
+        token: { type: 'string', default: '' },
+        'no-device': { type: 'boolean', default: false },
+        identity: { type: 'string', default: 'seesaw' },
+    },
+});
+
+const SETPOINT_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Seesaw Setpoint</title>
+<style>
+body { font-family: sans-serif; text-align: center; padding: 2rem; }
+input[type="range"] { width: 90%; }
+#value { font-size: 3rem; margin: 1rem; }
+</style>
+</head>
+<body>
+<h1>Seesaw Setpoint</h1>
+<div id="value">0.0°</div>
+<input type="range" id="setpoint" min="-30" max="30" step="0.5" value="0">
+<p><input type="password" id="token" placeholder="Token (if the server needs one)"></p>
+<p id="status">Connecting...</p>
+<script>
+const slider = document.getElementById('setpoint');
+const status = document.getElementById('status');
+let socket;
+function connect() {
+    socket = new WebSocket(\`ws://\${location.host}/\`);
+    socket.onopen = () => {
+        const token = document.getElementById('token').value;
+        if (token) socket.send(JSON.stringify({ type: 'auth', token }));
+        status.textContent = 'Connected';
+    };
+    socket.onclose = () => {
+        status.textContent = 'Disconnected, retrying...';
+        setTimeout(connect, 2000);
+    };
+}
+slider.addEventListener('input', () => {
+    document.getElementById('value').textContent = \`\${Number(slider.value).toFixed(1)}°\`;
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'setpoint', value: Number(slider.value) }));
+    }
+});
+document.getElementById('token').addEventListener('change', () => socket.close());
+connect();
+</script>
+</body>
+</html>
+`;
+
+const server = http.createServer((request, response) => {
+    if (request.url === '/' || request.url === '/index.html') {
+        response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        response.end(SETPOINT_PAGE);
+    } else {
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Not found\n');
+    }
+});
+
+const hub = new WebSocketServer({ noServer: true });
+const deviceServer = new WebSocketServer({ noServer: true });
+const hubClients = new Set();
+
+server.on('upgrade', (request, socket, head) => {
+    const url = new URL(request.url, 'ws://localhost');
+    if (url.pathname === '/') {
+        hub.handleUpgrade(request, socket, head, ws => hub.emit('connection', ws, request));
+    } else if (url.pathname === '/device' && !options['no-device']) {
+        if (options.token && url.searchParams.get('token') !== options.token) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+        deviceServer.handleUpgrade(request, socket, head, ws => deviceServer.emit('connection', ws, request));
+    } else {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+    }
+});
+
+// --- Remote-Control Hub ---
+hub.on('connection', (ws, request) => {
+    const name = `${request.socket.remoteAddress}:${request.socket.remotePort}`;
+    let authenticated = !options.token;
+    let authTimer = null;
+    console.log(`[hub] ${name} connected`);
+
+    if (authenticated) {
+        hubClients.add(ws);
+    } else {
+        authTimer = setTimeout(() => ws.close(POLICY_VIOLATION, 'no token sent'), AUTH_TIMEOUT_MS);
+    }
+
+    ws.on('message', (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            console.warn(`[hub] ${name} sent something that isn't JSON, dropped`);
+            return;
+        }
+        if (!authenticated) {
+            clearTimeout(authTimer);
+            if (message.type === 'auth' && message.token === options.token) {
+                authenticated = true;
+                hubClients.add(ws);
+                ws.send(JSON.stringify({ type: 'auth', ok: true }));
+            } else {
+                ws.send(JSON.stringify({ type: 'auth', ok: false, reason: 'invalid token' }));
+                ws.close(POLICY_VIOLATION, 'invalid token');
+            }
+            return;
+        }
+        if (message.type === 'auth') return; // Nothing to check without --token
+        const text = JSON.stringify(message);
+        hubClients.forEach(client => {
+            if (client !== ws && client.readyState === client.OPEN) {
+                client.send(text);
+            }
+        });
+    });
+
+    ws.on('close', () => {
+        clearTimeout(authTimer);
+        hubClients.delete(ws);
+        console.log(`[hub] ${name} disconnected`);
+    });
+});
+
+// --- Simulated Devices ---
+deviceServer.on('connection', (ws, request) => {
+    const name = `${request.socket.remoteAddress}:${request.socket.remotePort}`;
+    console.log(`[device] ${name} opened the simulator`);
+    const device = createSeesawDevice({
+        send: text => {
+            if (ws.readyState === ws.OPEN) {
+                ws.send(text);
+            }
+        },
+        identity: options.identity,
+    });
+    ws.on('message', raw => device.receive(raw.toString()));
+    ws.on('close', () => {
+        device.stop();
+        console.log(`[device] ${name} closed the simulator`);
+    });
+});
+
+server.listen(Number(options.port), () => {
+    console.log(`Setpoint page:   http://localhost:${options.port}/`);
+    console.log(`Remote control:  ws://localhost:${options.port}/${options.token ? ' (token required)' : ''}`);
+    if (!options['no-device']) {
+        console.log(`Simulated board: ws://localhost:${options.port}/device`);
+    }
+});
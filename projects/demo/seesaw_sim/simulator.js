@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+// --- Serial-Pair Simulator ---
+// Runs the simulated seesaw on one end of a virtual serial pair, for tools that open a serial
+// device rather than a WebSocket. On Linux or macOS:
+//   socat -d -d pty,raw,echo=0,link=/tmp/seesaw-host pty,raw,echo=0,link=/tmp/seesaw-device
+//   node simulator.js /tmp/seesaw-device
+// and point the other program at /tmp/seesaw-host.
+import fs from 'node:fs';
+import { createSeesawDevice } from './device.js';
+
+const path = process.argv[2];
+if (!path) {
+    console.error('Usage: node simulator.js <serial device path>');
+    process.exit(1);
+}
+
+const output = fs.createWriteStream(path);
+const input = fs.createReadStream(path, { encoding: 'utf8' });
+const device = createSeesawDevice({ send: text => output.write(text) });
+
+input.on('data', chunk => device.receive(chunk));
+input.on('error', error => {
+    console.error(`Read error on ${path}: ${error.message}`);
+    device.stop();
+    process.exit(1);
+});
+
+process.on('SIGINT', () => {
+    device.stop();
+    process.exit(0);
+});
+
+console.log(`Simulated seesaw running on ${path}`);
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, waitFor } from './helpers.js';
+import { alarmLevel, alarmZones, outOfRange } from '../controller/alarms.js';
+import { normalizeTelemetrySchema } from '../controller/protocol.js';
+
+describe('alarm thresholds', () => {
+    const [tilt, rpm] = normalizeTelemetrySchema([
+        { key: 'A', min: -45, max: 45, critLow: -30, warnLow: -20, warnHigh: 20, critHigh: 30 },
+        { key: 'L', min: 0, max: 50000, warnHigh: '40000', critHigh: '' }
+    ]);
+
+    it('puts each sample at the highest level it is beyond', () => {
+        assert.equal(alarmLevel(tilt, 0), 'normal');
+        assert.equal(alarmLevel(tilt, 20), 'normal', 'thresholds themselves are still inside');
+        assert.equal(alarmLevel(tilt, -25), 'warning');
+        assert.equal(alarmLevel(tilt, 31), 'critical');
+        assert.equal(alarmLevel(rpm, 60000), 'warning', 'no critical threshold set');
+        assert.equal(rpm.critHigh, null);
+    });
+
+    it('lays the zones out along the range', () => {
+        assert.deepEqual(alarmZones(tilt), [
+            { from: -45, to: -30, level: 'critical' },
+            { from: -30, to: -20, level: 'warning' },
+            { from: 20, to: 30, level: 'warning' },
+            { from: 30, to: 45, level: 'critical' }
+        ]);
+        assert.deepEqual(alarmZones(rpm), [{ from: 40000, to: 50000, level: 'warning' }]);
+        assert.deepEqual(alarmZones({ ...tilt, critHigh: 60, warnHigh: 50 }).slice(2), [], 'clipped to the range');
+    });
+
+    it('counts what the dial has to clamp', () => {
+        assert.equal(outOfRange(tilt, 45), false);
+        assert.equal(outOfRange(tilt, -45.5), true);
+    });
+
+    it('rejects thresholds out of order', () => {
+        const channel = { key: 'A', min: -45, max: 45 };
+        assert.throws(() => normalizeTelemetrySchema([{ ...channel, warnHigh: 20, critHigh: 10 }]), /critLow ≤ warnLow < warnHigh ≤ critHigh/);
+        assert.throws(() => normalizeTelemetrySchema([{ ...channel, warnLow: 5, warnHigh: 5 }]), /critLow ≤ warnLow/);
+        assert.throws(() => normalizeTelemetrySchema([{ ...channel, warnLow: 'soon' }]), /warnLow must be a number or empty/);
+        assert.equal(normalizeTelemetrySchema([{ ...channel, critLow: -30, warnLow: -30 }])[0].warnLow, -30);
+    });
+});
+
+describe('alarm panel', () => {
+    it('follows crossings on the gauges, the table and the event log', async (t) => {
+        const page = await loadPage('serial_controller');
+        t.after(() => page.close());
+        await page.connect();
+        const gauge = page.byId('gauge-A');
+        const row = page.byId('alarmTableBody').rows[1];
+        assert.deepEqual([...row.cells].map(cell => cell.textContent), ['Tilt Angle (°)', 'normal', '< -20 or > 20', '< -30 or > 30', '0']);
+        assert.equal(page.document.querySelectorAll('#gauge-A .gauge-zone').length, 4);
+
+        page.serialPort.receive('L: 0 A: 25 R: 0\n');
+        await waitFor(() => gauge.classList.contains('warning'));
+        assert.equal(page.byId('alarmStatus').textContent, 'Warning: Tilt Angle');
+        page.serialPort.receive('L: 0 A: 50 R: 0\nL: 0 A: 60 R: 0\n');
+        await waitFor(() => row.cells[4].textContent === '2');
+        assert.ok(gauge.classList.contains('critical'));
+        assert.equal(page.byId('gauge-A-text').textContent, '45.0', 'still clamped on the dial');
+        assert.ok(page.byId('gauge-A-text').classList.contains('out-of-range'));
+        assert.equal(row.cells[1].textContent, 'critical');
+        assert.equal(page.byId('alarmStatus').textContent, 'CRITICAL: Tilt Angle');
+
+        page.serialPort.receive('L: 0 A: 1 R: 0\n');
+        await waitFor(() => page.byId('alarmStatus').textContent === 'All channels normal.');
+        const log = [...page.byId('alarmLog').children].map(entry => entry.textContent.replace(/^[\d:.]+ /, ''));
+        assert.deepEqual(log, [
+            'Tilt Angle (°): critical → normal at 1.0',
+            'Tilt Angle (°): warning → critical at 50.0',
+            'Tilt Angle (°): normal → warning at 25.0'
+        ]);
+        assert.ok(!gauge.classList.contains('critical'));
+
+        page.byId('clearAlarmsButton').click();
+        assert.equal(page.byId('alarmLog').children.length, 0);
+        assert.equal(page.byId('alarmTableBody').rows[1].cells[4].textContent, '0');
+        await page.disconnect();
+    });
+
+    it('takes thresholds from the schema editor', async (t) => {
+        const page = await loadPage('simple_serial_controller');
+        t.after(() => page.close());
+        const editorRow = page.byId('schemaTableBody').rows[0];
+        editorRow.querySelector('[data-field="warnHigh"]').value = '5';
+        editorRow.querySelector('[data-field="critHigh"]').value = '';
+        page.byId('applySchemaButton').click();
+        assert.equal(JSON.parse(page.window.localStorage.getItem('simpleSeesawTelemetrySchema'))[0].warnHigh, 5);
+        assert.equal(page.byId('alarmTableBody').rows[0].cells[3].textContent, '< -30');
+
+        await page.connect();
+        page.serialPort.receive('A: 40\n');
+        await waitFor(() => page.byId('alarmStatus').textContent === 'Warning: Tilt Angle');
+        await page.disconnect();
+    });
+});
@@ -0,0 +1,163 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PAGES, loadPage, waitFor, sleep, createMockSerialPort } from './helpers.js';
+import { openDeviceConnection } from '../controller/connection.js';
+
+for (const name of PAGES) {
+    describe(`${name}: connection lifecycle`, () => {
+        let page;
+        beforeEach(async () => {
+            page = await loadPage(name);
+        });
+        afterEach(() => page.close());
+
+        it('enables the controls and asks for the running parameters on connect', async () => {
+            assert.ok(page.byId('main-controls').disabled);
+            await page.connect();
+            assert.equal(page.serialPort.openOptions.baudRate, 115200);
+            assert.ok(!page.byId('main-controls').disabled);
+            await waitFor(() => page.serialPort.writtenText().some(text => text.startsWith('GET PARAMS')));
+
+            await page.disconnect();
+            assert.ok(page.byId('main-controls').disabled);
+            assert.equal(page.serialPort.readable, null, 'port closed');
+        });
+
+        it('connects again after a disconnect in either protocol', async () => {
+            for (const protocol of ['text', 'binary']) {
+                page.byId('protocolMode').value = protocol;
+                await page.connect();
+                await page.disconnect();
+                assert.equal(page.status(), 'Status: Disconnected', protocol);
+                await page.connect();
+                assert.ok(page.serialPort.readable, `${protocol}: port open again`);
+                await page.disconnect();
+            }
+        });
+
+        it('only updates the gauges once a telemetry line is complete', async () => {
+            await page.connect();
+            page.serialPort.receive('L: 1000 A: 12.');
+            await sleep(30);
+            assert.equal(page.byId('gauge-A-text').textContent, '0.0');
+            page.serialPort.receive('5 R: 1100\n');
+            await waitFor(() => page.byId('gauge-A-text').textContent === '12.5');
+            await page.disconnect();
+        });
+
+        it('ignores malformed lines but still shows them in the terminal', async () => {
+            await page.connect();
+            page.serialPort.receive('L: 1000 A: oops R: 1100\nL: 1000 A: -4 R: 1100\n');
+            await waitFor(() => page.byId('gauge-A-text').textContent === '-4.0');
+            assert.match(page.byId('terminalOutput').textContent, /A: oops/);
+            await page.disconnect();
+        });
+
+        it('refuses to send while a field holds an invalid number', async () => {
+            await page.connect();
+            page.input('control-p', '12abc');
+            assert.ok(page.byId('control-p').classList.contains('invalid'));
+            const before = page.serialPort.frames().length;
+            await page.controller.sendData();
+            assert.equal(page.status(), 'Error: Invalid number in one of the fields.');
+            assert.equal(page.serialPort.frames().length, before);
+
+            page.input('control-p', '0.5');
+            assert.ok(!page.byId('control-p').classList.contains('invalid'));
+            await page.controller.sendData();
+            assert.match(page.serialPort.frames().at(-1), /^p: 0.5 /);
+            await page.disconnect();
+        });
+
+        it('falls back to the disconnected state when the device is unplugged', async () => {
+            page.byId('autoReconnect').checked = false;
+            await page.connect();
+            page.serialPort.unplug();
+            await waitFor(() => page.byId('connectButton').textContent === 'Connect');
+            assert.ok(page.byId('main-controls').disabled);
+            assert.match(page.status(), /Disconnected|lost/i);
+        });
+    });
+
+    describe(`${name}: remote control`, () => {
+        let page;
+        let socket;
+        beforeEach(async () => {
+            page = await loadPage(name);
+            await waitFor(() => page.sockets.length > 0);
+            socket = page.sockets.at(-1);
+            socket.serverOpen();
+        });
+        afterEach(() => page.close());
+
+        it('sends the remote setpoint in place of the field while in remote mode', async () => {
+            await page.connect();
+            const toggle = page.byId('controlModeToggle');
+            toggle.checked = true;
+            toggle.dispatchEvent(new page.window.Event('change'));
+            socket.serverSend({ type: 'setpoint', value: 3.25 });
+            await waitFor(() => / s: 3\.25 /.test(page.serialPort.frames().at(-1) ?? ''));
+            assert.equal(page.byId('control-s').value, '3.25');
+            assert.ok(page.byId('control-s').disabled);
+            await page.disconnect();
+        });
+
+        it('keeps the field value while not in remote mode', async () => {
+            await page.connect();
+            socket.serverSend({ type: 'setpoint', value: 7 });
+            await sleep(30);
+            assert.ok(!page.serialPort.frames().some(frame => / s: 7/.test(frame)));
+            assert.equal(page.byId('control-s').value, '0');
+            await page.disconnect();
+        });
+
+        it('rejects malformed messages and reports them to the sender', async () => {
+            socket.serverSend('not json');
+            socket.serverSend({ type: 'setpoint', value: 'fast', id: 1 });
+            socket.serverSend({ type: 'set', values: { nope: 1 }, id: 2 });
+            socket.serverSend({ type: 'launch', id: 3 });
+            await waitFor(() => socket.sentMessages().filter(message => message.type === 'response').length === 3);
+            const responses = socket.sentMessages().filter(message => message.type === 'response');
+            assert.deepEqual(responses.map(response => [response.id, response.ok]), [[1, false], [2, false], [3, false]]);
+            assert.match(responses[0].error, /finite number/);
+            assert.match(responses[1].error, /unknown control "nope"/);
+        });
+
+        it('answers queries with the current control values', async () => {
+            socket.serverSend({ type: 'get', what: 'controls', id: 'q' });
+            await waitFor(() => socket.sentMessages().some(message => message.id === 'q'));
+            const response = socket.sentMessages().find(message => message.id === 'q');
+            assert.equal(response.ok, true);
+            assert.equal(response.data.s, 0);
+        });
+    });
+}
+
+describe('device connection', () => {
+    const callbacks = { onLine: () => {}, onPacket: () => {}, onDrop: () => {}, onTraffic: () => {}, onLost: () => {} };
+
+    it('sends through its queue, times each write and closes the port', async () => {
+        const port = createMockSerialPort();
+        const times = [];
+        const connection = await openDeviceConnection(port, { ...callbacks, baudRate: 9600, protocol: 'text', onWrite: ms => times.push(ms) });
+        assert.equal(port.openOptions.baudRate, 9600);
+        const sent = [connection.send('a\n', { key: 'command' }), connection.send('b\n', { key: 'command' })];
+        assert.deepEqual(await Promise.all(sent), [true, true]);
+        assert.deepEqual(port.writtenText(), ['a\n', 'b\n']);
+        assert.equal(times.length, 2);
+
+        await connection.close();
+        assert.equal(port.readable, null, 'port closed');
+    });
+
+    it('drops what is still waiting when it closes', async () => {
+        const port = createMockSerialPort();
+        const connection = await openDeviceConnection(port, { ...callbacks, baudRate: 9600, protocol: 'binary', maxRate: 1 });
+        const first = connection.send(Uint8Array.of(1, 0));
+        const waiting = connection.send(Uint8Array.of(2, 0));
+        assert.equal(await first, true);
+        await connection.close();
+        assert.equal(await waiting, false);
+        assert.equal(port.written.length, 1);
+    });
+});
@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, waitFor, sleep } from './helpers.js';
+import { PACKET_TELEMETRY, PACKET_COMMAND, framePacket, unframePacket } from '../controller/protocol.js';
+
+// Adds a device on the second mock port with the given profile and connects it
+async function addDevice(page, profileId, { protocol = 'text' } = {}) {
+    page.byId('addDeviceButton').click();
+    const id = page.byId('deviceTabs').lastElementChild.textContent.replace('Device ', 'device');
+    await waitFor(() => page.byId(`${id}-port`).options.length > 0);
+    const select = (role, value) => {
+        const element = page.byId(`${id}-${role}`);
+        element.value = value;
+        element.dispatchEvent(new page.window.Event('change'));
+    };
+    select('port', '1');
+    select('profile', profileId);
+    select('protocol', protocol);
+    page.byId(`${id}-connect`).click();
+    await waitFor(() => page.byId(`${id}-connect`).textContent === 'Disconnect');
+    return id;
+}
+
+function editRoute(page, index, { from, to, scale, offset }) {
+    const row = page.byId('routeTableBody').rows[index];
+    [['from', from], ['to', to]].forEach(([field, value]) => {
+        const select = row.querySelector(`select[data-field="${field}"]`);
+        select.value = value;
+        select.dispatchEvent(new page.window.Event('change'));
+    });
+    [['scale', scale], ['offset', offset]].forEach(([field, value]) => {
+        const input = row.querySelector(`input[data-field="${field}"]`);
+        input.value = value;
+        input.dispatchEvent(new page.window.Event('input'));
+    });
+}
+
+describe('multi-device sessions', () => {
+    it('runs an extra device on its own port, profile and reader', async (t) => {
+        const page = await loadPage('serial_controller', { extraPorts: 1 });
+        t.after(() => page.close());
+        await page.connect();
+        const device = await addDevice(page, 'simple-seesaw');
+        const [extra] = page.extraPorts;
+        assert.equal(extra.openOptions.baudRate, 115200);
+        assert.match(page.byId(`${device}-status`).textContent, /^Connected to Port 2 .*text protocol/);
+        assert.equal(page.byId(`${device}-gauge-L-text`), null, 'gauges follow the device profile');
+
+        extra.receive('A: 7\n');
+        page.serialPort.receive('L: 1 A: -3 R: 2\n');
+        await waitFor(() => page.byId(`${device}-gauge-A-text`).textContent === '7.0');
+        await waitFor(() => page.byId('gauge-A-text').textContent === '-3.0');
+
+        const mainFrames = page.serialPort.frames().length;
+        page.input(`${device}-control-s`, '2.5');
+        await waitFor(() => extra.frames().length === 1, { timeout: 2000 });
+        assert.equal(extra.frames()[0], 'p: 0.02 i: 0.02 d: 0.005 t: 0.008 s: 2.5 g: 0\n');
+        assert.equal(page.serialPort.frames().length, mainFrames, 'nothing goes to the page\'s own device');
+
+        page.byId(`${device}-connect`).click();
+        await waitFor(() => page.byId(`${device}-status`).textContent === 'Disconnected.');
+        assert.ok(page.byId(`${device}-controls`).disabled);
+        assert.equal(page.byId('connectButton').textContent, 'Disconnect', 'the page\'s own device stays connected');
+        await page.disconnect();
+    });
+
+    it('routes telemetry between devices, scaled and offset', async (t) => {
+        const page = await loadPage('simple_serial_controller', { extraPorts: 1 });
+        t.after(() => page.close());
+        await page.connect();
+        const device = await addDevice(page, 'seesaw', { protocol: 'binary' });
+        const [extra] = page.extraPorts;
+
+        page.byId('addRouteButton').click();
+        page.byId('addRouteButton').click();
+        editRoute(page, 0, { from: `${device}/A`, to: 'main/s', scale: '2', offset: '1' });
+        editRoute(page, 1, { from: 'main/A', to: `${device}/s`, scale: '-1', offset: '0' });
+
+        // A binary telemetry packet from the extra device: L, A, R as float32
+        const payload = new Uint8Array(13);
+        payload[0] = PACKET_TELEMETRY;
+        new DataView(payload.buffer).setFloat32(5, 3, true);
+        extra.receive(framePacket(payload));
+        await waitFor(() => / s: 7 /.test(page.serialPort.frames().at(-1) ?? ''));
+        assert.equal(page.byId('control-s').value, '7');
+
+        page.serialPort.receive('A: 4\n');
+        await waitFor(() => extra.written.length > 0);
+        assert.equal(page.byId(`${device}-control-s`).value, '-4');
+        assert.equal(unframePacket(extra.written.at(-1).subarray(0, -1)).payload[0], PACKET_COMMAND, 'sent as a binary command packet');
+
+        // A burst of samples in one read: the frames still waiting in the device's queue are replaced
+        const written = extra.written.length;
+        page.serialPort.receive('A: 5\nA: 6\nA: 8\n');
+        await waitFor(() => page.byId(`${device}-control-s`).value === '-8');
+        await sleep(60);
+        assert.ok(extra.written.length - written <= 2, `${extra.written.length - written} frames for 3 samples`);
+
+        page.byId('routingEnabled').checked = false;
+        const sent = page.serialPort.frames().length;
+        extra.receive(framePacket(payload));
+        await waitFor(() => page.byId(`${device}-gauge-A-text`).textContent === '3.0');
+        assert.equal(page.serialPort.frames().length, sent, 'nothing is routed while routing is off');
+        await page.disconnect();
+    });
+
+    it('pauses routing on an E-stop and drops the routes of a removed device', async (t) => {
+        const page = await loadPage('serial_controller', { extraPorts: 1 });
+        t.after(() => page.close());
+        await page.connect();
+        const device = await addDevice(page, 'simple-seesaw');
+        page.byId('addRouteButton').click();
+        assert.equal(page.byId('routeTableBody').rows[0].querySelector('select[data-field="from"]').value, `${device}/A`);
+
+        page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape' }));
+        assert.equal(page.byId('routingEnabled').checked, false);
+        assert.equal(page.byId('routeStatus').textContent, 'Routing paused: motors stopped.');
+
+        page.extraPorts[0].unplug();
+        await waitFor(() => /^Connection lost \(read error: device lost\)/.test(page.byId(`${device}-status`).textContent));
+        assert.equal(page.byId('connectButton').textContent, 'Disconnect');
+
+        page.byId(`${device}-remove`).click();
+        await waitFor(() => page.byId(`${device}-port`) === null);
+        assert.equal(page.byId('routeTableBody').rows.length, 0);
+        assert.ok(page.byId('addRouteButton').disabled);
+        await page.disconnect();
+    });
+
+    it('switches the motors of extra devices off on an E-stop and sends them the heartbeat', async (t) => {
+        const page = await loadPage('serial_controller', { extraPorts: 1 });
+        t.after(() => page.close());
+        await page.connect();
+        const device = await addDevice(page, 'seesaw');
+        const [extra] = page.extraPorts;
+        await waitFor(() => extra.writtenText().some(text => text.startsWith('HB ')), { timeout: 1000 });
+
+        page.byId(`${device}-control-l`).click();
+        await waitFor(() => / l: 1 /.test(extra.frames().at(-1) ?? ''), { timeout: 2000 });
+        page.byId('estopButton').click();
+        await waitFor(() => / l: 0 r: 0 /.test(extra.frames().at(-1)));
+        assert.equal(page.byId(`${device}-control-l`).checked, false);
+        assert.equal(page.byId(`${device}-status`).textContent, 'Motors stopped: E-stop pressed.');
+
+        page.byId(`${device}-connect`).click();
+        await waitFor(() => page.byId(`${device}-status`).textContent === 'Disconnected.');
+        const written = extra.written.length;
+        await sleep(300);
+        assert.equal(extra.written.length, written, 'no heartbeat once disconnected');
+        await page.disconnect();
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PAGES, loadPage, waitFor } from './helpers.js';
+import {
+    normalizeCommandSchema, buildCommandFrame, parseFrameFields, valuesFromFrameFields,
+    crc16, cobsEncode, cobsDecode, framePacket, unframePacket, encodeCommandPacket, decodeCommandFields, encodeHeartbeat,
+    PACKET_COMMAND, PACKET_HEARTBEAT
+} from '../controller/protocol.js';
+import seesaw from '../profiles/seesaw.js';
+import simpleSeesaw from '../profiles/simple_seesaw.js';
+
+// The frames both pages sent before the command schema existed; the defaults must not change them
+const DEFAULT_FRAMES = [
+    [seesaw, 'p: 0.0075 i: 0.0101 d: 0.0014 t: 0.008 s: 0 b: ff0000 l: 0 r: 0 g: 0\n'],
+    [simpleSeesaw, 'p: 0.02 i: 0.02 d: 0.005 t: 0.008 s: 0 g: 0\n'],
+];
+
+function defaultValues(schema) {
+    return Object.fromEntries(schema.controls.map(control => [control.key, control.value]));
+}
+
+for (const [profile, defaultFrame] of DEFAULT_FRAMES) {
+    describe(`${profile.id}: command frames`, () => {
+        const schema = normalizeCommandSchema(profile.commands);
+
+        it('builds the historical frame from the profile defaults', () => {
+            assert.equal(buildCommandFrame(defaultValues(schema), undefined, schema), defaultFrame);
+        });
+
+        it('appends the sequence number last', () => {
+            assert.equal(buildCommandFrame(defaultValues(schema), 42, schema), defaultFrame.replace('\n', ' seq: 42\n'));
+        });
+
+        it('round-trips a frame back into control values', () => {
+            const values = defaultValues(schema);
+            const frame = buildCommandFrame(values, undefined, schema);
+            assert.deepEqual(valuesFromFrameFields(parseFrameFields(frame), schema), values);
+        });
+
+        it('round-trips a binary command packet', () => {
+            const values = defaultValues(schema);
+            const packet = cobsDecode(encodeCommandPacket(values, 7, schema).subarray(0, -1)); // Without the delimiter
+            const view = new DataView(packet.buffer, packet.byteOffset, packet.length - 2);
+            assert.equal(view.getUint8(0), PACKET_COMMAND);
+            assert.equal(view.getUint16(1, true), 7);
+            assert.deepEqual(decodeCommandFields(view, 3, schema), values);
+        });
+    });
+}
+
+describe('frame formats', () => {
+    it('follows the separator, terminator and precision of a schema', () => {
+        const schema = normalizeCommandSchema({
+            separator: 'comma',
+            terminator: 'crlf',
+            controls: [
+                { key: 'k', type: 'number', value: 0, precision: 3 },
+                { key: 'm', type: 'toggle' },
+                { key: 'c', type: 'color', value: '#000000' },
+                { key: 'x', type: 'bitmask', value: 0, bits: 'red,green,blue,yellow' },
+            ],
+        });
+        assert.equal(buildCommandFrame({ k: 0.1, m: true, c: '#00ff7f', x: 9 }, undefined, schema), 'k: 0.100, m: 1, c: 00ff7f, x: 9\r\n');
+    });
+
+    it('checks binary packets with CRC-16/CCITT-FALSE', () => {
+        assert.equal(crc16(new TextEncoder().encode('123456789')), 0x29b1);
+    });
+
+    it('COBS-encodes zeros away and decodes them back', () => {
+        const payload = Uint8Array.of(0x01, 0x00, 0x00, 0x7f, 0x00);
+        const encoded = cobsEncode(payload);
+        assert.ok(!encoded.includes(0));
+        assert.deepEqual(cobsDecode(encoded), payload);
+    });
+
+    it('rejects a COBS block cut short', () => {
+        assert.deepEqual(cobsDecode(Uint8Array.of(0x03, 0x11, 0x22)), Uint8Array.of(0x11, 0x22));
+        assert.equal(cobsDecode(Uint8Array.of(0x03, 0x11)), null, 'one byte short of its code');
+        assert.equal(cobsDecode(Uint8Array.of(0x02, 0x11, 0x04, 0x22)), null, 'the last block is short');
+    });
+
+    it('builds the heartbeat in either protocol', () => {
+        const schema = normalizeCommandSchema({ ...simpleSeesaw.commands, terminator: 'crlf' });
+        assert.equal(encodeHeartbeat(7, 'text', schema), 'HB 7\r\n');
+        const packet = encodeHeartbeat(0x0102, 'binary', schema);
+        assert.deepEqual(unframePacket(packet.subarray(0, -1)).payload, Uint8Array.of(PACKET_HEARTBEAT, 0x02, 0x01));
+    });
+
+    it('unframes a packet and names the check a damaged one fails', () => {
+        const framed = framePacket(Uint8Array.of(0x01, 0x00, 0x42)).subarray(0, -1);
+        assert.deepEqual(unframePacket(framed).payload, Uint8Array.of(0x01, 0x00, 0x42));
+        const corrupted = framed.slice();
+        corrupted[corrupted.length - 1] ^= 0x01;
+        assert.deepEqual(unframePacket(corrupted), { error: 'crc' });
+        assert.deepEqual(unframePacket(Uint8Array.of(0x05, 0x01)), { error: 'malformed' });
+    });
+});
+
+for (const name of PAGES) {
+    describe(`${name}: LED controls`, () => {
+        let page;
+        before(async () => {
+            page = await loadPage(name);
+        });
+        after(() => page.close());
+
+        it('builds the LED bitmask from the indicators that are lit', async () => {
+            const leds = page.document.querySelectorAll('.led-indicator');
+            assert.ok(leds.length >= 3);
+            await page.connect();
+            leds[0].click();
+            leds[2].click();
+            await waitFor(() => page.serialPort.frames().some(frame => / g: 5\n$/.test(frame)));
+            assert.equal(page.document.querySelectorAll('.led-indicator.on').length, 2);
+            leds[0].click();
+            await waitFor(() => / g: 4\n$/.test(page.serialPort.frames().at(-1)));
+            await page.disconnect();
+            assert.equal(page.document.querySelectorAll('.led-indicator.on').length, 0, 'LEDs reset on disconnect');
+        });
+    });
+}
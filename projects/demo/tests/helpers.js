@@ -0,0 +1,243 @@
+// Loads a controller page into jsdom with a mocked navigator.serial and WebSocket, so the page
+// modules run exactly as they ship and the tests drive them from the outside.
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const DEMO_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// The page pipes Node's stream and text-codec classes into each other, so they all come from Node
+const NODE_GLOBALS = ['ReadableStream', 'WritableStream', 'TransformStream', 'TextEncoderStream',
+    'TextDecoderStream', 'TextEncoder', 'TextDecoder', 'Blob'];
+
+export const PAGES = ['serial_controller', 'simple_serial_controller'];
+
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export async function waitFor(predicate, { timeout = 1000, interval = 5 } = {}) {
+    const deadline = Date.now() + timeout;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await sleep(interval);
+    }
+}
+
+// A serial port whose incoming bytes are fed by the test and whose writes are recorded
+export function createMockSerialPort(info = { usbVendorId: 0x2341, usbProductId: 0x0043 }) {
+    const incoming = [];
+    let wake = null;
+    const port = {
+        readable: null,
+        writable: null,
+        openOptions: null,
+        written: [],
+        getInfo() {
+            return info;
+        },
+        async open(options) {
+            port.openOptions = options;
+            port.readable = new ReadableStream({
+                async pull(controller) {
+                    while (incoming.length === 0) {
+                        await new Promise(resolve => (wake = resolve));
+                    }
+                    const chunk = incoming.shift();
+                    if (chunk instanceof Error) {
+                        controller.error(chunk);
+                    } else {
+                        controller.enqueue(typeof chunk === 'string' ? encoder.encode(chunk) : chunk);
+                    }
+                },
+            });
+            port.writable = new WritableStream({
+                write(chunk) {
+                    port.written.push(chunk);
+                },
+            });
+        },
+        async close() {
+            // Like the Web Serial API, which won't close a port whose streams are still in use
+            if (port.readable?.locked || port.writable?.locked) {
+                throw new Error('InvalidStateError: the port streams are locked');
+            }
+            port.readable = null;
+            port.writable = null;
+        },
+        // Test side
+        receive(chunk) {
+            incoming.push(chunk);
+            wake?.();
+            wake = null;
+        },
+        unplug(message = 'device lost') {
+            port.receive(new Error(message));
+        },
+        writtenText() {
+            return port.written.map(chunk => (typeof chunk === 'string' ? chunk : decoder.decode(chunk)));
+        },
+        // Command frames only, without the heartbeat, identification, parameter and ping requests around them
+        frames() {
+            return port.writtenText().filter(text => !/^(HB|GET PARAMS|PING)\b|^ID\?/.test(text));
+        },
+    };
+    return port;
+}
+
+export function createMockWebSocketClass() {
+    const sockets = [];
+    class MockWebSocket {
+        static CONNECTING = 0;
+        static OPEN = 1;
+        static CLOSING = 2;
+        static CLOSED = 3;
+
+        constructor(url) {
+            this.url = url;
+            this.readyState = MockWebSocket.CONNECTING;
+            this.sent = [];
+            sockets.push(this);
+        }
+
+        send(data) {
+            if (this.readyState !== MockWebSocket.OPEN) {
+                throw new Error('InvalidStateError: socket is not open');
+            }
+            this.sent.push(data);
+        }
+
+        close(code = 1000, reason = '') {
+            if (this.readyState === MockWebSocket.CLOSED) return;
+            this.readyState = MockWebSocket.CLOSED;
+            this.onclose?.({ code, reason });
+        }
+
+        // Test side
+        serverOpen() {
+            this.readyState = MockWebSocket.OPEN;
+            this.onopen?.({});
+        }
+
+        serverSend(message) {
+            this.onmessage?.({ data: typeof message === 'string' ? message : JSON.stringify(message) });
+        }
+
+        serverClose(code = 1006, reason = '') {
+            this.readyState = MockWebSocket.CLOSED;
+            this.onclose?.({ code, reason });
+        }
+
+        sentMessages() {
+            return this.sent.map(data => JSON.parse(data));
+        }
+    }
+    return { MockWebSocket, sockets };
+}
+
+// jsdom doesn't run module scripts, so the page's module graph is linked by hand inside its window
+// (needs node --experimental-vm-modules, which the test script passes)
+async function runModuleScript(dom, file) {
+    const context = dom.getInternalVMContext();
+    const modules = new Map();
+    const load = filePath => {
+        if (!modules.has(filePath)) {
+            modules.set(filePath, new vm.SourceTextModule(fs.readFileSync(filePath, 'utf8'), { identifier: filePath, context }));
+        }
+        return modules.get(filePath);
+    };
+    const entry = load(file);
+    await entry.link((specifier, referencingModule) => load(path.resolve(path.dirname(referencingModule.identifier), specifier)));
+    await entry.evaluate();
+    return entry.namespace;
+}
+
+// `extraPorts` adds that many more mock ports behind the first, for the Devices panel
+export async function loadPage(name, { storage = {}, extraPorts = 0 } = {}) {
+    const file = path.join(DEMO_DIR, `${name}.html`);
+    const logs = [];
+    const virtualConsole = new VirtualConsole();
+    ['log', 'info', 'warn', 'error'].forEach(level => virtualConsole.on(level, (...args) => logs.push([level, ...args])));
+    virtualConsole.on('jsdomError', error => logs.push(['jsdomError', error.message]));
+
+    const dom = new JSDOM(fs.readFileSync(file, 'utf8'), {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        url: 'http://localhost/',
+        virtualConsole,
+    });
+    const { window } = dom;
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    NODE_GLOBALS.forEach(key => (window[key] = globalThis[key]));
+
+    // jsdom has no canvas; the chart only needs its drawing calls to land somewhere
+    window.HTMLCanvasElement.prototype.getContext = () => new Proxy({}, {
+        get: (target, key) => (key in target ? target[key] : () => ({ width: 0 })),
+        set: (target, key, value) => {
+            target[key] = value;
+            return true;
+        },
+    });
+
+    const serialPort = createMockSerialPort();
+    const otherPorts = Array.from({ length: extraPorts }, (_, index) => createMockSerialPort({ usbVendorId: 0x2e8a, usbProductId: 0x000a + index }));
+    const serialListeners = {};
+    Object.defineProperty(window.navigator, 'serial', {
+        value: {
+            getPorts: async () => [serialPort, ...otherPorts],
+            requestPort: async () => serialPort,
+            addEventListener: (type, listener) => (serialListeners[type] = listener),
+        },
+    });
+    const { MockWebSocket, sockets } = createMockWebSocketClass();
+    window.WebSocket = MockWebSocket;
+
+    let controller = null;
+    for (const script of window.document.querySelectorAll('script[type="module"][src]')) {
+        ({ controller } = await runModuleScript(dom, path.join(DEMO_DIR, script.getAttribute('src'))));
+    }
+    window.dispatchEvent(new window.Event('load'));
+    await waitFor(() => window.document.getElementById('portSelector').options.length > 0);
+
+    const document = window.document;
+    const page = {
+        window,
+        document,
+        controller,
+        serialPort,
+        extraPorts: otherPorts,
+        serialListeners,
+        sockets,
+        logs,
+        byId: id => document.getElementById(id),
+        status: () => document.getElementById('status-text').textContent,
+        async connect() {
+            document.getElementById('connectButton').click();
+            await waitFor(() => document.getElementById('connectButton').textContent === 'Disconnect');
+        },
+        async disconnect() {
+            document.getElementById('connectButton').click();
+            await waitFor(() => document.getElementById('connectButton').textContent === 'Connect');
+        },
+        input(id, value) {
+            const element = document.getElementById(id);
+            element.value = value;
+            element.dispatchEvent(new window.Event('input', { bubbles: true }));
+        },
+        // Typing a value and leaving the field
+        change(id, value) {
+            page.input(id, value);
+            document.getElementById(id).dispatchEvent(new window.Event('change', { bubbles: true }));
+        },
+        close() {
+            window.close();
+        },
+    };
+    return page;
+}
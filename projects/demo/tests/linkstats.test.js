@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, waitFor } from './helpers.js';
+import { createRateMeter, formatByteRate, summarizeRoundTrips } from '../controller/linkstats.js';
+import { parsePongLine } from '../controller/protocol.js';
+
+describe('link statistics', () => {
+    it('measures rates over a sliding window', () => {
+        const meter = createRateMeter(2000, 0);
+        meter.add(100, 100);
+        assert.equal(meter.rate(500), 200, 'over the time since the start until the window fills');
+        meter.add(300, 1500);
+        assert.equal(meter.rate(2000), 200);
+        assert.equal(meter.rate(3000), 150, 'the first event has left the window');
+        assert.equal(meter.rate(4000), 0);
+    });
+
+    it('formats byte rates and summarises round trips', () => {
+        assert.equal(formatByteRate(512.4), '512 B/s');
+        assert.equal(formatByteRate(11520), '11.5 kB/s');
+        assert.equal(summarizeRoundTrips([]), null);
+        assert.deepEqual(summarizeRoundTrips([4, 2, 6]), { last: 6, min: 2, avg: 4, max: 6, count: 3 });
+    });
+
+    it('reads the echo of a ping', () => {
+        assert.equal(parsePongLine('PONG 17'), 17);
+        assert.equal(parsePongLine('PONG'), null);
+        assert.equal(parsePongLine('L: 1 A: 2 R: 3'), null);
+    });
+});
+
+describe('link health panel', () => {
+    it('counts samples, partial lines and parse failures', async (t) => {
+        const page = await loadPage('serial_controller');
+        t.after(() => page.close());
+        await page.connect();
+        page.serialPort.receive('L: 1000 A: 2 R: 1100\nL: 1000 A: 3\nL: 1000 A: oops R: 1100\nhello\nL: 1000 A: 4 R: 11');
+        await waitFor(() => page.byId('healthParseFailures').textContent === '2');
+        assert.equal(page.byId('healthPartialLines').textContent, '1');
+        assert.match(page.byId('healthLastSample').textContent, /^\d\.\d\d s ago$/);
+        assert.match(page.byId('healthRx').textContent, /^\d+ B\/s, [\d.]+ lines\/s$/);
+        assert.match(page.byId('healthWrites').textContent, /^Last [\d.]+ ms, slowest [\d.]+ ms$/);
+
+        await page.disconnect();
+        assert.equal(page.byId('healthDropped').textContent, '1', 'the unterminated end of the text');
+        assert.ok(!page.byId('healthLastSample').classList.contains('stale'));
+    });
+
+    it('measures the round trip of a ping and notices a missing echo', async (t) => {
+        const page = await loadPage('simple_serial_controller');
+        t.after(() => page.close());
+        page.byId('pingButton').click();
+        assert.equal(page.byId('healthPing').textContent, 'Connect first.');
+
+        await page.connect();
+        page.byId('pingButton').click();
+        await waitFor(() => page.serialPort.writtenText().includes('PING 1\n'));
+        page.serialPort.receive('PONG 1\n');
+        await waitFor(() => page.byId('healthPing').textContent.includes('over 1)'));
+        assert.match(page.byId('healthPing').textContent, /^[\d.]+ ms \(min [\d.]+, avg [\d.]+, max [\d.]+ over 1\)$/);
+        assert.ok(page.serialPort.frames().every(text => !text.startsWith('PING')));
+
+        page.byId('pingButton').click();
+        await waitFor(() => page.byId('healthPing').textContent.startsWith('No echo'), { timeout: 2000 });
+        page.serialPort.receive('PONG 2\n');
+        await waitFor(() => page.byId('terminalOutput').textContent.includes('PONG 2'));
+        assert.equal(page.byId('healthParseFailures').textContent, '0', 'a late echo is still an echo');
+        await page.disconnect();
+    });
+});
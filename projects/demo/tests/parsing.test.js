@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { takeLines, parseTelemetryLine, parseNumberInput, isPartialNumber } from '../controller/protocol.js';
+
+describe('line buffering and telemetry parsing', () => {
+    it('keeps an unterminated tail for the next chunk', () => {
+        const first = takeLines('A: 1\nA: 2\nA: ');
+        assert.deepEqual(first.lines, ['A: 1\n', 'A: 2\n']);
+        assert.equal(first.rest, 'A: ');
+        const { lines, rest } = takeLines(first.rest + '3.5\n');
+        assert.deepEqual(lines, ['A: 3.5\n']);
+        assert.equal(rest, '');
+    });
+
+    it('returns nothing until a line is complete', () => {
+        const { lines, rest } = takeLines('L: 10 A:');
+        assert.equal(lines.length, 0);
+        assert.equal(rest, 'L: 10 A:');
+    });
+
+    it('keeps CR in the raw line so the terminal can show it', () => {
+        const { lines } = takeLines('boot\r\n\n');
+        assert.deepEqual(lines, ['boot\r\n', '\n']);
+    });
+
+    it('reads every schema channel from a telemetry line', () => {
+        const schema = [{ key: 'L' }, { key: 'A' }, { key: 'R' }];
+        assert.deepEqual(parseTelemetryLine('L: 1200 A: -2.5 R: 1.1e3', schema), [1200, -2.5, 1100]);
+        assert.deepEqual(parseTelemetryLine('R:3 extra: 9 A :4 L: 5', schema), [5, 4, 3]);
+    });
+
+    it('rejects lines missing a channel or carrying a malformed value', () => {
+        const schema = [{ key: 'L' }, { key: 'A' }, { key: 'R' }];
+        assert.equal(parseTelemetryLine('L: 1 A: 2', schema), null);
+        assert.equal(parseTelemetryLine('L: 1 A: abc R: 3', schema), null);
+        assert.equal(parseTelemetryLine('L: 1 A: . R: 3', schema), null);
+        assert.equal(parseTelemetryLine('L: 1 A: 1.2.3 R: 3', schema), null);
+        assert.equal(parseTelemetryLine('L: 1 A: 12abc R: 3', schema), null);
+        assert.equal(parseTelemetryLine('L: 1 A: 12. R: 3', schema), null);
+        assert.equal(parseTelemetryLine('Booting firmware v1.2', schema), null);
+        assert.equal(parseTelemetryLine('', schema), null);
+    });
+
+    it('parses only complete numbers from the input fields', () => {
+        assert.equal(parseNumberInput('0.0075'), 0.0075);
+        assert.equal(parseNumberInput('-3'), -3);
+        assert.equal(parseNumberInput('.5'), 0.5);
+        assert.equal(parseNumberInput('1e-3'), 0.001);
+        for (const text of ['', '-', '.', '12abc', '1.2.3', 'NaN', 'Infinity', '0x10', '1e']) {
+            assert.ok(Number.isNaN(parseNumberInput(text)), `"${text}" should not parse`);
+        }
+    });
+
+    it('only flags text that can never become a number', () => {
+        for (const text of ['', '-', '0.', '.5', '1e-', '2.5e3']) {
+            assert.ok(isPartialNumber(text), `"${text}" should be allowed while typing`);
+        }
+        for (const text of ['abc', '1.2.3', '--1', '1-']) {
+            assert.ok(!isPartialNumber(text), `"${text}" should be flagged`);
+        }
+    });
+});
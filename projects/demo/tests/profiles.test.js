@@ -0,0 +1,216 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, waitFor } from './helpers.js';
+import { normalizeTelemetrySchema, normalizeCommandSchema, parseIdentityLine } from '../controller/protocol.js';
+import { findProfileByUsb, findProfileByIdentity } from '../controller/detection.js';
+import PROFILES from '../profiles/index.js';
+import seesaw from '../profiles/seesaw.js';
+import simpleSeesaw from '../profiles/simple_seesaw.js';
+
+describe('device profiles', () => {
+    for (const profile of PROFILES) {
+        it(`${profile.id} has valid default schemas`, () => {
+            const telemetry = normalizeTelemetrySchema(profile.telemetry);
+            const commands = normalizeCommandSchema(profile.commands);
+            assert.ok(profile.debounceMs > 0);
+            assert.ok(profile.baudRate > 0);
+            assert.ok(profile.maxFrameRate >= 0);
+            if (profile.safety) {
+                assert.ok(telemetry.some(config => config.key === profile.safety.tiltChannel), 'tilt channel is a telemetry channel');
+            }
+            if (profile.tuning) {
+                const { channel, setpoint, gains } = profile.tuning;
+                assert.ok(telemetry.some(config => config.key === channel), 'tuning channel is a telemetry channel');
+                [setpoint, gains.p, gains.i, gains.d].forEach(key => assert.equal(
+                    commands.controls.find(control => control.key === key)?.type, 'number', `${key} is a number control`));
+            }
+        });
+    }
+
+    it('keep their saved settings apart', () => {
+        const prefixes = PROFILES.map(profile => profile.storagePrefix);
+        assert.equal(new Set(prefixes).size, prefixes.length);
+    });
+
+    it('answer to distinct identities', () => {
+        const identities = PROFILES.map(profile => profile.detect.identity);
+        assert.equal(new Set(identities).size, identities.length);
+    });
+});
+
+describe('profile detection', () => {
+    it('reads the identity from an ID reply', () => {
+        assert.equal(parseIdentityLine('ID seesaw-simple'), 'seesaw-simple');
+        assert.equal(parseIdentityLine('ID  seesaw v1.2\r\n'), 'seesaw v1.2');
+        assert.equal(parseIdentityLine('IDLE'), null);
+        assert.equal(parseIdentityLine('L: 1 A: 2 R: 3'), null);
+    });
+
+    it('matches the first word of the identity, ignoring case', () => {
+        assert.equal(findProfileByIdentity(PROFILES, 'Seesaw v1.2'), seesaw);
+        assert.equal(findProfileByIdentity(PROFILES, 'seesaw-simple'), simpleSeesaw);
+        assert.equal(findProfileByIdentity(PROFILES, 'toaster'), null);
+    });
+
+    it('matches USB IDs only for profiles that claim them', () => {
+        const claimed = { ...seesaw, detect: { ...seesaw.detect, usb: [{ usbVendorId: 0x2e8a, usbProductId: 0x000a }] } };
+        const profiles = [claimed, simpleSeesaw];
+        assert.equal(findProfileByUsb(profiles, { usbVendorId: 0x2e8a, usbProductId: 0x000a }), claimed);
+        assert.equal(findProfileByUsb(profiles, { usbVendorId: 0x2e8a, usbProductId: 0x0005 }), null);
+        assert.equal(findProfileByUsb(profiles, {}), null, 'ports without USB IDs, like the simulator');
+    });
+});
+
+describe('controller core', () => {
+    it('builds each page from its profile', async (t) => {
+        for (const [name, profile] of [['serial_controller', seesaw], ['simple_serial_controller', simpleSeesaw]]) {
+            const page = await loadPage(name);
+            t.after(() => page.close());
+            assert.equal(page.controller.profile.id, profile.id);
+            const gauges = [...page.document.querySelectorAll('.gauge-value-display')].map(element => element.id);
+            assert.deepEqual(gauges, profile.telemetry.map(config => `gauge-${config.key}-text`));
+            const controls = profile.commands.controls.map(control => page.byId(`control-${control.key}`));
+            assert.ok(controls.every(Boolean), 'every profile control is on the page');
+        }
+    });
+
+    it('gives every page the same panels, showing the ones its profile uses', async (t) => {
+        const headings = [];
+        for (const [name, profile] of [['serial_controller', seesaw], ['simple_serial_controller', simpleSeesaw]]) {
+            const page = await loadPage(name);
+            t.after(() => page.close());
+            headings.push([...page.document.querySelectorAll('#controller h2')].map(heading => heading.textContent));
+            assert.equal(page.byId('safetyPanel').hidden, !profile.safety);
+            assert.equal(page.byId('estopButton').hidden, !profile.safety);
+            assert.equal(page.byId('tuningPanel').hidden, !profile.tuning);
+            assert.equal(page.byId('baudRate').value, String(profile.baudRate));
+        }
+        assert.deepEqual(headings[0], headings[1]);
+    });
+
+    it('reads saved settings under the profile prefix only', async (t) => {
+        const presets = JSON.stringify([{ name: 'Soft', values: { p: 0.001 } }]);
+        const page = await loadPage('simple_serial_controller', { storage: { seesawPresets: presets } });
+        t.after(() => page.close());
+        assert.equal(page.byId('presetSelector').options.length, 0);
+
+        const other = await loadPage('simple_serial_controller', { storage: { simpleSeesawPresets: presets } });
+        t.after(() => other.close());
+        assert.equal(other.byId('presetSelector').value, 'Soft');
+    });
+
+    it('only runs the safety watchdog for profiles that have one', async (t) => {
+        const simple = await loadPage('simple_serial_controller');
+        t.after(() => simple.close());
+        await simple.connect();
+        simple.document.dispatchEvent(new simple.window.KeyboardEvent('keydown', { key: 'Escape' }));
+        assert.doesNotMatch(simple.status(), /EMERGENCY STOP/);
+        await simple.disconnect();
+
+        const full = await loadPage('serial_controller');
+        t.after(() => full.close());
+        await full.connect();
+        full.document.dispatchEvent(new full.window.KeyboardEvent('keydown', { key: 'Escape' }));
+        assert.match(full.byId('safetyStatus').textContent, /E-stop key pressed/);
+        await full.disconnect();
+    });
+
+    it('takes a safety setting once the field is left, not while it is typed', async (t) => {
+        const page = await loadPage('serial_controller');
+        t.after(() => page.close());
+        const field = page.byId('silenceTimeout');
+        page.input('silenceTimeout', '');
+        assert.ok(!field.classList.contains('invalid'), 'still being typed');
+        assert.equal(page.window.localStorage.getItem('seesawSafety'), null);
+
+        page.input('silenceTimeout', '750');
+        field.dispatchEvent(new page.window.Event('change'));
+        assert.equal(JSON.parse(page.window.localStorage.getItem('seesawSafety')).silenceMs, 750);
+    });
+});
+
+describe('profile switching', () => {
+    it('switches to the profile the device identifies as', async (t) => {
+        const page = await loadPage('serial_controller');
+        t.after(() => page.close());
+        await page.connect();
+        await waitFor(() => page.serialPort.writtenText().includes('ID?\n'));
+        page.serialPort.receive('ID seesaw-simple\n');
+        await waitFor(() => page.controller.profile.id === 'simple-seesaw');
+        assert.match(page.status(), /switched to the Seesaw \(simple\) profile/);
+        assert.equal(page.byId('profileSelector').value, 'simple-seesaw');
+        assert.equal(page.byId('gauge-L-text'), null);
+        assert.equal(page.byId('control-l'), null);
+        assert.ok(page.byId('safetyPanel').hidden);
+        assert.ok(page.byId('estopButton').hidden);
+
+        page.serialPort.receive('A: 4\n');
+        await waitFor(() => page.byId('gauge-A-text').textContent === '4.0');
+        await page.controller.sendData();
+        assert.equal(page.serialPort.frames().at(-1), 'p: 0.02 i: 0.02 d: 0.005 t: 0.008 s: 0 g: 0\n');
+        await page.disconnect();
+    });
+
+    it('brings the E-stop and watchdog along when the simple page switches to a motor profile', async (t) => {
+        const page = await loadPage('simple_serial_controller');
+        t.after(() => page.close());
+        assert.ok(page.byId('safetyPanel').hidden);
+        assert.ok(page.byId('estopButton').hidden);
+        await page.connect();
+        await waitFor(() => page.serialPort.writtenText().includes('ID?\n'));
+        page.serialPort.receive('ID seesaw\n');
+        await waitFor(() => page.controller.profile.id === 'seesaw');
+        assert.ok(!page.byId('safetyPanel').hidden);
+        assert.ok(!page.byId('estopButton').hidden);
+        await waitFor(() => page.serialPort.writtenText().some(text => text.startsWith('HB ')), { timeout: 2000 });
+
+        page.byId('control-l').click();
+        await waitFor(() => / l: 1 /.test(page.serialPort.frames().at(-1) ?? ''), { timeout: 2000 });
+        page.byId('estopButton').click();
+        await waitFor(() => / l: 0 r: 0 /.test(page.serialPort.frames().at(-1)));
+        assert.match(page.byId('safetyStatus').textContent, /E-stop pressed/);
+        await page.disconnect();
+    });
+
+    it('keeps the profile when the identity is unknown or detection is off', async (t) => {
+        const page = await loadPage('serial_controller');
+        t.after(() => page.close());
+        await page.connect();
+        page.serialPort.receive('ID toaster\n');
+        await waitFor(() => /matches no profile/.test(page.status()));
+        assert.equal(page.controller.profile.id, 'seesaw');
+        await page.disconnect();
+
+        page.byId('autoDetectProfile').checked = false;
+        const before = page.serialPort.written.length;
+        await page.connect();
+        await waitFor(() => page.serialPort.writtenText().slice(before).some(text => text.startsWith('GET PARAMS')));
+        assert.ok(!page.serialPort.writtenText().slice(before).includes('ID?\n'));
+        await page.disconnect();
+    });
+
+    it('switches from the dropdown without reloading, each profile with its own presets', async (t) => {
+        const page = await loadPage('simple_serial_controller', {
+            storage: { seesawPresets: JSON.stringify([{ name: 'Both motors', values: { l: true, r: true } }]) },
+        });
+        t.after(() => page.close());
+        assert.equal(page.byId('presetSelector').options.length, 0);
+
+        const selector = page.byId('profileSelector');
+        assert.deepEqual([...selector.options].map(option => option.value), PROFILES.map(profile => profile.id));
+        selector.value = 'seesaw';
+        selector.dispatchEvent(new page.window.Event('change'));
+        assert.equal(page.controller.profile.id, 'seesaw');
+        assert.equal(page.status(), 'Switched to the Seesaw profile.');
+        const gauges = [...page.document.querySelectorAll('.gauge-value-display')].map(element => element.id);
+        assert.deepEqual(gauges, ['gauge-L-text', 'gauge-A-text', 'gauge-R-text']);
+        assert.ok(page.byId('control-l'));
+        assert.equal(page.byId('presetSelector').value, 'Both motors');
+        assert.equal(page.window.localStorage.getItem('seesawTelemetrySchema'), null, 'switching saves nothing');
+
+        selector.value = 'simple-seesaw';
+        selector.dispatchEvent(new page.window.Event('change'));
+        assert.equal(page.byId('control-l'), null);
+        assert.equal(page.byId('presetSelector').options.length, 0);
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, waitFor, sleep } from './helpers.js';
+import { createSendQueue } from '../controller/sendqueue.js';
+
+// A write that only finishes when the test says so
+function createManualWriter() {
+    const written = [];
+    const waiting = [];
+    return {
+        written,
+        write(data) {
+            written.push(data);
+            return new Promise(resolve => waiting.push(resolve));
+        },
+        finish() {
+            waiting.shift()();
+        },
+        get busy() {
+            return waiting.length;
+        }
+    };
+}
+
+describe('send queue', () => {
+    it('writes one entry at a time, in order', async () => {
+        const writer = createManualWriter();
+        const queue = createSendQueue({ write: writer.write });
+        const results = ['a', 'b', 'c'].map(data => queue.push(data));
+        assert.deepEqual(writer.written, ['a']);
+        assert.equal(queue.depth, 3);
+        writer.finish();
+        await waitFor(() => writer.written.length === 2);
+        assert.equal(writer.busy, 1, 'the next write only starts once the last one finished');
+        writer.finish();
+        await waitFor(() => writer.written.length === 3);
+        writer.finish();
+        assert.deepEqual(await Promise.all(results), [true, true, true]);
+        assert.deepEqual(writer.written, ['a', 'b', 'c']);
+    });
+
+    it('keeps only the newest entry of a key and lets urgent ones go first', async () => {
+        const writer = createManualWriter();
+        let coalesced = 0;
+        const queue = createSendQueue({ write: writer.write, onCoalesce: () => coalesced++ });
+        queue.push('busy');
+        const first = queue.push('frame 1', { key: 'command' });
+        queue.push('HB 1');
+        const second = queue.push('frame 2', { key: 'command' });
+        queue.push('stop', { urgent: true });
+        assert.equal(await first, false);
+        assert.equal(coalesced, 1);
+        for (let count = 2; count <= 4; count++) {
+            writer.finish();
+            await waitFor(() => writer.written.length === count);
+        }
+        writer.finish();
+        assert.equal(await second, true);
+        assert.deepEqual(writer.written, ['busy', 'stop', 'frame 2', 'HB 1']);
+    });
+
+    it('moves a waiting frame to the front when an urgent one replaces it', async () => {
+        const writer = createManualWriter();
+        const queue = createSendQueue({ write: writer.write });
+        queue.push('busy');
+        queue.push('HB 1');
+        queue.push('frame 1', { key: 'command' });
+        queue.push('motors off', { key: 'command', urgent: true });
+        writer.finish();
+        await waitFor(() => writer.written.length === 2);
+        assert.deepEqual(writer.written, ['busy', 'motors off']);
+    });
+
+    it('spaces writes out to the rate limit, except urgent ones', async () => {
+        const times = [];
+        const queue = createSendQueue({ write: async () => times.push(performance.now()), maxRate: 20 });
+        await Promise.all([queue.push('a'), queue.push('b'), queue.push('c')]);
+        assert.ok(times[1] - times[0] >= 45 && times[2] - times[1] >= 45, times.join(', '));
+
+        const start = performance.now();
+        await queue.push('stop', { urgent: true });
+        assert.ok(performance.now() - start < 40);
+        queue.setMaxRate(0);
+        const pushedAt = performance.now();
+        await queue.push('d');
+        assert.ok(performance.now() - pushedAt < 40, 'no limit any more');
+    });
+
+    it('refuses entries beyond its depth and drops what waits when cleared', async () => {
+        const writer = createManualWriter();
+        let refused = 0;
+        const queue = createSendQueue({ write: writer.write, maxDepth: 2, onRefuse: () => refused++ });
+        queue.push('busy');
+        const waiting = [queue.push('a'), queue.push('b')];
+        await assert.rejects(queue.push('c'), /Send queue full \(2 writes waiting\)/);
+        assert.equal(refused, 1);
+        await assert.rejects(queue.push('b2', { key: 'b' }), /full/, 'nothing with that key is waiting');
+        waiting.push(queue.push('stop', { urgent: true }));
+        assert.equal(queue.depth, 4, 'urgent entries are never refused');
+        queue.clear();
+        assert.deepEqual(await Promise.all(waiting), [false, false, false]);
+        assert.equal(queue.depth, 1, 'the write in progress finishes');
+        writer.finish();
+    });
+});
+
+describe('send queue on the page', () => {
+    it('coalesces frames under the rate limit and sends the E-stop straight away', async (t) => {
+        const page = await loadPage('serial_controller');
+        t.after(() => page.close());
+        const rateInput = page.byId('maxFrameRate');
+        assert.equal(rateInput.value, '50', 'the profile default');
+        rateInput.value = '1';
+        rateInput.dispatchEvent(new page.window.Event('change'));
+        assert.equal(page.window.localStorage.getItem('seesawMaxFrameRate'), '1');
+
+        await page.connect();
+        page.controller.sendData();
+        page.controller.sendData();
+        page.controller.sendData();
+        page.byId('estopButton').click();
+        await waitFor(() => page.serialPort.frames().length === 1, { timeout: 300 });
+        assert.match(page.serialPort.frames()[0], /l: 0 r: 0/);
+        await waitFor(() => page.byId('healthQueue').textContent.includes('3 replaced by newer frames'));
+        assert.match(page.byId('healthQueue').textContent, /^\d+ waiting \(at most 1\/s\)/);
+
+        await waitFor(() => page.serialPort.writtenText().some(text => text.startsWith('GET PARAMS')), { timeout: 2500 });
+        await sleep(50);
+        assert.equal(page.serialPort.frames().length, 1, 'the replaced frames never go out');
+        await page.disconnect();
+    });
+});
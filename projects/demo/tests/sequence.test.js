@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, waitFor, sleep } from './helpers.js';
+import { normalizeSequence, parseWaypoints, sequenceDuration, sequenceValueAt } from '../controller/sequence.js';
+
+describe('setpoint sequences', () => {
+    const sequence = normalizeSequence({
+        rateHz: 20,
+        loops: 2,
+        segments: [
+            { type: 'ramp', to: 10, durationMs: 1000 },
+            { type: 'step', value: -2, durationMs: 500 },
+            { type: 'sine', center: 1, amplitude: 4, periodMs: 400, durationMs: 800 },
+            { type: 'square', low: -3, high: 3, periodMs: 200, durationMs: 400 },
+            { type: 'waypoints', points: '0:0, 100:5, 300:-5' }
+        ]
+    });
+
+    it('adds up the segment durations, waypoints lasting until their last point', () => {
+        assert.equal(sequenceDuration(sequence), 1000 + 500 + 800 + 400 + 300);
+    });
+
+    it('samples every segment type', () => {
+        const at = t => sequenceValueAt(sequence, t, 4);
+        assert.equal(at(0), 4, 'the leading ramp starts from the given value');
+        assert.equal(at(500), 7);
+        assert.equal(at(1200), -2);
+        assert.ok(Math.abs(at(1500 + 100) - 5) < 1e-9, 'sine peak a quarter period in');
+        assert.equal(at(2300), 3);
+        assert.equal(at(2300 + 150), -3);
+        assert.equal(at(2700 + 50), 2.5);
+        assert.equal(at(2700 + 200), 0);
+        assert.equal(at(5000), -5, 'holds the last value past the end');
+    });
+
+    it('starts a ramp from wherever the previous segment ended', () => {
+        const ramps = normalizeSequence({ segments: [{ type: 'sine', center: 0, amplitude: 2, periodMs: 400, durationMs: 100 }, { type: 'ramp', to: 0, durationMs: 100 }] });
+        assert.ok(Math.abs(sequenceValueAt(ramps, 150) - 1) < 1e-9);
+    });
+
+    it('rejects sequences it cannot play', () => {
+        assert.throws(() => normalizeSequence({ segments: [] }), /at least one segment/);
+        assert.throws(() => normalizeSequence({ segments: [{ type: 'jump' }] }), /unknown type "jump"/);
+        assert.throws(() => normalizeSequence({ segments: [{ type: 'step', value: 'x', durationMs: 1 }] }), /Segment 1: value must be a number/);
+        assert.throws(() => normalizeSequence({ segments: [{ type: 'sine', center: 0, amplitude: 1, periodMs: 0, durationMs: 1 }] }), /period must be positive/);
+        assert.throws(() => normalizeSequence({ segments: [{ type: 'waypoints', points: '0:0, 0:1' }] }), /start at 0 and increase/);
+        assert.throws(() => normalizeSequence({ rateHz: 500, segments: [{ type: 'step', value: 0, durationMs: 1 }] }), /at most 100 Hz/);
+        assert.throws(() => normalizeSequence({ loops: 1.5, segments: [{ type: 'step', value: 0, durationMs: 1 }] }), /whole number/);
+        assert.throws(() => parseWaypoints('0:0, soon:1'), /Waypoint time in "soon:1"/);
+    });
+});
+
+describe('sequence runner', () => {
+    function editSequence(page, { rate, loops, rows }) {
+        page.input('sequenceRate', rate);
+        page.input('sequenceLoops', loops);
+        const body = page.byId('sequenceTableBody');
+        body.innerHTML = '';
+        rows.forEach(() => page.byId('addSegmentButton').click());
+        rows.forEach((fields, index) => {
+            const row = body.rows[index];
+            Object.entries(fields).forEach(([name, value]) => {
+                const input = row.querySelector(`[data-field="${name}"]`);
+                input.value = value;
+                input.dispatchEvent(new page.window.Event('change'));
+            });
+        });
+    }
+
+    const setpoints = page => page.serialPort.frames().map(frame => / s: (\S+)/.exec(frame)?.[1]).filter(Boolean);
+
+    it('streams the sequence into the setpoint and stops after the last loop', async (t) => {
+        const page = await loadPage('simple_serial_controller');
+        t.after(() => page.close());
+        await page.connect();
+        editSequence(page, {
+            rate: '50',
+            loops: '2',
+            rows: [{ type: 'step', a: '2', durationMs: '100' }, { type: 'step', a: '-1', durationMs: '100' }]
+        });
+        const before = setpoints(page).length;
+        page.byId('sequenceStartButton').click();
+        assert.ok(page.byId('sequenceStartButton').disabled);
+        await waitFor(() => /Sequence finished/.test(page.byId('sequenceProgress').textContent), { timeout: 2000 });
+
+        const sent = setpoints(page).slice(before);
+        assert.ok(sent.length >= 6, `${sent.length} frames`);
+        assert.deepEqual([...new Set(sent)], ['2', '-1'], 'steps in order, each pass');
+        assert.ok(sent.indexOf('2', sent.indexOf('-1')) !== -1, 'second pass');
+        assert.equal(sent.at(-1), '-1');
+        assert.equal(page.byId('control-s').value, '-1');
+        assert.ok(!page.byId('sequenceStartButton').disabled);
+        assert.ok(page.window.localStorage.getItem('simpleSeesawSequence'), 'the started sequence is kept');
+        await page.disconnect();
+    });
+
+    it('pauses without sending and resumes where it left off', async (t) => {
+        const page = await loadPage('simple_serial_controller');
+        t.after(() => page.close());
+        await page.connect();
+        editSequence(page, { rate: '50', loops: '1', rows: [{ type: 'ramp', a: '10', durationMs: '400' }] });
+        page.byId('sequenceStartButton').click();
+        await sleep(100);
+        page.byId('sequencePauseButton').click();
+        assert.equal(page.byId('sequencePauseButton').textContent, 'Resume');
+        await sleep(30);
+        const paused = page.serialPort.frames().length;
+        await sleep(200);
+        assert.equal(page.serialPort.frames().length, paused);
+        const heldAt = parseFloat(page.byId('control-s').value);
+        assert.ok(heldAt > 0 && heldAt < 10, `held at ${heldAt}`);
+
+        page.byId('sequencePauseButton').click();
+        await waitFor(() => /Sequence finished/.test(page.byId('sequenceProgress').textContent), { timeout: 2000 });
+        assert.equal(setpoints(page).at(-1), '10');
+        await page.disconnect();
+    });
+
+    it('refuses an invalid sequence and aborts on disconnect and E-stop', async (t) => {
+        const page = await loadPage('serial_controller');
+        t.after(() => page.close());
+        await page.connect();
+        editSequence(page, { rate: '20', loops: '0', rows: [{ type: 'waypoints', points: '0:0, 50' }] });
+        page.byId('sequenceStartButton').click();
+        assert.match(page.byId('sequenceProgress').textContent, /^Sequence error: Waypoint value in "50"/);
+
+        editSequence(page, { rate: '20', loops: '0', rows: [{ type: 'sine', a: '0', b: '3', periodMs: '500', durationMs: '500' }] });
+        page.byId('sequenceStartButton').click();
+        await sleep(120);
+        page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape' }));
+        assert.equal(page.byId('sequenceProgress').textContent, 'Sequence aborted: motors stopped.');
+        const afterStop = page.serialPort.frames().length;
+        await sleep(120);
+        assert.ok(page.serialPort.frames().length <= afterStop + 1, 'only the E-stop frame follows');
+
+        page.byId('sequenceStartButton').click();
+        await sleep(60);
+        await page.disconnect();
+        assert.equal(page.byId('sequenceProgress').textContent, 'Sequence aborted: disconnected.');
+    });
+});
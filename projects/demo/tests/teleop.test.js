@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, waitFor, sleep } from './helpers.js';
+import {
+    teleopActions, defaultTeleopBindings, normalizeTeleopBindings, applyDeadzone, teleopAxis, axisSetpoint, pressedActions, keyActions
+} from '../controller/teleop.js';
+import { normalizeCommandSchema } from '../controller/protocol.js';
+import seesaw from '../profiles/seesaw.js';
+
+// Buttons and axes as the Gamepad API reports them, changed by the test between ticks
+function createMockGamepad() {
+    return {
+        id: 'Mock pad (STANDARD GAMEPAD)',
+        connected: true,
+        axes: [0, 0, 0, 0],
+        buttons: Array.from({ length: 16 }, () => ({ pressed: false, value: 0 }))
+    };
+}
+
+describe('teleop bindings', () => {
+    const schema = normalizeCommandSchema(seesaw.commands);
+    const actions = teleopActions(schema, { estop: true });
+
+    it('offers the toggles, each LED and the E-stop', () => {
+        assert.deepEqual(actions.map(action => action.id), ['toggle:l', 'toggle:r', ...seesaw.commands.controls.at(-1).bits.map((bit, index) => `led:g:${index}`), 'estop']);
+        const simple = teleopActions(normalizeCommandSchema({ ...seesaw.commands, controls: [
+            { key: 'g', label: 'LEDs', type: 'bitmask', value: 0, bits: ['red', 'green'] }
+        ] }));
+        assert.deepEqual(simple.map(action => action.label), ['LEDs 1 (red)', 'LEDs 2 (green)']);
+    });
+
+    it('fills in defaults, drops actions that are gone and rejects bad values', () => {
+        const defaults = defaultTeleopBindings(actions);
+        assert.deepEqual([defaults.buttons['toggle:l'], defaults.buttons['toggle:r'], defaults.buttons.estop], [4, 5, 1].map(button => ({ button, key: null })));
+        assert.deepEqual(defaults.buttons['led:g:0'], { button: null, key: null }, 'LEDs start unbound');
+        const bindings = normalizeTeleopBindings({ axis: { min: '-5', keyUp: 'd' }, buttons: { 'toggle:l': { button: '', key: 'q' }, 'toggle:x': { button: 3 } } }, actions);
+        assert.equal(bindings.axis.min, -5);
+        assert.equal(bindings.axis.keyUp, 'd');
+        assert.deepEqual(bindings.buttons['toggle:l'], { button: null, key: 'q' });
+        assert.ok(!('toggle:x' in bindings.buttons));
+        assert.throws(() => normalizeTeleopBindings({ axis: { min: 5, max: 5 } }, actions), /minimum must be below its maximum/);
+        assert.throws(() => normalizeTeleopBindings({ axis: { deadzone: 1 } }, actions), /Deadzone/);
+        assert.throws(() => normalizeTeleopBindings({ rateHz: 0 }, actions), /Rate must be above 0/);
+        assert.throws(() => normalizeTeleopBindings({ buttons: { estop: { button: 1.5 } } }, actions), /E-stop: gamepad button must be a whole number/);
+    });
+
+    it('maps the stick or the keys onto the setpoint range', () => {
+        const bindings = normalizeTeleopBindings({ axis: { min: 0, max: 20, deadzone: 0.5, invert: true } }, actions);
+        assert.equal(applyDeadzone(0.4, 0.5), 0);
+        assert.equal(applyDeadzone(-0.75, 0.5), -0.5);
+        const gamepad = createMockGamepad();
+        gamepad.axes[0] = -0.75;
+        assert.equal(teleopAxis(bindings, gamepad, new Set()), 0.5, 'inverted');
+        assert.equal(teleopAxis(bindings, gamepad, new Set(['ArrowLeft'])), -1, 'keys win over the stick');
+        assert.equal(teleopAxis(bindings, null, new Set(['ArrowLeft', 'ArrowRight'])), 0);
+        assert.equal(axisSetpoint(0, bindings.axis), 10);
+        assert.equal(axisSetpoint(0.5, bindings.axis), 15);
+    });
+
+    it('finds the actions of the buttons held and of a key', () => {
+        const bindings = normalizeTeleopBindings({ buttons: { estop: { button: 1, key: ' ' } } }, actions);
+        const gamepad = createMockGamepad();
+        gamepad.buttons[1].pressed = true;
+        gamepad.buttons[5].pressed = true;
+        assert.deepEqual([...pressedActions(bindings, gamepad)], ['toggle:r', 'estop']);
+        assert.deepEqual(keyActions(bindings, ' '), ['estop']);
+        assert.deepEqual(keyActions(bindings, 'x'), []);
+    });
+});
+
+describe('teleop panel', () => {
+    it('streams the stick into the setpoint and runs the gamepad buttons', async (t) => {
+        const page = await loadPage('serial_controller');
+        t.after(() => page.close());
+        const gamepad = createMockGamepad();
+        page.window.navigator.getGamepads = () => [null, gamepad];
+        page.byId('teleopEnabled').click();
+        assert.equal(page.byId('teleopEnabled').checked, false, 'not without a connection');
+
+        await page.connect();
+        page.byId('teleopEnabled').click();
+        gamepad.axes[0] = 1;
+        await waitFor(() => page.serialPort.frames().at(-1)?.includes('s: 10 '));
+        assert.equal(page.byId('control-s').value, '10');
+        const sent = page.serialPort.frames().length;
+        await waitFor(() => page.serialPort.frames().length >= sent + 2, { timeout: 500 }); // Streams while nothing moves
+
+        gamepad.buttons[4].pressed = true;
+        await waitFor(() => /l: 1 r: 0/.test(page.serialPort.frames().at(-1)));
+        gamepad.buttons[1].pressed = true;
+        await waitFor(() => /E-stop button on the gamepad/.test(page.byId('safetyStatus').textContent));
+        assert.match(page.serialPort.frames().at(-1), /l: 0 r: 0/);
+        assert.equal(page.byId('teleopEnabled').checked, false);
+        assert.equal(page.byId('teleopStatus').textContent, 'Teleoperation stopped: motors stopped.');
+        await page.disconnect();
+    });
+
+    it('streams no new frame while the last one is still on its way', async (t) => {
+        const page = await loadPage('serial_controller');
+        t.after(() => page.close());
+        page.change('maxFrameRate', '2');
+        await page.connect();
+        page.byId('teleopEnabled').click();
+        await sleep(700); // Fourteen ticks at 20 Hz, but the queue lets a write out only every 500 ms; the panel renders every 250 ms
+        assert.match(page.byId('healthQueue').textContent, /, 0 replaced by newer frames/);
+        page.byId('teleopEnabled').click();
+        await page.disconnect();
+    });
+
+    it('binds keys in the panel and saves them with the profile', async (t) => {
+        const page = await loadPage('simple_serial_controller');
+        t.after(() => page.close());
+        const press = (target, key, type = 'keydown') => target.dispatchEvent(new page.window.KeyboardEvent(type, { key, bubbles: true }));
+        press(page.byId('teleopKeyUp'), 'd');
+        const ledRow = [...page.byId('teleopBindingsBody').rows].find(row => row.cells[0].textContent === 'LEDs 1 (red)');
+        press(ledRow.querySelector('[data-field="key"]'), ' ');
+        assert.equal(ledRow.querySelector('[data-field="key"]').value, 'Space');
+        page.input('teleopAxis-max', '4');
+        page.byId('teleopAxis-max').dispatchEvent(new page.window.Event('change'));
+        const saved = JSON.parse(page.window.localStorage.getItem('simpleSeesawTeleop'));
+        assert.equal(saved.axis.keyUp, 'd');
+        assert.equal(saved.axis.max, 4);
+        assert.equal(saved.buttons['led:g:0'].key, ' ');
+
+        await page.connect();
+        page.byId('teleopEnabled').click();
+        await waitFor(() => page.serialPort.frames().at(-1)?.includes('s: -3 '), { timeout: 500 });
+        press(page.document, 'd');
+        await waitFor(() => page.serialPort.frames().at(-1)?.includes('s: 4 '));
+        press(page.document, 'd', 'keyup');
+        press(page.document, ' ');
+        await waitFor(() => page.serialPort.frames().at(-1)?.endsWith('s: -3 g: 1\n'));
+
+        page.input('control-p', '0.5'); // Typing into a field isn't driving
+        press(page.byId('control-p'), 'd');
+        await waitFor(() => page.serialPort.frames().at(-1)?.startsWith('p: 0.5 '));
+        assert.ok(page.serialPort.frames().at(-1).includes('s: -3 '));
+        await page.disconnect();
+        assert.equal(page.byId('teleopStatus').textContent, 'Teleoperation stopped: disconnected.');
+    });
+});
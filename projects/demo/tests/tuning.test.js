@@ -0,0 +1,183 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, waitFor } from './helpers.js';
+import { analyzeStepResponse, measureOscillation, zieglerNicholsGains } from '../controller/tuning.js';
+
+// Samples every `interval` ms of `valueAt(t)` over `duration` ms
+function sampled(valueAt, duration, interval = 10) {
+    const samples = [];
+    for (let t = 0; t <= duration; t += interval) {
+        samples.push({ t, value: valueAt(t) });
+    }
+    return samples;
+}
+
+describe('step response metrics', () => {
+    it('measures a first-order response', () => {
+        const metrics = analyzeStepResponse(sampled(t => 10 * (1 - Math.exp(-t / 100)), 2000), { initial: 0, target: 10 });
+        assert.ok(Math.abs(metrics.riseTime - 220) <= 10, `rise time ${metrics.riseTime}`); // 2.2 τ
+        assert.equal(metrics.overshoot, 0);
+        assert.ok(Math.abs(metrics.settlingTime - 300) <= 10, `settling time ${metrics.settlingTime}`); // 3 τ for 5 %
+        assert.ok(Math.abs(metrics.steadyStateError) < 0.01);
+    });
+
+    it('measures overshoot and a steady-state offset on a downward step', () => {
+        // Underdamped, ending 0.5 (10 %) short of the target, so only a wide band counts as settled
+        const response = t => 5 - 4.5 * (1 - Math.exp(-t / 200) * Math.cos(t / 100));
+        const metrics = analyzeStepResponse(sampled(response, 4000), { initial: 5, target: 0, settleBand: 0.15 });
+        assert.ok(metrics.overshoot > 10 && metrics.overshoot < 30, `overshoot ${metrics.overshoot}`);
+        assert.ok(Math.abs(metrics.steadyStateError + 0.5) < 0.01, `error ${metrics.steadyStateError}`);
+        assert.ok(metrics.settlingTime > metrics.riseTime);
+    });
+
+    it('reports what never happened as null', () => {
+        const metrics = analyzeStepResponse(sampled(t => t / 1000, 500), { initial: 0, target: 10 });
+        assert.equal(metrics.riseTime, null);
+        assert.equal(metrics.settlingTime, null);
+        assert.equal(analyzeStepResponse([], { initial: 0, target: 1 }), null);
+    });
+});
+
+describe('relay test', () => {
+    it('measures the limit cycle after the run-in', () => {
+        const samples = sampled(t => (t < 150 ? 8 : 3 * Math.sin(2 * Math.PI * (t - 150) / 400)), 2150, 5);
+        const oscillation = measureOscillation(samples, 0);
+        assert.ok(Math.abs(oscillation.period - 400) < 5, `period ${oscillation.period}`);
+        assert.ok(Math.abs(oscillation.amplitude - 3) < 0.05, `amplitude ${oscillation.amplitude}`);
+        assert.equal(oscillation.clipped, false);
+    });
+
+    it('flags swings that flatten against an end stop', () => {
+        const samples = sampled(t => Math.max(-2, Math.min(2, 3 * Math.sin(2 * Math.PI * t / 400) - 0.1)), 2000, 5);
+        assert.equal(measureOscillation(samples, 0).clipped, true);
+        assert.equal(measureOscillation(sampled(() => 1, 1000), 0), null, 'no oscillation');
+    });
+
+    it('turns the oscillation into Ziegler–Nichols gains', () => {
+        const gains = zieglerNicholsGains({ relayOutput: 0.5, amplitude: 2, period: 500 });
+        assert.ok(Math.abs(gains.ultimateGain - 1 / Math.PI) < 1e-12);
+        assert.equal(gains.ultimatePeriod, 0.5);
+        assert.ok(Math.abs(gains.p - 0.6 / Math.PI) < 1e-12);
+        assert.ok(Math.abs(gains.i - 2 * gains.p / 0.5) < 1e-12);
+        assert.ok(Math.abs(gains.d - gains.p * 0.5 / 8) < 1e-12);
+    });
+});
+
+// Streams `A` telemetry computed from the last command frame the page sent, until stopped
+function streamTelemetry(page, valueAt) {
+    const startedAt = Date.now();
+    const timer = setInterval(() => {
+        const frame = page.serialPort.frames().at(-1) ?? '';
+        page.serialPort.receive(`L: 0 A: ${valueAt(frame, Date.now() - startedAt).toFixed(3)} R: 0\n`);
+    }, 10);
+    return () => clearInterval(timer);
+}
+
+describe('PID tuning panel', () => {
+    it('runs a step test and lists the result next to the gains', async (t) => {
+        const page = await loadPage('simple_serial_controller');
+        t.after(() => page.close());
+        page.change('stepDuration', '600');
+        await page.connect();
+
+        let stepAt = null;
+        const stop = streamTelemetry(page, (frame, now) => {
+            if (!/ s: 5 /.test(frame)) return 0;
+            stepAt ??= now;
+            return 5 * (1 - Math.exp(-(now - stepAt) / 50));
+        });
+        t.after(stop);
+        page.byId('stepTestButton').click();
+        assert.equal(page.byId('stepTestButton').textContent, 'Abort Step Test');
+        await waitFor(() => page.byId('tuningResultsBody').rows.length === 1, { timeout: 3000 });
+
+        const cells = [...page.byId('tuningResultsBody').rows[0].cells].map(cell => cell.textContent);
+        assert.equal(cells[1], 'p: 0.02 i: 0.02 d: 0.005 t: 0.008');
+        assert.equal(cells[2], '0 → 5');
+        assert.match(cells[3], /^0\.\d\d s$/);
+        assert.equal(cells[4], '0.0 %');
+        assert.match(page.byId('tuningStatus').textContent, /setpoint back at 0/);
+        assert.match(page.serialPort.frames().at(-1), / s: 0 /);
+        assert.equal(page.byId('stepTestButton').textContent, 'Run Step Test');
+        stop();
+        await page.disconnect();
+    });
+
+    it('runs a relay test with P-only gains, then puts the gains back and suggests new ones', async (t) => {
+        const page = await loadPage('simple_serial_controller');
+        t.after(() => page.close());
+        page.change('relayDuration', '700');
+        await page.connect();
+
+        const stop = streamTelemetry(page, (frame, now) => 2 * Math.sin(2 * Math.PI * now / 150));
+        t.after(stop);
+        page.byId('relayTestButton').click();
+        await waitFor(() => / s: 0 /.test(page.serialPort.frames().at(-1) ?? ''));
+        assert.match(page.serialPort.frames().at(-1), /^p: 1 i: 0 d: 0 t: 0\.008 /);
+        await waitFor(() => !page.byId('tuningSuggestion').hidden, { timeout: 3000 });
+        stop();
+        assert.match(page.serialPort.frames().at(-1), /^p: 0\.02 i: 0\.02 d: 0\.005 /);
+        assert.match(page.byId('tuningSuggestionText').textContent, /Tu 0\.1\d s → Kp 0\.1\d\d/);
+
+        page.byId('applySuggestionButton').click();
+        await waitFor(() => /^p: 0\.1\d\d /.test(page.serialPort.frames().at(-1)));
+        assert.match(page.byId('control-p').value, /^0\.1\d\d$/);
+        await page.disconnect();
+    });
+
+    it('sends the original values back when a test is cancelled', async (t) => {
+        const page = await loadPage('simple_serial_controller');
+        t.after(() => page.close());
+        await page.connect();
+        page.byId('stepTestButton').click();
+        await waitFor(() => / s: 5 /.test(page.serialPort.frames().at(-1) ?? ''), { timeout: 2000 });
+        page.byId('stepTestButton').click();
+        await waitFor(() => / s: 0 /.test(page.serialPort.frames().at(-1)));
+        assert.equal(page.byId('tuningStatus').textContent, 'Test aborted: cancelled.');
+
+        page.byId('relayTestButton').click();
+        await waitFor(() => /^p: 1 i: 0 d: 0 /.test(page.serialPort.frames().at(-1)));
+        page.byId('relayTestButton').click();
+        await waitFor(() => /^p: 0\.02 i: 0\.02 d: 0\.005 t: 0\.008 s: 0 /.test(page.serialPort.frames().at(-1)));
+        await page.disconnect();
+    });
+
+    it('takes a setting once the field is left and keeps half-typed values out of storage', async (t) => {
+        const page = await loadPage('simple_serial_controller');
+        t.after(() => page.close());
+        page.input('stepSize', '-');
+        assert.ok(!page.byId('stepSize').classList.contains('invalid'));
+        assert.equal(page.window.localStorage.getItem('simpleSeesawTuning'), null);
+        page.change('stepSize', '-2');
+        assert.equal(JSON.parse(page.window.localStorage.getItem('simpleSeesawTuning')).step, -2);
+    });
+
+    it('aborts on an E-stop and puts the setpoint back', async (t) => {
+        const page = await loadPage('serial_controller');
+        t.after(() => page.close());
+        await page.connect();
+        page.byId('stepTestButton').click();
+        await waitFor(() => / s: 5 /.test(page.serialPort.frames().at(-1) ?? ''), { timeout: 2000 });
+
+        page.document.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape' }));
+        assert.equal(page.byId('tuningStatus').textContent, 'Test aborted: motors stopped.');
+        assert.equal(page.byId('control-s').value, '0');
+        assert.equal(page.byId('stepTestButton').textContent, 'Run Step Test');
+        await waitFor(() => / s: 0 .* l: 0 r: 0 /.test(page.serialPort.frames().at(-1)));
+        await page.disconnect();
+    });
+
+    it('aborts when the telemetry schema changes under it', async (t) => {
+        const page = await loadPage('serial_controller');
+        t.after(() => page.close());
+        await page.connect();
+        page.byId('stepTestButton').click();
+        await waitFor(() => / s: 5 /.test(page.serialPort.frames().at(-1) ?? ''), { timeout: 2000 });
+
+        page.byId('resetSchemaButton').click();
+        assert.equal(page.byId('tuningStatus').textContent, 'Test aborted: telemetry schema changed.');
+        assert.equal(page.byId('control-s').value, '0');
+        assert.equal(page.byId('stepTestButton').textContent, 'Run Step Test');
+        await page.disconnect();
+    });
+});